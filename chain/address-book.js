@@ -0,0 +1,328 @@
+/**
+ * Address Book for Proton Blockchain
+ *
+ * Recurring payees get a short contact name, so `transfer @alice 10` and a
+ * batch row `@alice,10` pay the right 12-character account without
+ * retyping it. A contact can carry a default memo, tags and a
+ * memo-required flag.
+ *
+ * Key Concepts:
+ * - Contacts live in `<dataDir>/contacts.json`, keyed by lower-case name
+ * - `@name` is resolved wherever a recipient is expected; plain account
+ *   names are used as they are
+ * - A contact's default memo is used when a transfer has no memo of its own
+ * - A memo-required contact is enforced like a recipient rule (see
+ *   chain/recipient-registry.js), also when its account is typed directly
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { logger, validateAccountName } = require('../utils');
+const { validateMemo } = require('../utils/memo');
+const { splitRecords } = require('../utils/batch-file');
+
+const CONTACT_PREFIX = '@';
+
+let contacts = null;
+
+/**
+ * Get the path of the address book file
+ * @returns {string} File path
+ */
+function getAddressBookPath() {
+  return path.join(config.storage.dataDir, 'contacts.json');
+}
+
+/**
+ * Load the address book (once)
+ * @returns {Object} name -> contact settings
+ */
+function loadContacts() {
+  if (contacts) {
+    return contacts;
+  }
+
+  const filePath = getAddressBookPath();
+  if (!fs.existsSync(filePath)) {
+    contacts = {};
+    return contacts;
+  }
+
+  try {
+    contacts = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid address book ${filePath}: ${error.message}`);
+  }
+
+  return contacts;
+}
+
+/**
+ * Write the address book atomically
+ */
+function saveContacts() {
+  const filePath = getAddressBookPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(contacts, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Normalize a contact name ("@Alice" -> "alice")
+ * @param {string} name - Contact name, with or without the @ prefix
+ * @returns {string} Name used as key
+ * @throws {Error} If the name is not usable
+ */
+function normalizeContactName(name) {
+  const key = String(name || '').replace(/^@/, '').toLowerCase();
+  if (!/^[a-z0-9][a-z0-9._-]{0,31}$/.test(key)) {
+    throw new Error(`Invalid contact name: ${name} (letters, digits, ".", "-" and "_", up to 32 characters)`);
+  }
+  return key;
+}
+
+/**
+ * Check the settings of a contact
+ * @param {Object} contact - Contact settings
+ * @throws {Error} If a setting is invalid
+ */
+function validateContact(contact) {
+  if (!contact.account) {
+    throw new Error('A contact needs an account');
+  }
+  validateAccountName(contact.account, { recipient: true });
+
+  if (contact.tags !== undefined && !(Array.isArray(contact.tags) && contact.tags.every(tag => typeof tag === 'string'))) {
+    throw new Error('Contact tags must be a list of strings');
+  }
+
+  if (contact.memo) {
+    const memo = validateMemo(contact.memo);
+    if (!memo.valid) {
+      throw new Error(`Invalid default memo: ${memo.errors.join('; ')}`);
+    }
+  }
+}
+
+/**
+ * Get a contact
+ * @param {string} name - Contact name, with or without @
+ * @returns {Object|null} Contact ({ name, account, label, memo, tags, memoRequired }) or null
+ */
+function getContact(name) {
+  const key = normalizeContactName(name);
+  const contact = loadContacts()[key];
+  return contact ? { name: key, tags: [], memoRequired: false, ...contact } : null;
+}
+
+/**
+ * Find the contacts of an account
+ * @param {string} account - Account name
+ * @returns {Array<Object>} Contacts with that account
+ */
+function findContactsByAccount(account) {
+  return listContacts().filter(contact => contact.account === account);
+}
+
+/**
+ * List contacts
+ * @param {Object} options - Optional filters
+ * @param {string} options.tag - Only contacts with this tag
+ * @returns {Array<Object>} Contacts, sorted by name
+ */
+function listContacts(options = {}) {
+  return Object.keys(loadContacts())
+    .sort()
+    .map(name => getContact(name))
+    .filter(contact => !options.tag || contact.tags.includes(options.tag));
+}
+
+/**
+ * Add a contact, or update the given settings of an existing one
+ * @param {string} name - Contact name
+ * @param {Object} settings - Settings to set
+ * @param {string} settings.account - Account (required for a new contact)
+ * @param {string} settings.label - Description (e.g. "Landlord")
+ * @param {string} settings.memo - Default memo
+ * @param {Array<string>} settings.tags - Tags (replace the existing ones)
+ * @param {boolean} settings.memoRequired - Transfers to this contact must carry a memo
+ * @returns {Object} Saved contact
+ */
+function addContact(name, settings = {}) {
+  const key = normalizeContactName(name);
+
+  const given = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+  if (given.tags) {
+    given.tags = [...new Set(given.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+
+  const saved = { ...loadContacts()[key], ...given };
+  validateContact(saved);
+
+  loadContacts()[key] = saved;
+  saveContacts();
+
+  logger.info(`Saved contact @${key} to ${getAddressBookPath()}`);
+  return getContact(key);
+}
+
+/**
+ * Remove a contact
+ * @param {string} name - Contact name
+ * @returns {boolean} True if a contact was removed
+ */
+function removeContact(name) {
+  const key = normalizeContactName(name);
+  const all = loadContacts();
+  if (!all[key]) {
+    return false;
+  }
+
+  delete all[key];
+  saveContacts();
+  return true;
+}
+
+/**
+ * Resolve a recipient that may be a contact
+ * @param {string} value - Account name, or @contact
+ * @returns {Object} { account, contact } (contact is null for a plain account name)
+ * @throws {Error} If the contact does not exist
+ *
+ * @example
+ * ```javascript
+ * resolveRecipient('@alice'); // { account: 'alice.x', contact: { name: 'alice', ... } }
+ * resolveRecipient('bob');    // { account: 'bob', contact: null }
+ * ```
+ */
+function resolveRecipient(value) {
+  if (!String(value).startsWith(CONTACT_PREFIX)) {
+    return { account: value, contact: null };
+  }
+
+  const contact = getContact(value);
+  if (!contact) {
+    throw new Error(`Unknown contact ${value} (see "contacts list")`);
+  }
+  return { account: contact.account, contact };
+}
+
+/**
+ * Describe a resolved contact for summaries ("@alice, Landlord")
+ * @param {Object} contact - Contact
+ * @returns {string} Description
+ */
+function describeContact(contact) {
+  return `@${contact.name}${contact.label ? `, ${contact.label}` : ''}`;
+}
+
+/**
+ * Parse contacts to import
+ * @param {string} text - JSON (array, or object keyed by name) or CSV with a header row
+ * @param {string} format - json or csv
+ * @returns {Array<Object>} Contacts ({ name, account, label, memo, tags, memoRequired })
+ * @throws {Error} If the content cannot be parsed
+ */
+function parseContacts(text, format) {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : Object.entries(data).map(([name, contact]) => ({ name, ...contact }));
+  }
+
+  const [header, ...rows] = splitRecords(text.replace(/^\uFEFF/, ''), ',');
+  const columns = header ? header.cells.map(cell => cell.trim().toLowerCase()) : [];
+  if (!columns.includes('name') || !columns.includes('account')) {
+    throw new Error('CSV contacts need a header with at least name and account columns');
+  }
+
+  return rows.map((row) => {
+    const cell = column => (columns.includes(column) ? (row.cells[columns.indexOf(column)] || '').trim() : '');
+    return {
+      name: cell('name'),
+      account: cell('account'),
+      label: cell('label') || undefined,
+      memo: cell('memo') || undefined,
+      tags: cell('tags') ? cell('tags').split(/[\s,;]+/) : undefined,
+      memoRequired: /^(true|yes|1)$/i.test(cell('memorequired')),
+    };
+  });
+}
+
+/**
+ * Import contacts from a file
+ *
+ * Every contact is checked before anything is saved, so a bad row leaves
+ * the address book unchanged.
+ *
+ * @param {string} filePath - JSON or CSV file (`contacts export` or `-o csv contacts list` output)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.replace - Replace existing contacts with the same name (default: keep them)
+ * @returns {Object} { added, updated, skipped } (contact names)
+ * @throws {Error} If the file cannot be read or a contact is invalid
+ */
+function importContacts(filePath, options = {}) {
+  let imported;
+  try {
+    imported = parseContacts(fs.readFileSync(filePath, 'utf8'), /\.csv$/i.test(filePath) ? 'csv' : 'json');
+  } catch (error) {
+    throw new Error(`Cannot read contacts from ${filePath}: ${error.message}`);
+  }
+
+  const all = loadContacts();
+  const result = { added: [], updated: [], skipped: [] };
+  const pending = {};
+
+  imported.forEach((entry, i) => {
+    const { name, ...settings } = entry;
+    let key;
+    try {
+      key = normalizeContactName(name);
+      validateContact(settings);
+    } catch (error) {
+      throw new Error(`Contact ${i + 1} (${name || 'no name'}) in ${filePath}: ${error.message}`);
+    }
+
+    if (all[key] && !options.replace) {
+      result.skipped.push(key);
+      return;
+    }
+
+    (all[key] ? result.updated : result.added).push(key);
+    pending[key] = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+  });
+
+  Object.assign(all, pending);
+  saveContacts();
+  return result;
+}
+
+/**
+ * Export all contacts to a JSON file (the format `importContacts` reads)
+ * @param {string} filePath - Output file
+ * @returns {number} Number of contacts written
+ */
+function exportContacts(filePath) {
+  const list = listContacts();
+  fs.writeFileSync(filePath, `${JSON.stringify(list, null, 2)}\n`);
+  return list.length;
+}
+
+module.exports = {
+  CONTACT_PREFIX,
+  getAddressBookPath,
+  getContact,
+  findContactsByAccount,
+  listContacts,
+  addContact,
+  removeContact,
+  resolveRecipient,
+  describeContact,
+  importContacts,
+  exportContacts,
+};
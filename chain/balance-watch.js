@@ -0,0 +1,193 @@
+/**
+ * Balance Watch for Proton Blockchain
+ *
+ * Polls `getBalance` for a set of accounts and tokens and reports only what
+ * changed: the new balance and the signed difference. Meant to run for
+ * hours, e.g. to notice incoming payments or a hot wallet running low.
+ *
+ * Key Concepts:
+ * - The first poll is the baseline; later polls report changes only
+ * - RPC errors do not stop the watch: the next poll waits twice as long
+ *   each time (up to `config.balanceWatch.maxBackoffSeconds`) and the
+ *   interval returns to normal once the node answers again
+ * - A change hook command gets the change in environment variables
+ *   (XPR_ACCOUNT, XPR_SYMBOL, XPR_BALANCE, XPR_PREVIOUS, XPR_DELTA,
+ *   XPR_TIMESTAMP), never spliced into the command line
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { spawn } = require('child_process');
+const { setTimeout: sleep } = require('timers/promises');
+const { config } = require('../config');
+const { logger, Asset } = require('../utils');
+const { getBalance } = require('./token-transfer');
+
+/**
+ * Read one balance as an Asset (no balance row means zero)
+ * @param {string} account - Account name
+ * @param {Object} token - Resolved token info ({ symbol, precision, contract })
+ * @returns {Promise<Asset>} Balance
+ */
+async function pollBalance(account, token) {
+  const balance = await getBalance(account, token.symbol);
+  return balance.length > 0 ? Asset.fromString(balance[0]) : Asset.zero(token);
+}
+
+/**
+ * Delay before the next poll
+ * @param {number} intervalMs - Normal poll interval
+ * @param {number} failures - Failed polls in a row
+ * @returns {number} Delay in milliseconds
+ */
+function getPollDelay(intervalMs, failures) {
+  if (failures === 0) {
+    return intervalMs;
+  }
+  return Math.min(intervalMs * 2 ** failures, Math.max(intervalMs, config.balanceWatch.maxBackoffSeconds * 1000));
+}
+
+/**
+ * Format a difference with its sign ("+1.5000 XPR", "-0.2500 XPR")
+ * @param {Asset} delta - Difference
+ * @returns {string} Signed asset string
+ */
+function formatDelta(delta) {
+  return `${delta.isNegative() ? '' : '+'}${delta}`;
+}
+
+/**
+ * Run a change hook command
+ * @param {string} command - Shell command
+ * @param {Object} change - Change record ({ timestamp, account, symbol, previous, balance, delta })
+ * @returns {Promise<number>} Exit code (-1 if it could not run or timed out)
+ */
+function runChangeHook(command, change) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      shell: true,
+      // Hook output goes to stderr so stdout keeps only results
+      stdio: ['ignore', process.stderr, process.stderr],
+      env: {
+        ...process.env,
+        XPR_TIMESTAMP: change.timestamp,
+        XPR_ACCOUNT: change.account,
+        XPR_SYMBOL: change.symbol,
+        XPR_PREVIOUS: change.previous,
+        XPR_BALANCE: change.balance,
+        XPR_DELTA: change.delta,
+      },
+    });
+
+    const timer = setTimeout(() => {
+      logger.warn(`Change hook still running after ${config.balanceWatch.execTimeoutMs} ms; stopping it`);
+      child.kill();
+    }, config.balanceWatch.execTimeoutMs);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      logger.warn(`Change hook failed to start: ${error.message}`);
+      resolve(-1);
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        logger.warn(`Change hook exited with ${code === null ? 'a signal' : `code ${code}`}`);
+      }
+      resolve(code === null ? -1 : code);
+    });
+  });
+}
+
+/**
+ * Watch balances and report changes
+ *
+ * @param {Array} targets - What to watch ({ account, token }), token from resolveToken
+ * @param {Object} options - Optional settings
+ * @param {number} options.intervalMs - Poll interval (default: config.balanceWatch.intervalSeconds)
+ * @param {Function} options.onBaseline - Called with ({ account, symbol, balance }) after the first poll of a target
+ * @param {Function} options.onChange - Called (and awaited) with each change record
+ * @param {string} options.exec - Shell command to run on each change
+ * @param {AbortSignal} options.signal - Stops the watch
+ * @returns {Promise<Object>} { polls, changes } once stopped
+ *
+ * @example
+ * ```javascript
+ * const controller = new AbortController();
+ * const token = await resolveToken('XPR', getProtonSDK().rpc);
+ * await watchBalances([{ account: 'alice', token }], {
+ *   onChange: change => console.log(change.account, change.delta),
+ *   signal: controller.signal,
+ * });
+ * ```
+ */
+async function watchBalances(targets, options = {}) {
+  const intervalMs = options.intervalMs || config.balanceWatch.intervalSeconds * 1000;
+  const balances = new Map();
+  let failures = 0;
+  let polls = 0;
+  let changes = 0;
+
+  while (!(options.signal && options.signal.aborted)) {
+    let failed = null;
+
+    for (const { account, token } of targets) {
+      const key = `${account}:${token.symbol}`;
+      let balance;
+      try {
+        balance = await pollBalance(account, token);
+      } catch (error) {
+        failed = error;
+        continue;
+      }
+
+      const previous = balances.get(key);
+      balances.set(key, balance);
+
+      if (!previous) {
+        if (options.onBaseline) {
+          options.onBaseline({ account, symbol: token.symbol, balance: balance.toString() });
+        }
+      } else if (!balance.equals(previous)) {
+        const change = {
+          timestamp: new Date().toISOString(),
+          account: account,
+          symbol: token.symbol,
+          previous: previous.toString(),
+          balance: balance.toString(),
+          delta: formatDelta(balance.subtract(previous)),
+        };
+        changes++;
+
+        if (options.onChange) {
+          await options.onChange(change);
+        }
+        if (options.exec) {
+          await runChangeHook(options.exec, change);
+        }
+      }
+    }
+    polls++;
+
+    if (failed) {
+      failures++;
+      logger.warn(`Balance poll failed (${failures} in a row): ${failed.message}; retrying in ${Math.round(getPollDelay(intervalMs, failures) / 1000)}s`);
+    } else if (failures > 0) {
+      logger.info(`Balance polls succeeding again after ${failures} failure(s)`);
+      failures = 0;
+    }
+
+    try {
+      await sleep(getPollDelay(intervalMs, failures), undefined, { signal: options.signal });
+    } catch (error) {
+      break; // Aborted
+    }
+  }
+
+  return { polls, changes };
+}
+
+module.exports = {
+  watchBalances,
+};
@@ -0,0 +1,255 @@
+/**
+ * Batch Execution Plans for Proton Blockchain
+ *
+ * Before a batch is signed, `createBatchPlan` works out exactly what would
+ * be sent and how: totals per token, recipients, the split into
+ * transactions, and anything that looks wrong. A plan can be saved for
+ * review; its hash then pins the batch so that the approved plan is exactly
+ * the one that runs.
+ *
+ * Key Concepts:
+ * - The plan hash covers the chain ID, the sender, every transfer action
+ *   (contract, recipient, quantity, memo) and the chunk layout, so any
+ *   edit to the file, another sender or another chunk size changes it
+ * - Anomalies: duplicate recipients, accounts that do not exist, dust
+ *   amounts and outliers far above the median payment of the same token
+ * - Missing accounts are errors (the chain rejects the whole chunk); the
+ *   other anomalies are warnings for the reviewer
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { config } = require('../config');
+const { Asset } = require('../utils');
+const { hashContent } = require('../utils/journal');
+const { buildTransferActions, resolveTransferAuthorization, accountExists } = require('./token-transfer');
+const { hashBatch, estimateChunkSize, planChunks } = require('./batch-transfer');
+
+const PLAN_TYPE = 'batch-plan';
+
+/**
+ * Get the dust threshold for a token, rounded up to the token's precision
+ * @param {Object} token - Token info ({ symbol, precision, dustBelow? })
+ * @returns {Asset|null} Threshold, or null if dust is not flagged
+ * @throws {Error} If the configured threshold is not a number
+ */
+function getDustThreshold(token) {
+  const threshold = token.dustBelow !== undefined ? token.dustBelow : config.batch.dustBelow;
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`Invalid dust threshold for ${token.symbol}: ${threshold} (BATCH_DUST_BELOW or dustBelow)`);
+  }
+  return threshold > 0 ? Asset.fromNumber(threshold, token, 'ceil') : null;
+}
+
+/**
+ * Sum assets per token
+ * @param {Array<Asset>} assets - Amounts
+ * @returns {Map} symbol -> total
+ */
+function sumByToken(assets) {
+  const totals = new Map();
+  for (const asset of assets) {
+    totals.set(asset.symbol, totals.has(asset.symbol) ? totals.get(asset.symbol).add(asset) : asset);
+  }
+  return totals;
+}
+
+/**
+ * Find suspicious transfers
+ * @param {Array} transfers - Transfers ({ line, to, amount: Asset })
+ * @param {Map} tokens - symbol -> token info
+ * @param {Set} missing - Recipients that do not exist
+ * @returns {Object} { duplicates, missingAccounts, dust, outliers }
+ */
+function findAnomalies(transfers, tokens, missing) {
+  const byRecipient = new Map();
+  const bySymbol = new Map();
+
+  for (const transfer of transfers) {
+    if (!byRecipient.has(transfer.to)) {
+      byRecipient.set(transfer.to, []);
+    }
+    byRecipient.get(transfer.to).push(transfer.line);
+
+    if (!bySymbol.has(transfer.amount.symbol)) {
+      bySymbol.set(transfer.amount.symbol, []);
+    }
+    bySymbol.get(transfer.amount.symbol).push(transfer.amount);
+  }
+
+  const describe = transfer => ({ line: transfer.line, to: transfer.to, quantity: transfer.amount.toString() });
+
+  // Outliers: far above the median payment of the same token (needs a few payments to compare)
+  const medians = new Map();
+  for (const [symbol, amounts] of bySymbol) {
+    if (amounts.length >= 3 && config.batch.outlierFactor > 0) {
+      const sorted = [...amounts].sort((a, b) => a.compare(b));
+      medians.set(symbol, sorted[Math.floor((sorted.length - 1) / 2)]);
+    }
+  }
+  const isOutlier = (amount) => {
+    const median = medians.get(amount.symbol);
+    return median !== undefined && amount.greaterThan(median.multiplyByRatio(config.batch.outlierFactor, 1));
+  };
+
+  return {
+    duplicates: [...byRecipient]
+      .filter(([, lines]) => lines.length > 1)
+      .map(([to, lines]) => ({ to, count: lines.length, lines })),
+    missingAccounts: [...byRecipient]
+      .filter(([to]) => missing.has(to))
+      .map(([to, lines]) => ({ to, lines })),
+    dust: transfers
+      .filter((transfer) => {
+        const threshold = getDustThreshold(tokens.get(transfer.amount.symbol));
+        return threshold && transfer.amount.lessThan(threshold);
+      })
+      .map(describe),
+    outliers: transfers
+      .filter(transfer => isOutlier(transfer.amount))
+      .map(transfer => ({ ...describe(transfer), median: medians.get(transfer.amount.symbol).toString() })),
+  };
+}
+
+/**
+ * Create the execution plan for a batch
+ *
+ * @param {Array} transfers - Validated transfers ({ line, to, amount: Asset, memo })
+ * @param {Map} tokens - symbol -> token info (from the batch file check)
+ * @param {Object} options - Optional settings
+ * @param {number} options.chunkSize - Transfers per transaction (default: config.batch.chunkSize)
+ * @param {number} options.maxCpuUs - Size chunks by estimated CPU instead
+ * @param {string} options.permission - Sender permission
+ * @param {Array} options.authorization - Explicit authorizers
+ * @param {boolean} options.stripMemoInvisible - Remove invisible memo characters
+ * @param {string} options.source - Batch file the transfers came from
+ * @returns {Promise<Object>} Plan (planHash, batchHash, totals, chunks, anomalies, ...)
+ *
+ * @example
+ * ```javascript
+ * const plan = await createBatchPlan(transfers, tokens, { chunkSize: 50 });
+ * console.log(plan.planHash, plan.anomalies.outliers);
+ * ```
+ */
+async function createBatchPlan(transfers, tokens, options = {}) {
+  const from = config.account.name;
+  const authorization = resolveTransferAuthorization(options);
+  const actions = await buildTransferActions(transfers, authorization, from, options);
+  const batchHash = hashBatch(actions);
+
+  const maxCpuUs = options.maxCpuUs || config.batch.maxCpuUs;
+  const chunkSize = !options.chunkSize && maxCpuUs
+    ? await estimateChunkSize(actions, maxCpuUs, config.batch.chunkSize)
+    : options.chunkSize || config.batch.chunkSize;
+
+  const chunks = planChunks(actions.length, chunkSize).map(chunk => ({
+    index: chunk.index,
+    start: chunk.start,
+    end: chunk.end,
+    transfers: chunk.end - chunk.start,
+    totals: [...sumByToken(transfers.slice(chunk.start, chunk.end).map(transfer => transfer.amount)).values()].map(String),
+  }));
+
+  const recipients = [...new Set(transfers.map(transfer => transfer.to))];
+  const missing = new Set();
+  for (const recipient of recipients) {
+    if (!(await accountExists(recipient))) {
+      missing.add(recipient);
+    }
+  }
+
+  const planHash = hashContent({
+    type: PLAN_TYPE,
+    chainId: config.blockchain.chainId,
+    batchHash: batchHash,
+    chunks: chunks.map(chunk => [chunk.start, chunk.end]),
+  });
+
+  return {
+    type: PLAN_TYPE,
+    planHash: planHash,
+    batchHash: batchHash,
+    source: options.source || null,
+    chainId: config.blockchain.chainId,
+    from: from,
+    authorization: authorization.map(auth => `${auth.actor}@${auth.permission}`),
+    transfers: actions.map((action, i) => ({
+      line: transfers[i].line,
+      contract: action.account,
+      to: action.data.to,
+      quantity: action.data.quantity,
+      memo: action.data.memo,
+    })),
+    totals: [...sumByToken(transfers.map(transfer => transfer.amount)).values()].map(String),
+    recipients: recipients.length,
+    chunkSize: chunkSize,
+    chunks: chunks,
+    anomalies: findAnomalies(transfers, tokens, missing),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Save a plan for review
+ * @param {Object} plan - Plan from createBatchPlan
+ * @param {string} filePath - Output file
+ */
+function saveBatchPlan(plan, filePath) {
+  fs.writeFileSync(filePath, `${JSON.stringify(plan, null, 2)}\n`);
+}
+
+/**
+ * Format the reference that pins a plan: its hash and chunk size
+ *
+ * The chunk size travels with the hash so that running the plan never
+ * re-estimates it (a CPU estimate can drift between the plan and the run).
+ *
+ * @param {Object} plan - Plan from createBatchPlan
+ * @returns {string} "<planHash>:<chunkSize>"
+ */
+function formatPlanReference(plan) {
+  return `${plan.planHash}:${plan.chunkSize}`;
+}
+
+/**
+ * Read the approved plan to require: a plan reference, or a saved plan file
+ * @param {string} value - "<hash>:<chunkSize>" (from formatPlanReference) or plan file path
+ * @returns {Object} { planHash, chunkSize }
+ * @throws {Error} If the value is neither, or lacks the chunk size
+ */
+function readApprovedPlan(value) {
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    throw new Error('A plan hash alone does not fix the chunk size; use <hash>:<chunkSize> as printed with the plan, or the saved plan file');
+  }
+
+  const reference = /^([0-9a-f]{64}):([1-9]\d*)$/i.exec(value);
+  if (reference) {
+    return { planHash: reference[1].toLowerCase(), chunkSize: parseInt(reference[2], 10) };
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(value, 'utf8'));
+  } catch (error) {
+    throw new Error(`Required plan must be <hash>:<chunkSize> or a saved plan file: ${error.message}`);
+  }
+
+  if (!plan || plan.type !== PLAN_TYPE || !/^[0-9a-f]{64}$/.test(plan.planHash)) {
+    throw new Error(`${value} is not a batch plan file`);
+  }
+
+  if (!Number.isInteger(plan.chunkSize) || plan.chunkSize < 1) {
+    throw new Error(`${value} does not record the plan's chunk size; save the plan again with --plan`);
+  }
+
+  return { planHash: plan.planHash, chunkSize: plan.chunkSize };
+}
+
+module.exports = {
+  createBatchPlan,
+  saveBatchPlan,
+  formatPlanReference,
+  readApprovedPlan,
+};
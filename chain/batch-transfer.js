@@ -0,0 +1,357 @@
+/**
+ * Chunked Batch Transfers for Proton Blockchain
+ *
+ * A single transaction for a whole batch hits the transaction size and CPU
+ * limits on large payout lists, and one bad recipient fails the whole batch.
+ * This module splits a batch into chunks of N actions, sends one transaction
+ * per chunk and records progress in a journal file. `batchTransfer` in
+ * chain/token-transfer is a thin wrapper around `chunkedBatchTransfer`.
+ *
+ * Key Concepts:
+ * - Chunks are sized by action count (`chunkSize`) or by a CPU estimate
+ *   from `compute_transaction` (`maxCpuUs`)
+ * - Each chunk is signed locally and its transaction ID journaled *before*
+ *   it is pushed, so a crash mid-push can be resolved on the next run
+ * - A re-run re-pushes the same signed bytes for unresolved chunks: the chain
+ *   rejects duplicates, so no recipient is paid twice
+ * - The journal is keyed by a hash of the sender and transfers, so running
+ *   the same batch file again resumes it automatically
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { config } = require('../config');
+const { logger, formatError } = require('../utils');
+const { Journal, hashContent } = require('../utils/journal');
+const { getProtonSDK, buildTransferActions, resolveTransferAuthorization, simulateTransaction } = require('./token-transfer');
+const { verifyAuthorization } = require('./permissions');
+const { preflightTransfers, formatPreflightFailure } = require('./preflight');
+const { BROADCAST_STATUS, FINALITY_STATUS, signActions, pushSignedTransaction, waitForIrreversible } = require('./broadcast');
+
+/**
+ * Chunk statuses recorded in the journal: `pending` (not sent yet) plus the
+ * broadcast statuses (submitted, confirmed, failed, unknown)
+ */
+const CHUNK_STATUS = {
+  PENDING: 'pending',
+  ...BROADCAST_STATUS,
+};
+
+/**
+ * Hash a batch so the same list of transfers maps to the same journal
+ * @param {Array} actions - Transfer actions
+ * @returns {string} Batch hash
+ */
+function hashBatch(actions) {
+  return hashContent(actions.map(action => ({
+    contract: action.account,
+    from: action.data.from,
+    to: action.data.to,
+    quantity: action.data.quantity,
+    memo: action.data.memo,
+  })));
+}
+
+/**
+ * Get the default journal path for a batch
+ * @param {string} batchHash - Batch hash
+ * @returns {string} Journal file path
+ */
+function getJournalPath(batchHash) {
+  return path.join(config.storage.dataDir, 'journals', `batch-${batchHash.slice(0, 16)}.json`);
+}
+
+/**
+ * Estimate how many actions fit into one transaction under a CPU budget
+ *
+ * Simulates a sample chunk with `compute_transaction` and scales by the
+ * measured CPU per action.
+ *
+ * @param {Array} actions - Transfer actions
+ * @param {number} maxCpuUs - CPU budget per transaction (microseconds)
+ * @param {number} sampleSize - Number of actions to simulate
+ * @returns {number} Actions per chunk
+ */
+async function estimateChunkSize(actions, maxCpuUs, sampleSize = config.batch.chunkSize) {
+  const sample = actions.slice(0, Math.max(1, Math.min(sampleSize, actions.length)));
+  let simulation;
+  try {
+    simulation = await simulateTransaction(sample);
+  } catch (error) {
+    // E.g. a node without compute_transaction: fall back to the fixed size
+    simulation = { success: false, error: error.message };
+  }
+
+  if (!simulation.success || !simulation.estimatedCpuUs) {
+    logger.warn(`Could not estimate CPU usage (${simulation.error || 'no estimate'}); using ${sampleSize} actions per chunk`);
+    return sampleSize;
+  }
+
+  const cpuPerAction = simulation.estimatedCpuUs / sample.length;
+  const size = Math.max(1, Math.floor(maxCpuUs / cpuPerAction));
+
+  logger.info(`Estimated ${Math.round(cpuPerAction)} us CPU per transfer; ${size} transfers per chunk`);
+  return size;
+}
+
+/**
+ * Split action indices into chunks
+ * @param {number} count - Number of actions
+ * @param {number} size - Actions per chunk
+ * @returns {Array<Object>} Journal entries ({ index, start, end, status })
+ */
+function planChunks(count, size) {
+  const chunks = [];
+
+  for (let start = 0; start < count; start += size) {
+    chunks.push({
+      index: chunks.length,
+      start: start,
+      end: Math.min(start + size, count),
+      status: CHUNK_STATUS.PENDING,
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Sign a chunk locally and journal it before pushing
+ * @param {Api} api - API client
+ * @param {Journal} journal - Batch journal
+ * @param {Object} chunk - Journal entry
+ * @param {Array} actions - Actions of this chunk
+ * @returns {Object} Updated journal entry
+ */
+async function signChunk(api, journal, chunk, actions) {
+  const signed = await signActions(api, actions);
+  return journal.updateEntry(chunk.index, { status: CHUNK_STATUS.SUBMITTED, ...signed, error: undefined });
+}
+
+/**
+ * Push a journaled chunk and record the outcome
+ *
+ * Chain rejections mark the chunk failed. If the node never answers, the
+ * chunk stays submitted, since the transaction may or may not have landed.
+ *
+ * @param {Api} api - API client
+ * @param {Journal} journal - Batch journal
+ * @param {Object} chunk - Journal entry with signed transaction
+ * @param {Object} options - Optional settings ({ waitIrreversible, finalityTimeoutMs })
+ * @returns {Object} Updated journal entry
+ */
+async function pushChunk(api, journal, chunk, options = {}) {
+  const outcome = await pushSignedTransaction(api, chunk);
+  const entry = journal.updateEntry(chunk.index, { status: outcome.status, blockNumber: outcome.blockNumber, error: outcome.error });
+
+  if (!options.waitIrreversible || entry.status !== CHUNK_STATUS.CONFIRMED || !entry.blockNumber) {
+    return entry;
+  }
+
+  const finality = await waitForIrreversible(api, entry.transactionId, entry.blockNumber, {
+    expiration: entry.expiration,
+    timeoutMs: options.finalityTimeoutMs,
+  });
+  if (finality.status === FINALITY_STATUS.DROPPED) {
+    // Expired off chain: the next run signs the chunk afresh
+    return journal.updateEntry(chunk.index, { status: CHUNK_STATUS.FAILED, finality: finality.status, error: 'Dropped from its block and expired' });
+  }
+  if (finality.status === FINALITY_STATUS.UNKNOWN) {
+    return journal.updateEntry(chunk.index, { status: CHUNK_STATUS.UNKNOWN, finality: finality.status, blockNumber: finality.blockNumber, error: 'Forked out of its block, re-inclusion not confirmed' });
+  }
+
+  return journal.updateEntry(chunk.index, { finality: finality.status, blockNumber: finality.blockNumber });
+}
+
+/**
+ * Format a journal entry as a chunk result
+ * @param {Object} chunk - Journal entry
+ * @param {boolean} skipped - True if the chunk was confirmed by an earlier run
+ * @returns {Object} Chunk result
+ */
+function formatChunkResult(chunk, skipped = false) {
+  return {
+    index: chunk.index,
+    transfers: chunk.end - chunk.start,
+    status: chunk.status,
+    success: chunk.status === CHUNK_STATUS.CONFIRMED,
+    skipped: skipped,
+    transactionId: chunk.transactionId,
+    blockNumber: chunk.blockNumber,
+    finality: chunk.finality,
+    error: chunk.error,
+  };
+}
+
+/**
+ * Send a batch as several transactions with a resumable journal
+ *
+ * @param {Array} transfers - Array of transfer objects ({ to, amount, memo })
+ * @param {Object} options - Optional settings
+ * @param {number} options.chunkSize - Transfers per transaction (default: config.batch.chunkSize)
+ * @param {number} options.maxCpuUs - Size chunks by estimated CPU instead (default: config.batch.maxCpuUs)
+ * @param {string} options.journal - Journal file path (default: derived from the batch contents)
+ * @param {boolean} options.retryUnknown - Re-send chunks whose outcome is unknown (check them first!)
+ * @param {boolean} options.dryRun - Simulate each chunk without broadcasting or journaling
+ * @param {boolean} options.waitIrreversible - Wait until each chunk's block is irreversible
+ * @param {boolean} options.skipPreflight - Skip the balance/resource check before signing
+ * @param {boolean} options.stripMemoInvisible - Remove invisible/control characters from memos instead of rejecting them
+ * @param {string} options.permission - Sender permission to sign with
+ * @param {Array|string} options.authorization - Authorizers for every transfer
+ * @returns {Object} Batch result ({ success, batchHash, journal, chunks, confirmed, failed, pending });
+ *   `alreadyCompleted` (success false) when an earlier run with the same journal sent every chunk
+ *
+ * @example
+ * ```javascript
+ * const result = await chunkedBatchTransfer(transfers, { chunkSize: 50 });
+ * result.chunks.forEach(chunk => console.log(chunk.index, chunk.status, chunk.transactionId));
+ * ```
+ */
+async function chunkedBatchTransfer(transfers, options = {}) {
+  try {
+    const api = getProtonSDK();
+
+    const authorization = resolveTransferAuthorization(options);
+    const actions = await buildTransferActions(transfers, authorization, config.account.name, options);
+    await verifyAuthorization(api, authorization);
+
+    const batchHash = hashBatch(actions);
+    const journalPath = options.journal || getJournalPath(batchHash);
+    const journal = Journal.open(journalPath, { type: 'batch', batchHash });
+
+    if (journal.entries.length === 0) {
+      const size = options.maxCpuUs || config.batch.maxCpuUs
+        ? await estimateChunkSize(actions, options.maxCpuUs || config.batch.maxCpuUs, options.chunkSize || config.batch.chunkSize)
+        : options.chunkSize || config.batch.chunkSize;
+
+      if (!Number.isInteger(size) || size < 1) {
+        throw new Error(`Invalid chunk size: ${size}`);
+      }
+
+      journal.data.entries = planChunks(actions.length, size);
+    } else if (journal.entries.every(chunk => chunk.status === CHUNK_STATUS.CONFIRMED)) {
+      // Same transfers as a finished run (e.g. last month's payroll): not a success, nothing was paid now
+      const error = `This batch was already completed by an earlier run (journal ${journalPath}); nothing was sent. To send the same transfers again, pass --journal with a new file`;
+      logger.warn(error);
+      return {
+        success: false,
+        alreadyCompleted: true,
+        dryRun: Boolean(options.dryRun),
+        batchHash: batchHash,
+        journal: journalPath,
+        chunks: journal.entries.map(chunk => formatChunkResult(chunk, true)),
+        confirmed: journal.entries.length,
+        failed: 0,
+        pending: 0,
+        unknown: 0,
+        error: error,
+        timestamp: new Date().toISOString(),
+      };
+    } else {
+      logger.info(`Resuming batch from journal ${journalPath}`);
+    }
+
+    // Preflight what is left to send. Chunks of a resumed batch that were submitted
+    // may already have been paid, so only pending and failed chunks count
+    const remaining = journal.entries
+      .filter(chunk => chunk.status === CHUNK_STATUS.PENDING || chunk.status === CHUNK_STATUS.FAILED)
+      .flatMap(chunk => actions.slice(chunk.start, chunk.end));
+
+    if (remaining.length > 0 && config.preflight.enabled && !options.skipPreflight) {
+      const preflight = await preflightTransfers(api, remaining);
+      if (!preflight.ok) {
+        return { ...formatPreflightFailure(preflight), batchHash: batchHash, journal: journalPath };
+      }
+    }
+
+    if (!options.dryRun) {
+      journal.save();
+    }
+
+    logger.info(`Batch of ${actions.length} transfers in ${journal.entries.length} chunk(s); journal: ${journalPath}`);
+
+    const results = [];
+
+    for (const chunk of journal.entries) {
+      const chunkActions = actions.slice(chunk.start, chunk.end);
+      const label = `Chunk ${chunk.index + 1}/${journal.entries.length} (transfers ${chunk.start + 1}-${chunk.end})`;
+
+      if (chunk.status === CHUNK_STATUS.CONFIRMED) {
+        logger.info(`${label}: already confirmed (${chunk.transactionId}), skipping`);
+        results.push(formatChunkResult(chunk, true));
+        continue;
+      }
+
+      if (chunk.status === CHUNK_STATUS.UNKNOWN && !options.retryUnknown) {
+        logger.warn(`${label}: outcome unknown for ${chunk.transactionId}; verify it, then re-run with --retry-unknown`);
+        results.push(formatChunkResult(chunk));
+        continue;
+      }
+
+      if (options.dryRun) {
+        const simulation = await simulateTransaction(chunkActions);
+        logger.info(`${label}: ${simulation.success ? `ok, ~${simulation.estimatedCpuUs} us CPU` : simulation.error}`);
+        results.push({ index: chunk.index, transfers: chunkActions.length, status: simulation.success ? 'simulated' : CHUNK_STATUS.FAILED, ...simulation });
+        continue;
+      }
+
+      let entry = chunk;
+
+      // Signed in an earlier run: re-push the exact same bytes
+      if (chunk.status !== CHUNK_STATUS.SUBMITTED) {
+        entry = await signChunk(api, journal, chunk, chunkActions);
+      } else {
+        logger.info(`${label}: re-pushing previously signed transaction ${chunk.transactionId}`);
+      }
+
+      entry = await pushChunk(api, journal, entry, options);
+      results.push(formatChunkResult(entry));
+
+      if (entry.status === CHUNK_STATUS.CONFIRMED) {
+        logger.info(`${label}: confirmed in block ${entry.blockNumber || '?'} (${entry.transactionId})`);
+      } else {
+        logger.error(`${label}: ${entry.status} - ${entry.error}`);
+      }
+
+      // Outcome not settled (no answer from the node): stop and let a re-run resolve it
+      if (entry.status === CHUNK_STATUS.SUBMITTED) {
+        logger.error('Chunk outcome not settled; stopping. Re-run the same batch to resume');
+        break;
+      }
+    }
+
+    const count = status => journal.entries.filter(chunk => chunk.status === status).length;
+    const summary = {
+      confirmed: count(CHUNK_STATUS.CONFIRMED),
+      failed: count(CHUNK_STATUS.FAILED),
+      pending: count(CHUNK_STATUS.PENDING) + count(CHUNK_STATUS.SUBMITTED),
+      unknown: count(CHUNK_STATUS.UNKNOWN),
+    };
+
+    return {
+      success: options.dryRun
+        ? results.every(result => result.success)
+        : summary.confirmed === journal.entries.length,
+      dryRun: Boolean(options.dryRun),
+      batchHash: batchHash,
+      journal: journalPath,
+      chunks: results,
+      ...summary,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (error) {
+    logger.error('Batch transfer failed:', error.message);
+    return formatError(error);
+  }
+}
+
+module.exports = {
+  CHUNK_STATUS,
+  hashBatch,
+  getJournalPath,
+  estimateChunkSize,
+  planChunks,
+  chunkedBatchTransfer,
+};
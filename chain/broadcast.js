@@ -0,0 +1,538 @@
+/**
+ * Safe Broadcasting for Proton Blockchain
+ *
+ * Retrying `api.transact` after an error is not safe: if the first push
+ * reached the chain but the response was lost, the retry signs a *new*
+ * transaction (fresh TAPOS, new ID) and the recipient is paid twice.
+ *
+ * This module signs once, computes the transaction ID locally and only ever
+ * re-pushes those exact bytes. The chain de-duplicates identical
+ * transactions, so a re-push can never execute twice.
+ *
+ * Key Concepts:
+ * - Every submission carries an idempotency key, recorded in a local journal
+ *   together with the signed transaction before it is broadcast
+ * - Before a retry, the original transaction is looked up on chain
+ * - A key that already produced a confirmed transaction is rejected, so
+ *   re-running the same command cannot pay twice. Only a key the caller
+ *   passes protects a re-run; a generated key is random per call, and its
+ *   journal is pruned once the transaction is settled and expired
+ * - An unresolved transaction is looked up on chain before anything else:
+ *   it is re-pushed while it can still land, and only signed anew once it
+ *   expired without landing
+ * - Optionally, wait until the inclusion block is irreversible and confirm
+ *   the transaction was not forked out (status executed/irreversible/dropped/unknown)
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { logger, computeTransactionId, isChainRejection, formatError, sleep } = require('../utils');
+const { Journal, hashContent } = require('../utils/journal');
+
+/**
+ * Broadcast statuses
+ * - submitted: signed and (maybe) pushed, outcome not known yet
+ * - confirmed: accepted by the chain
+ * - failed: rejected by the chain (nothing was applied)
+ * - unknown: expired without a confirmation; check the transaction ID manually
+ */
+const BROADCAST_STATUS = {
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Finality statuses
+ * - executed: included in a block that may still be forked out
+ * - irreversible: included in an irreversible block
+ * - dropped: forked out, and expired without being re-included
+ * - unknown: forked out, and a re-inclusion could not be ruled out
+ */
+const FINALITY_STATUS = {
+  EXECUTED: 'executed',
+  IRREVERSIBLE: 'irreversible',
+  DROPPED: 'dropped',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Check if an error says the transaction is already on chain
+ * @param {Error} error - Error from push_transaction
+ * @returns {boolean} True for duplicate transaction errors
+ */
+function isDuplicateError(error) {
+  return /duplicate/i.test(error.message) || Boolean(error.json && error.json.error && error.json.error.name === 'tx_duplicate');
+}
+
+/**
+ * Check if an error says the transaction has expired
+ * @param {Error} error - Error from push_transaction
+ * @returns {boolean} True for expired transaction errors
+ */
+function isExpiredError(error) {
+  return /expired/i.test(error.message) || Boolean(error.json && error.json.error && error.json.error.name === 'expired_tx_exception');
+}
+
+/**
+ * Sign actions locally without broadcasting
+ * @param {Api} api - API client
+ * @param {Array} actions - Actions to sign
+ * @returns {Object} Signed transaction ({ transactionId, serializedTransaction (hex), signatures, expiration })
+ */
+async function signActions(api, actions) {
+  const signed = await api.transact({
+    actions: actions
+  }, {
+    broadcast: false,
+    sign: true,
+    expireSeconds: config.transaction.expireSeconds,
+    blocksBehind: config.transaction.blocksBehind
+  });
+
+  return {
+    transactionId: computeTransactionId(signed.serializedTransaction),
+    serializedTransaction: Buffer.from(signed.serializedTransaction).toString('hex'),
+    signatures: signed.signatures,
+    expiration: api.deserializeTransaction(signed.serializedTransaction).expiration,
+  };
+}
+
+/**
+ * Look up a transaction on chain
+ * @param {Api} api - API client
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object|null} { blockNumber } if found, null if the node does not know it
+ */
+async function findTransaction(api, transactionId) {
+  try {
+    const transaction = await api.rpc.get_transaction(transactionId);
+    return { blockNumber: transaction.block_num };
+  } catch (error) {
+    logger.debug(`Transaction ${transactionId} not found: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Push a signed transaction, re-pushing the same bytes on network errors
+ *
+ * Never signs anything new. Before each retry the transaction is looked up,
+ * so a push that landed without a response is recognized.
+ *
+ * @param {Api} api - API client
+ * @param {Object} signed - Signed transaction from `signActions`
+ * @param {Object} options - Optional settings
+ * @param {number} options.retries - Push attempts (default: 3)
+ * @param {number} options.baseDelay - Delay before the first retry in ms (default: 1000)
+ * @returns {Object} Outcome ({ status, blockNumber, error })
+ */
+async function pushSignedTransaction(api, signed, options = {}) {
+  const retries = options.retries || 3;
+  const baseDelay = options.baseDelay === undefined ? 1000 : options.baseDelay;
+  let lastError;
+
+  for (let attempt = 0; attempt < retries; attempt++) {
+    if (attempt > 0) {
+      const delay = baseDelay * Math.pow(2, attempt - 1);
+      logger.warn(`Push attempt ${attempt} failed (${lastError.message}); checking ${signed.transactionId} before retrying in ${delay}ms...`);
+      await sleep(delay);
+
+      const found = await findTransaction(api, signed.transactionId);
+      if (found) {
+        logger.info(`Transaction ${signed.transactionId} had already landed`);
+        return { status: BROADCAST_STATUS.CONFIRMED, blockNumber: found.blockNumber };
+      }
+    }
+
+    try {
+      const result = await api.rpc.push_transaction({
+        signatures: signed.signatures,
+        serializedTransaction: Uint8Array.from(Buffer.from(signed.serializedTransaction, 'hex')),
+      });
+
+      return {
+        status: BROADCAST_STATUS.CONFIRMED,
+        blockNumber: result.processed.block_num,
+        blockId: result.processed.block_id,
+      };
+    } catch (error) {
+      if (isDuplicateError(error)) {
+        logger.info(`Transaction ${signed.transactionId} was already on chain`);
+        const found = await findTransaction(api, signed.transactionId);
+        return { status: BROADCAST_STATUS.CONFIRMED, blockNumber: found ? found.blockNumber : undefined };
+      }
+
+      if (isExpiredError(error)) {
+        // Expired transactions can no longer land, but may have landed earlier
+        const found = await findTransaction(api, signed.transactionId);
+        return found
+          ? { status: BROADCAST_STATUS.CONFIRMED, blockNumber: found.blockNumber }
+          : { status: BROADCAST_STATUS.UNKNOWN, error: `Transaction ${signed.transactionId} expired and could not be found` };
+      }
+
+      if (isChainRejection(error)) {
+        return { status: BROADCAST_STATUS.FAILED, error: formatError(error).error };
+      }
+
+      // Network error: the transaction may or may not have landed
+      lastError = error;
+    }
+  }
+
+  return { status: BROADCAST_STATUS.SUBMITTED, error: lastError.message };
+}
+
+/**
+ * Check if a block contains a transaction
+ * @param {Object} block - Block from get_block
+ * @param {string} transactionId - Transaction ID
+ * @returns {boolean} True if the transaction is in the block
+ */
+function blockContainsTransaction(block, transactionId) {
+  return (block.transactions || []).some(receipt => {
+    const id = typeof receipt.trx === 'string' ? receipt.trx : receipt.trx && receipt.trx.id;
+    return id === transactionId && receipt.status === 'executed';
+  });
+}
+
+/**
+ * Wait until a transaction's block is irreversible
+ *
+ * Polls `get_info` until the last irreversible block (LIB) reaches the
+ * inclusion block, then checks that the transaction is still in it. If it
+ * was forked out, the irreversible blocks after it are scanned (and the
+ * node asked with `get_transaction`) for a re-inclusion, which is followed.
+ *
+ * It is only reported dropped once the scanned blocks are past its
+ * expiration, so it can no longer land. Without the expiration, or if the
+ * wait times out first, the outcome is `unknown`. Failed polls are retried
+ * until the timeout: the transaction was executed either way.
+ *
+ * @param {Api} api - API client
+ * @param {string} transactionId - Transaction ID
+ * @param {number} blockNumber - Block the transaction was included in
+ * @param {Object} options - Optional settings
+ * @param {string} options.expiration - Transaction expiration (chain time, UTC without zone)
+ * @param {number} options.timeoutMs - Give up after this long (default: config.finality.timeoutMs)
+ * @param {number} options.pollIntervalMs - Delay between polls (default: config.finality.pollIntervalMs)
+ * @returns {Object} { status, blockNumber, lastIrreversibleBlock }; status stays `executed` on timeout
+ *
+ * @example
+ * ```javascript
+ * const finality = await waitForIrreversible(api, result.transactionId, result.blockNumber, { expiration });
+ * if (finality.status === 'dropped') console.error('Transaction was forked out');
+ * ```
+ */
+async function waitForIrreversible(api, transactionId, blockNumber, options = {}) {
+  const timeoutMs = options.timeoutMs || config.finality.timeoutMs;
+  const pollIntervalMs = options.pollIntervalMs || config.finality.pollIntervalMs;
+  const expiration = options.expiration ? new Date(`${options.expiration}Z`).getTime() : null;
+  const deadline = Date.now() + timeoutMs;
+  let lastIrreversibleBlock = 0;
+  let scannedBlock = null; // Last block searched after a fork, with its time
+  let scannedTime = null;
+
+  logger.info(`Waiting for block ${blockNumber} to become irreversible...`);
+
+  while (Date.now() < deadline) {
+    try {
+      const info = await api.rpc.get_info();
+      lastIrreversibleBlock = info.last_irreversible_block_num;
+
+      if (lastIrreversibleBlock >= blockNumber) {
+        if (scannedBlock === null) {
+          const block = await api.rpc.get_block(blockNumber);
+          if (blockContainsTransaction(block, transactionId)) {
+            logger.info(`Transaction ${transactionId} is irreversible (block ${blockNumber}, LIB ${lastIrreversibleBlock})`);
+            return { status: FINALITY_STATUS.IRREVERSIBLE, blockNumber, lastIrreversibleBlock };
+          }
+
+          logger.warn(`Transaction ${transactionId} is not in block ${blockNumber} any more (forked out); looking for it in later blocks`);
+          scannedBlock = blockNumber;
+          scannedTime = new Date(`${block.timestamp}Z`).getTime();
+        }
+
+        // Forked out of its block; it may have been re-included in a later one
+        while (scannedBlock < lastIrreversibleBlock) {
+          const block = await api.rpc.get_block(scannedBlock + 1);
+          scannedBlock++;
+          scannedTime = new Date(`${block.timestamp}Z`).getTime();
+
+          if (blockContainsTransaction(block, transactionId)) {
+            logger.info(`Transaction ${transactionId} was re-included in block ${scannedBlock}, which is irreversible (LIB ${lastIrreversibleBlock})`);
+            return { status: FINALITY_STATUS.IRREVERSIBLE, blockNumber: scannedBlock, lastIrreversibleBlock };
+          }
+        }
+
+        // Nodes with a history API may know a block not scanned yet
+        const found = await findTransaction(api, transactionId);
+        if (found && found.blockNumber && found.blockNumber > scannedBlock) {
+          logger.warn(`Transaction ${transactionId} moved from block ${blockNumber} to ${found.blockNumber}`);
+          blockNumber = found.blockNumber;
+          scannedBlock = null;
+          continue;
+        }
+
+        if (expiration !== null && scannedTime > expiration) {
+          logger.error(`Transaction ${transactionId} expired without being re-included (searched blocks up to ${scannedBlock}): dropped`);
+          return { status: FINALITY_STATUS.DROPPED, blockNumber, lastIrreversibleBlock };
+        }
+
+        if (expiration === null) {
+          logger.warn(`Transaction ${transactionId} was forked out of block ${blockNumber} and not found up to block ${scannedBlock}; check it before sending again`);
+          return { status: FINALITY_STATUS.UNKNOWN, blockNumber, lastIrreversibleBlock };
+        }
+
+        // Not expired yet, so it can still land: keep searching as LIB advances
+      } else {
+        logger.debug(`LIB ${lastIrreversibleBlock}, waiting for ${blockNumber}`);
+      }
+    } catch (error) {
+      logger.warn(`Finality poll failed (${error.message}); retrying`);
+    }
+
+    await sleep(pollIntervalMs);
+  }
+
+  if (scannedBlock !== null) {
+    logger.warn(`Timed out after ${timeoutMs}ms looking for forked-out transaction ${transactionId} (searched up to block ${scannedBlock})`);
+    return { status: FINALITY_STATUS.UNKNOWN, blockNumber, lastIrreversibleBlock, timedOut: true };
+  }
+
+  logger.warn(`Timed out after ${timeoutMs}ms waiting for block ${blockNumber} (LIB ${lastIrreversibleBlock})`);
+  return { status: FINALITY_STATUS.EXECUTED, blockNumber, lastIrreversibleBlock, timedOut: true };
+}
+
+/**
+ * Get the journal path for an idempotency key
+ * @param {string} from - Sending account
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {string} Journal file path
+ */
+function getIdempotencyJournalPath(from, idempotencyKey) {
+  const digest = crypto.createHash('sha256').update(`${from}:${idempotencyKey}`).digest('hex');
+  return path.join(config.storage.dataDir, 'idempotency', `${digest.slice(0, 32)}.json`);
+}
+
+/**
+ * Remove journals of generated keys that can no longer matter
+ *
+ * A generated key is never passed again, so once its transaction is
+ * confirmed or failed and has expired (it cannot be re-pushed), the journal
+ * only takes up space. Journals of caller keys are kept: they are what
+ * rejects a repeated key.
+ *
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number} Number of journals removed
+ */
+function pruneIdempotencyJournals(now = Date.now()) {
+  const directory = path.join(config.storage.dataDir, 'idempotency');
+  if (!fs.existsSync(directory)) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json'))) {
+    const filePath = path.join(directory, file);
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const entry = data.entries && data.entries[0];
+      const settled = entry && [BROADCAST_STATUS.CONFIRMED, BROADCAST_STATUS.FAILED].includes(entry.status);
+
+      if (data.generatedKey && settled && entry.expiration
+        && new Date(`${entry.expiration}Z`).getTime() + config.storage.generatedKeyRetentionMs < now) {
+        fs.unlinkSync(filePath);
+        removed++;
+      }
+    } catch (error) {
+      logger.debug(`Skipping idempotency journal ${filePath}: ${error.message}`);
+    }
+  }
+
+  if (removed > 0) {
+    logger.debug(`Pruned ${removed} idempotency journal(s) of generated keys`);
+  }
+  return removed;
+}
+
+/**
+ * Settle a journal entry whose outcome was not known
+ *
+ * Looks the transaction up on chain. If it landed, it is confirmed. If not,
+ * it is re-pushed while the chain can still accept it, and only marked
+ * failed (so it is signed anew) once the chain's head is past its expiration.
+ *
+ * @param {Api} api - API client
+ * @param {Object} entry - Journal entry with status `unknown`
+ * @returns {Object} Fields to update ({ status, blockNumber?, error? })
+ */
+async function settleUnknownEntry(api, entry) {
+  const found = await findTransaction(api, entry.transactionId);
+  if (found) {
+    logger.info(`Transaction ${entry.transactionId} had landed in block ${found.blockNumber}`);
+    return { status: BROADCAST_STATUS.CONFIRMED, blockNumber: found.blockNumber, error: undefined };
+  }
+
+  // Chain time, not the local clock: a fast clock must not declare it expired early
+  const info = await api.rpc.get_info();
+  if (new Date(`${info.head_block_time}Z`).getTime() > new Date(`${entry.expiration}Z`).getTime()) {
+    logger.warn(`Transaction ${entry.transactionId} expired without landing; signing the actions again`);
+    return { status: BROADCAST_STATUS.FAILED, error: 'Expired without landing' };
+  }
+
+  logger.info(`Transaction ${entry.transactionId} has not landed and has not expired; re-pushing it`);
+  return { status: BROADCAST_STATUS.SUBMITTED };
+}
+
+/**
+ * Sign and broadcast actions at most once per idempotency key
+ *
+ * 1. If the key was used before: a confirmed transaction is rejected as a
+ *    repeat; an unresolved one is looked up on chain first, then re-pushed
+ *    with its original bytes (or signed anew once it expired unseen)
+ * 2. Otherwise the actions are signed, the transaction ID is computed
+ *    locally and journaled, and only then broadcast
+ *
+ * @param {Api} api - API client
+ * @param {Array} actions - Actions to broadcast
+ * @param {Object} options - Optional settings
+ * @param {string} options.idempotencyKey - Client key for this submission (default: random, which
+ *   protects retries within this call but not a re-run)
+ * @param {string} options.from - Account the key is scoped to (default: config.account.name)
+ * @param {boolean} options.waitIrreversible - Wait for finality before returning
+ * @param {number} options.finalityTimeoutMs - Finality timeout (default: config.finality.timeoutMs)
+ * @returns {Object} Result ({ success, status, transactionId, blockNumber, idempotencyKey, timestamp });
+ *   status is `submitted` or `unknown` (success false) when the outcome could not be determined
+ * @throws {Error} If the key was already used, or the chain rejected the transaction
+ *
+ * @example
+ * ```javascript
+ * const result = await transactOnce(api, [action], { idempotencyKey: 'invoice-1042' });
+ * // Running it again with 'invoice-1042' throws instead of paying twice
+ * ```
+ */
+async function transactOnce(api, actions, options = {}) {
+  const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+  const from = options.from || config.account.name;
+  const actionsHash = hashContent(actions);
+
+  pruneIdempotencyJournals();
+
+  const journal = Journal.open(getIdempotencyJournalPath(from, idempotencyKey), {
+    type: 'transaction',
+    from,
+    idempotencyKey,
+    ...(!options.idempotencyKey && { generatedKey: true }),
+  });
+  let entry = journal.entries[0];
+  let outcome = null;
+
+  if (entry && entry.actionsHash !== actionsHash) {
+    throw new Error(`Idempotency key ${idempotencyKey} was already used for different actions`);
+  }
+
+  if (entry && entry.status === BROADCAST_STATUS.CONFIRMED) {
+    throw new Error(`Idempotency key ${idempotencyKey} was already used: transaction ${entry.transactionId} is confirmed`);
+  }
+
+  if (entry && entry.status === BROADCAST_STATUS.UNKNOWN) {
+    logger.info(`Resolving idempotency key ${idempotencyKey}: looking up transaction ${entry.transactionId}`);
+    journal.updateEntry(0, await settleUnknownEntry(api, entry));
+    if (entry.status === BROADCAST_STATUS.CONFIRMED) {
+      outcome = { status: BROADCAST_STATUS.CONFIRMED, blockNumber: entry.blockNumber };
+    }
+  }
+
+  if (outcome) {
+    logger.info(`Idempotency key ${idempotencyKey} resolved: transaction ${entry.transactionId} is confirmed`);
+  } else if (entry && entry.status === BROADCAST_STATUS.SUBMITTED) {
+    logger.info(`Resuming idempotency key ${idempotencyKey}: re-pushing transaction ${entry.transactionId}`);
+  } else {
+    // New key, or the previous attempt was rejected by the chain: sign afresh
+    const signed = await signActions(api, actions);
+    journal.data.entries = [{ actionsHash, status: BROADCAST_STATUS.SUBMITTED, ...signed }];
+    journal.save();
+    entry = journal.entries[0];
+  }
+
+  logger.info(`Idempotency key: ${idempotencyKey}`);
+  logger.info(`Transaction ID (computed locally): ${entry.transactionId}`);
+
+  if (!outcome) {
+    outcome = await pushSignedTransaction(api, entry, options);
+    journal.updateEntry(0, { status: outcome.status, blockNumber: outcome.blockNumber, error: outcome.error });
+  }
+
+  if (outcome.status === BROADCAST_STATUS.CONFIRMED) {
+    const result = {
+      success: true,
+      status: FINALITY_STATUS.EXECUTED,
+      transactionId: entry.transactionId,
+      blockId: outcome.blockId,
+      blockNumber: outcome.blockNumber,
+      idempotencyKey: idempotencyKey,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (options.waitIrreversible && outcome.blockNumber) {
+      const finality = await waitForIrreversible(api, entry.transactionId, outcome.blockNumber, {
+        expiration: entry.expiration,
+        timeoutMs: options.finalityTimeoutMs,
+      });
+      Object.assign(result, finality);
+
+      if (finality.status === FINALITY_STATUS.DROPPED) {
+        // Expired off chain: re-running with the same key signs it afresh
+        journal.updateEntry(0, { status: BROADCAST_STATUS.FAILED, finality: finality.status, error: 'Dropped from its block and expired' });
+        result.success = false;
+        result.error = `Transaction ${entry.transactionId} was dropped (forked out) and expired; re-run with idempotency key ${idempotencyKey} to send it again`;
+      } else if (finality.status === FINALITY_STATUS.UNKNOWN) {
+        journal.updateEntry(0, { status: BROADCAST_STATUS.UNKNOWN, finality: finality.status, error: 'Forked out of its block, re-inclusion not confirmed' });
+        result.success = false;
+        result.error = `Transaction ${entry.transactionId} was forked out of block ${finality.blockNumber} and may or may not have been re-included; check it with "tx ${entry.transactionId}" before sending again`;
+      } else {
+        journal.updateEntry(0, { finality: finality.status, blockNumber: finality.blockNumber });
+      }
+    }
+
+    return result;
+  }
+
+  // Not settled: the transaction may or may not be on chain. Report it instead of
+  // throwing, so callers can tell "rejected" from "re-run to resolve"
+  if (outcome.status === BROADCAST_STATUS.SUBMITTED || outcome.status === BROADCAST_STATUS.UNKNOWN) {
+    return {
+      success: false,
+      status: outcome.status,
+      transactionId: entry.transactionId,
+      idempotencyKey: idempotencyKey,
+      error: outcome.status === BROADCAST_STATUS.SUBMITTED
+        ? `Outcome of transaction ${entry.transactionId} is unknown (${outcome.error}); re-run with idempotency key ${idempotencyKey} to resolve it`
+        : outcome.error,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  throw new Error(outcome.error);
+}
+
+module.exports = {
+  BROADCAST_STATUS,
+  FINALITY_STATUS,
+  isDuplicateError,
+  isExpiredError,
+  signActions,
+  findTransaction,
+  pushSignedTransaction,
+  waitForIrreversible,
+  getIdempotencyJournalPath,
+  pruneIdempotencyJournals,
+  transactOnce,
+};
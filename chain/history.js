@@ -0,0 +1,287 @@
+/**
+ * Transfer History for Proton Blockchain
+ *
+ * Nodes only keep current state (balances), not who paid whom. Past
+ * transfers come from a Hyperion-compatible history API
+ * (`/v2/history/get_actions`), which indexes every action by account.
+ *
+ * Key Concepts:
+ * - Direction, counterparty, token and date range are sent to the API as
+ *   filters; the memo substring is matched locally
+ * - Results are newest first. A page ends with `nextCursor` when more
+ *   transfers match; pass it back (with the same filters) for the next page.
+ *   The cursor is anchored on the last action read (its time and
+ *   `global_sequence`), so transfers arriving between pages do not shift it
+ * - Read-only: no key and no chain connection needed, only the history API
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const { config, getNetworkType } = require('../config');
+const { logger } = require('../utils');
+
+const DIRECTIONS = ['in', 'out', 'all'];
+
+/**
+ * Get the history API endpoint
+ * @param {string} endpoint - Explicit endpoint (optional)
+ * @returns {string} Base URL without trailing slash
+ * @throws {Error} If none is configured and the chain has no default
+ */
+function getHistoryEndpoint(endpoint) {
+  const url = endpoint || config.history.endpoint || config.history.defaults[getNetworkType()];
+  if (!url) {
+    throw new Error('No history API for this chain: set HISTORY_ENDPOINT or pass --endpoint');
+  }
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Parse a date filter
+ * @param {string} value - ISO date or date-time ("2024-05-01", "2024-05-01T12:00:00Z")
+ * @param {string} name - Option name, for the error message
+ * @returns {string} ISO timestamp
+ * @throws {Error} If the date is invalid
+ */
+function parseDateFilter(value, name) {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value} (use YYYY-MM-DD or an ISO date-time)`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} anchor - Last action read ({ timestamp, sequence }) and results to skip at its time
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(anchor) {
+  return Buffer.from(JSON.stringify(anchor)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} { timestamp, sequence, skip }
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const anchor = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof anchor.timestamp === 'string' && !isNaN(Date.parse(`${anchor.timestamp}Z`))
+      && Number.isSafeInteger(anchor.sequence) && Number.isInteger(anchor.skip) && anchor.skip >= 0) {
+      return anchor;
+    }
+  } catch (error) {
+    // Fall through
+  }
+  throw new Error(`Invalid cursor: ${cursor}`);
+}
+
+/**
+ * Upper time bound for the actions after an anchor
+ *
+ * One millisecond past the anchor, so actions sharing its time are
+ * included whether the API treats `before` as inclusive or not; the ones
+ * already read are dropped by their global sequence.
+ *
+ * @param {Object} anchor - { timestamp } of the last action read (chain time)
+ * @returns {string} ISO timestamp
+ */
+function anchorBound(anchor) {
+  return new Date(Date.parse(`${anchor.timestamp}Z`) + 1).toISOString();
+}
+
+/**
+ * Build the get_actions query for the filters the API can apply
+ */
+function buildQuery(account, options) {
+  const query = {
+    account: account,
+    filter: `${options.contract || '*'}:transfer`,
+    sort: 'desc',
+  };
+
+  if (options.direction === 'in') {
+    query['transfer.to'] = account;
+    if (options.counterparty) {
+      query['transfer.from'] = options.counterparty;
+    }
+  } else if (options.direction === 'out') {
+    query['transfer.from'] = account;
+    if (options.counterparty) {
+      query['transfer.to'] = options.counterparty;
+    }
+  }
+
+  if (options.symbol) {
+    query['transfer.symbol'] = options.symbol.toUpperCase();
+  }
+  if (options.after) {
+    query.after = parseDateFilter(options.after, 'after');
+  }
+  if (options.before) {
+    query.before = parseDateFilter(options.before, 'before');
+  }
+
+  return query;
+}
+
+/**
+ * Turn a get_actions result into a transfer record
+ * @param {Object} action - Hyperion action
+ * @param {string} account - Account the history is for
+ * @returns {Object|null} Transfer, or null if the action is not a token transfer
+ */
+function toTransferRecord(action, account) {
+  const data = action.act && action.act.data;
+  if (!data || !data.quantity || !data.from || !data.to) {
+    return null;
+  }
+
+  let direction = 'self';
+  if (data.from === account && data.to !== account) {
+    direction = 'out';
+  } else if (data.to === account && data.from !== account) {
+    direction = 'in';
+  }
+
+  return {
+    timestamp: action['@timestamp'] || action.timestamp,
+    direction: direction,
+    from: data.from,
+    to: data.to,
+    quantity: data.quantity,
+    memo: data.memo || '',
+    contract: action.act.account,
+    transactionId: action.trx_id,
+    blockNumber: action.block_num,
+  };
+}
+
+/**
+ * Check the filters applied locally
+ */
+function matchesLocalFilters(transfer, options) {
+  if (options.direction && options.direction !== 'all' && transfer.direction !== options.direction) {
+    return false;
+  }
+  if (options.counterparty && transfer.from !== options.counterparty && transfer.to !== options.counterparty) {
+    return false;
+  }
+  if (options.symbol && transfer.quantity.split(' ')[1] !== options.symbol.toUpperCase()) {
+    return false;
+  }
+  if (options.memo && !transfer.memo.toLowerCase().includes(options.memo.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get token transfers sent or received by an account
+ *
+ * @param {string} account - Account name
+ * @param {Object} options - Optional filters and settings
+ * @param {string} options.direction - in, out or all (default: all)
+ * @param {string} options.counterparty - Only transfers with this account
+ * @param {string} options.symbol - Only this token (e.g. XPR)
+ * @param {string} options.contract - Only this token contract (e.g. eosio.token)
+ * @param {string} options.after - Only transfers after this date (ISO)
+ * @param {string} options.before - Only transfers before this date (ISO)
+ * @param {string} options.memo - Only memos containing this text (case-insensitive)
+ * @param {number} options.limit - Transfers per page (default: 20)
+ * @param {string} options.cursor - `nextCursor` of the previous page
+ * @param {string} options.endpoint - History API base URL (default: HISTORY_ENDPOINT or the network default)
+ * @returns {Promise<Object>} { account, transfers, nextCursor }
+ * @throws {Error} If a filter is invalid or the history API fails
+ *
+ * @example
+ * ```javascript
+ * const page = await getTransferHistory('alice', { direction: 'in', symbol: 'XPR', memo: 'invoice' });
+ * page.transfers.forEach(t => console.log(t.timestamp, t.from, t.quantity, t.memo));
+ * if (page.nextCursor) {
+ *   const next = await getTransferHistory('alice', { direction: 'in', symbol: 'XPR', memo: 'invoice', cursor: page.nextCursor });
+ * }
+ * ```
+ */
+async function getTransferHistory(account, options = {}) {
+  const direction = options.direction || 'all';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid direction: ${direction}. Use one of ${DIRECTIONS.join(', ')}`);
+  }
+
+  const filters = { ...options, direction };
+  const limit = options.limit || 20;
+  const endpoint = getHistoryEndpoint(options.endpoint);
+  const query = buildQuery(account, filters);
+  const pageSize = config.history.pageSize;
+
+  // Anchor: the last action read. Everything at or newer than it was already seen
+  let anchor = options.cursor ? decodeCursor(options.cursor) : null;
+  logger.debug(`History query: ${endpoint} ${JSON.stringify(query)}`);
+  const transfers = [];
+  let more = true;
+
+  // Local filters (memo, ...) may drop results, so keep reading until the page is full
+  while (transfers.length < limit && more) {
+    const params = anchor
+      ? { ...query, before: anchorBound(anchor), skip: anchor.skip, limit: pageSize }
+      : { ...query, skip: 0, limit: pageSize };
+
+    let response;
+    try {
+      response = await axios.get(`${endpoint}/v2/history/get_actions`, {
+        params: params,
+        timeout: config.history.timeoutMs,
+      });
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw new Error(`History API request failed (${endpoint}): ${reason}`);
+    }
+
+    const actions = (response.data && response.data.actions) || [];
+
+    let consumed = 0;
+    let last = null;
+    for (const action of actions) {
+      consumed++;
+      if (anchor && action.global_sequence >= anchor.sequence) {
+        continue; // Shares the anchor's time and was read before
+      }
+      last = action;
+
+      const transfer = toTransferRecord(action, account);
+      if (transfer && matchesLocalFilters(transfer, filters)) {
+        transfers.push(transfer);
+        if (transfers.length === limit) {
+          break;
+        }
+      }
+    }
+
+    if (last) {
+      anchor = { timestamp: last['@timestamp'] || last.timestamp, sequence: last.global_sequence, skip: 0 };
+    } else if (anchor) {
+      // A full page of actions at the anchor's time, all read before: step over them
+      anchor = { ...anchor, skip: anchor.skip + consumed };
+    }
+
+    // More to read if this page was full or was not read to the end
+    more = actions.length === pageSize || consumed < actions.length;
+  }
+
+  return {
+    account: account,
+    transfers: transfers,
+    nextCursor: more && anchor ? encodeCursor(anchor) : null,
+  };
+}
+
+module.exports = {
+  DIRECTIONS,
+  getTransferHistory,
+};
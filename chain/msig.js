@@ -0,0 +1,458 @@
+/**
+ * Multisig (eosio.msig) Proposals for Proton Blockchain
+ *
+ * An account controlled by several keys or accounts (e.g. a 2-of-3 treasury)
+ * cannot sign a transfer alone. Instead, one signer proposes the transaction
+ * to `eosio.msig`, the other signers approve it with their own keys, and
+ * anyone executes it once the permission's threshold is met.
+ *
+ * Key Concepts:
+ * - A proposal is stored on-chain as a packed transaction under
+ *   (proposer, proposal_name) in the `proposal` table
+ * - Requested and provided approvals live in the `approvals2` table
+ * - Only permission levels (account@permission) can approve, not keys
+ * - Approvals include the proposal hash, so a proposal replaced after
+ *   review (cancel + re-propose under the same name) cannot be approved by mistake
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { logger, validateName, validateAccountName, formatError, describeAction } = require('../utils');
+const { getProtonSDK, buildTransferActions, resolveTransferAuthorization, simulateTransaction } = require('./token-transfer');
+const { resolveAuthorization, getAuthorityAccounts, checkApprovals, verifyAuthorization } = require('./permissions');
+const { transactOnce } = require('./broadcast');
+
+// Characters allowed in Antelope names (excluding ".")
+const NAME_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz12345';
+
+/**
+ * Generate a random proposal name (e.g. "xferk3n1qzab")
+ * @returns {string} Proposal name
+ */
+function generateProposalName() {
+  let name = 'xfer';
+  for (let i = 0; i < 8; i++) {
+    name += NAME_CHARACTERS[crypto.randomInt(NAME_CHARACTERS.length)];
+  }
+  return name;
+}
+
+/**
+ * Sign and push msig actions with the local key
+ * @param {Array} actions - Actions to push
+ * @param {Array<Object>} authorization - Authorization that signs the actions
+ * @param {Object} options - Optional settings ({ dryRun, idempotencyKey })
+ * @returns {Object} Result object, formatted like `formatTransactionResult`
+ */
+async function pushMsigActions(actions, authorization, options = {}) {
+  const api = getProtonSDK();
+
+  // Make sure the loaded key(s) can actually sign for these permissions
+  await verifyAuthorization(api, authorization);
+
+  if (options.dryRun) {
+    return simulateTransaction(actions);
+  }
+
+  return transactOnce(api, actions, { idempotencyKey: options.idempotencyKey });
+}
+
+/**
+ * Build an msig action signed by the local account
+ * @param {string} name - Action name (approve, unapprove, exec, cancel)
+ * @param {Object} data - Action data
+ * @param {Array<Object>} authorization - Authorization list
+ * @returns {Object} Action
+ */
+function buildMsigAction(name, data, authorization) {
+  return {
+    account: config.msig.contract,
+    name: name,
+    authorization: authorization,
+    data: data,
+  };
+}
+
+/**
+ * Normalize approval rows from the `approvals2` (or legacy `approvals`) table
+ * @param {Array} approvals - Approval entries ({ level, time } or { actor, permission })
+ * @returns {Array<Object>} Permission levels ({ actor, permission })
+ */
+function normalizeApprovals(approvals = []) {
+  return approvals.map(approval => approval.level || approval);
+}
+
+/**
+ * Propose a transfer or batch from a multisig account
+ *
+ * The proposed transaction moves funds from `account` and is signed later by
+ * the approvers. The proposal itself is signed by the local account
+ * (`config.account.name`) with the configured permission.
+ *
+ * @param {string} account - Multisig account that sends the funds (e.g. "treasury")
+ * @param {Array} transfers - Array of transfer objects ({ to, amount, memo })
+ * @param {Object} options - Optional settings
+ * @param {string} options.proposalName - Proposal name (default: generated)
+ * @param {Array|string} options.requested - Approvers as "actor@permission" (default: accounts in the account's permission)
+ * @param {string} options.accountPermission - Permission of the multisig account (default: active)
+ * @param {number} options.expireSeconds - Seconds until the proposal expires
+ * @param {string} options.permission - Proposer permission to sign with
+ * @param {boolean} options.stripMemoInvisible - Remove invisible/control characters from memos instead of rejecting them
+ * @param {boolean} options.dryRun - Sign and simulate without broadcasting
+ * @returns {Object} Result object with proposer, proposalName, requested and actions
+ *
+ * @example
+ * ```javascript
+ * const result = await proposeTransfer('treasury', [{ to: 'vendor', amount: '500.0000 XPR' }], {
+ *   requested: ['alice@active', 'bob@active', 'carol@active'],
+ * });
+ * console.log('Proposal:', result.proposalName);
+ * ```
+ */
+async function proposeTransfer(account, transfers, options = {}) {
+  try {
+    validateAccountName(account);
+
+    const api = getProtonSDK();
+    const proposer = config.account.name;
+    const proposalName = options.proposalName || generateProposalName();
+    validateName(proposalName, 'Proposal name');
+
+    // The proposed transfers are authorized by the multisig account itself
+    const accountLevel = { actor: account, permission: options.accountPermission || 'active' };
+    const actions = await buildTransferActions(transfers, [accountLevel], account, options);
+
+    // Default approvers are the accounts that make up the multisig permission
+    const requested = options.requested
+      ? resolveAuthorization({ authorization: options.requested })
+      : await getAuthorityAccounts(api.rpc, accountLevel);
+
+    if (requested.length === 0) {
+      throw new Error(`${account}@${accountLevel.permission} has no account approvers; pass the requested approvers explicitly`);
+    }
+
+    const expireSeconds = options.expireSeconds || config.msig.proposalExpireSeconds;
+    const trx = {
+      expiration: new Date(Date.now() + expireSeconds * 1000).toISOString().slice(0, -5),
+      ref_block_num: 0,
+      ref_block_prefix: 0,
+      max_net_usage_words: 0,
+      max_cpu_usage_ms: 0,
+      delay_sec: 0,
+      context_free_actions: [],
+      actions: await api.serializeActions(actions),
+      transaction_extensions: [],
+    };
+
+    const authorization = resolveTransferAuthorization(options);
+    const proposeAction = buildMsigAction('propose', {
+      proposer: proposer,
+      proposal_name: proposalName,
+      requested: requested,
+      trx: trx,
+    }, authorization);
+
+    logger.info(`Proposing ${proposer}/${proposalName} from ${account} (${actions.length} action(s))`);
+    actions.forEach((action, index) => logger.info(`  ${index + 1}. ${describeAction(action)}`));
+    logger.info(`Requested approvals: ${requested.map(level => `${level.actor}@${level.permission}`).join(', ')}`);
+
+    const result = await pushMsigActions([proposeAction], authorization, options);
+    if (result.success && !result.dryRun) {
+      logger.info(`Proposal ${proposer}/${proposalName} created`);
+    }
+
+    return { ...result, proposer, proposalName, requested, actions };
+  } catch (error) {
+    logger.error('Proposal failed:', error.message);
+    return formatError(error);
+  }
+}
+
+/**
+ * Decode a proposal row into readable actions and approval status
+ * @param {Api} api - API client
+ * @param {string} proposer - Proposer account
+ * @param {Object} row - Row from the `proposal` table
+ * @param {Object} approvals - Row from the `approvals2` table (optional)
+ * @returns {Object} Decoded proposal
+ */
+async function decodeProposal(api, proposer, row, approvals) {
+  const transaction = await api.deserializeTransactionWithActions(row.packed_transaction);
+  const requested = normalizeApprovals(approvals && approvals.requested_approvals);
+  const provided = normalizeApprovals(approvals && approvals.provided_approvals);
+
+  // Every distinct authorizer of the proposed actions must be satisfied
+  const seen = new Set();
+  const authorization = [];
+  for (const action of transaction.actions) {
+    for (const level of action.authorization) {
+      const key = `${level.actor}@${level.permission}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        authorization.push(level);
+      }
+    }
+  }
+
+  const status = await checkApprovals(api.rpc, authorization, provided);
+
+  return {
+    proposer: proposer,
+    proposalName: row.proposal_name,
+    proposalHash: crypto.createHash('sha256').update(Buffer.from(row.packed_transaction, 'hex')).digest('hex'),
+    expiration: transaction.expiration,
+    expired: new Date(`${transaction.expiration}Z`).getTime() <= Date.now(),
+    actions: transaction.actions,
+    lines: transaction.actions.map((action, index) => `${index + 1}. ${describeAction(action)}`),
+    requested: requested,
+    provided: provided,
+    executable: status.satisfied,
+  };
+}
+
+/**
+ * Read every row of a table scope, following `next_key` across pages
+ * @param {JsonRpc} rpc - RPC client
+ * @param {Object} query - get_table_rows query without bounds
+ * @returns {Array} Rows
+ */
+async function fetchAllRows(rpc, query) {
+  const rows = [];
+  let lowerBound;
+
+  for (;;) {
+    const page = await rpc.get_table_rows({ ...query, limit: 100, ...(lowerBound ? { lower_bound: lowerBound } : {}) });
+    rows.push(...page.rows);
+    if (!page.more || !page.next_key) {
+      return rows;
+    }
+    lowerBound = page.next_key;
+  }
+}
+
+/**
+ * Fetch the approvals table for a proposer
+ * @param {JsonRpc} rpc - RPC client
+ * @param {string} proposer - Proposer account
+ * @returns {Array} Approval rows
+ */
+async function fetchApprovals(rpc, proposer) {
+  const query = { json: true, code: config.msig.contract, scope: proposer };
+
+  const rows = await fetchAllRows(rpc, { ...query, table: 'approvals2' });
+  if (rows.length > 0) {
+    return rows;
+  }
+
+  // Older proposals may only exist in the legacy table
+  return fetchAllRows(rpc, { ...query, table: 'approvals' });
+}
+
+/**
+ * List open proposals of a proposer with decoded actions
+ * @param {string} proposer - Proposer account (default: config.account.name)
+ * @returns {Array<Object>} Decoded proposals
+ */
+async function listProposals(proposer = config.account.name) {
+  validateAccountName(proposer);
+
+  const api = getProtonSDK();
+  const rows = await fetchAllRows(api.rpc, {
+    json: true,
+    code: config.msig.contract,
+    scope: proposer,
+    table: 'proposal',
+  });
+
+  const approvals = await fetchApprovals(api.rpc, proposer);
+  const proposals = [];
+
+  for (const row of rows) {
+    const approval = approvals.find(a => a.proposal_name === row.proposal_name);
+    proposals.push(await decodeProposal(api, proposer, row, approval));
+  }
+
+  logger.info(`Found ${proposals.length} open proposal(s) by ${proposer}`);
+  return proposals;
+}
+
+/**
+ * Get one proposal with decoded actions
+ * @param {string} proposer - Proposer account
+ * @param {string} proposalName - Proposal name
+ * @returns {Object} Decoded proposal
+ * @throws {Error} If the proposal does not exist
+ */
+async function getProposal(proposer, proposalName) {
+  validateAccountName(proposer);
+  validateName(proposalName, 'Proposal name');
+
+  const api = getProtonSDK();
+  const { rows } = await api.rpc.get_table_rows({
+    json: true,
+    code: config.msig.contract,
+    scope: proposer,
+    table: 'proposal',
+    lower_bound: proposalName,
+    upper_bound: proposalName,
+    limit: 1,
+  });
+
+  const row = rows.find(r => r.proposal_name === proposalName);
+  if (!row) {
+    throw new Error(`Proposal ${proposer}/${proposalName} not found`);
+  }
+
+  const approvals = await fetchApprovals(api.rpc, proposer);
+  return decodeProposal(api, proposer, row, approvals.find(a => a.proposal_name === proposalName));
+}
+
+/**
+ * Approve a proposal with the local key
+ *
+ * The proposal is decoded and logged first. The approval carries the hash
+ * of the reviewed proposal, so it fails if the proposal changed since.
+ *
+ * @param {string} proposer - Proposer account
+ * @param {string} proposalName - Proposal name
+ * @param {Object} options - Optional settings
+ * @param {string} options.permission - Approver permission (default: config.account.permission)
+ * @param {string} options.proposalHash - Hash of the proposal that was reviewed (default: current hash)
+ * @returns {Object} Result object with the decoded proposal
+ */
+async function approveProposal(proposer, proposalName, options = {}) {
+  try {
+    const proposal = await getProposal(proposer, proposalName);
+    const [level] = resolveAuthorization({ permission: options.permission });
+
+    logger.info(`Approving ${proposer}/${proposalName} as ${level.actor}@${level.permission}:`);
+    proposal.lines.forEach(line => logger.info(`  ${line}`));
+
+    if (proposal.expired) {
+      throw new Error(`Proposal ${proposer}/${proposalName} expired at ${proposal.expiration}`);
+    }
+
+    if (options.proposalHash && options.proposalHash !== proposal.proposalHash) {
+      throw new Error(`Proposal ${proposer}/${proposalName} changed since it was reviewed`);
+    }
+
+    if (!proposal.requested.some(r => r.actor === level.actor && r.permission === level.permission)) {
+      throw new Error(`${level.actor}@${level.permission} is not a requested approver of ${proposer}/${proposalName}`);
+    }
+
+    const action = buildMsigAction('approve', {
+      proposer: proposer,
+      proposal_name: proposalName,
+      level: level,
+      proposal_hash: options.proposalHash || proposal.proposalHash,
+    }, [level]);
+
+    const result = await pushMsigActions([action], [level], options);
+    return { ...result, proposal };
+  } catch (error) {
+    logger.error('Approval failed:', error.message);
+    return formatError(error);
+  }
+}
+
+/**
+ * Withdraw a previous approval with the local key
+ * @param {string} proposer - Proposer account
+ * @param {string} proposalName - Proposal name
+ * @param {Object} options - Optional settings ({ permission })
+ * @returns {Object} Result object
+ */
+async function unapproveProposal(proposer, proposalName, options = {}) {
+  try {
+    validateAccountName(proposer);
+    validateName(proposalName, 'Proposal name');
+
+    const [level] = resolveAuthorization({ permission: options.permission });
+    const action = buildMsigAction('unapprove', {
+      proposer: proposer,
+      proposal_name: proposalName,
+      level: level,
+    }, [level]);
+
+    logger.info(`Withdrawing approval of ${proposer}/${proposalName} as ${level.actor}@${level.permission}`);
+    return await pushMsigActions([action], [level], options);
+  } catch (error) {
+    logger.error('Unapproval failed:', error.message);
+    return formatError(error);
+  }
+}
+
+/**
+ * Execute a proposal once its approvals meet the threshold
+ * @param {string} proposer - Proposer account
+ * @param {string} proposalName - Proposal name
+ * @param {Object} options - Optional settings ({ permission })
+ * @returns {Object} Result object with the decoded proposal
+ */
+async function execProposal(proposer, proposalName, options = {}) {
+  try {
+    const proposal = await getProposal(proposer, proposalName);
+
+    logger.info(`Executing ${proposer}/${proposalName}:`);
+    proposal.lines.forEach(line => logger.info(`  ${line}`));
+
+    if (!proposal.executable) {
+      const provided = proposal.provided.map(level => `${level.actor}@${level.permission}`).join(', ') || 'none';
+      throw new Error(`Proposal ${proposer}/${proposalName} does not have enough approvals yet (provided: ${provided})`);
+    }
+
+    const authorization = resolveAuthorization(options);
+    const action = buildMsigAction('exec', {
+      proposer: proposer,
+      proposal_name: proposalName,
+      executer: authorization[0].actor,
+    }, authorization);
+
+    const result = await pushMsigActions([action], authorization, options);
+    return { ...result, proposal };
+  } catch (error) {
+    logger.error('Execution failed:', error.message);
+    return formatError(error);
+  }
+}
+
+/**
+ * Cancel a proposal (proposer only, or anyone once it has expired)
+ * @param {string} proposer - Proposer account
+ * @param {string} proposalName - Proposal name
+ * @param {Object} options - Optional settings ({ permission })
+ * @returns {Object} Result object
+ */
+async function cancelProposal(proposer, proposalName, options = {}) {
+  try {
+    validateAccountName(proposer);
+    validateName(proposalName, 'Proposal name');
+
+    const authorization = resolveAuthorization(options);
+    const action = buildMsigAction('cancel', {
+      proposer: proposer,
+      proposal_name: proposalName,
+      canceler: authorization[0].actor,
+    }, authorization);
+
+    logger.info(`Cancelling ${proposer}/${proposalName}`);
+    return await pushMsigActions([action], authorization, options);
+  } catch (error) {
+    logger.error('Cancel failed:', error.message);
+    return formatError(error);
+  }
+}
+
+module.exports = {
+  generateProposalName,
+  proposeTransfer,
+  listProposals,
+  getProposal,
+  approveProposal,
+  unapproveProposal,
+  execProposal,
+  cancelProposal,
+};
@@ -0,0 +1,380 @@
+/**
+ * Offline (Air-Gapped) Signing for Proton Blockchain
+ *
+ * This module splits `api.transact` into three separate steps so that a
+ * private key never has to touch a networked machine:
+ *
+ * 1. Export (online, no key): build an unsigned transaction with TAPOS and
+ *    expiration from `get_info` and write it to a portable JSON file
+ * 2. Sign (offline, key only): decode the actions from the serialized bytes,
+ *    show a human-readable summary and add a signature to the file
+ * 3. Broadcast (online, no key): push the signed file with `push_transaction`
+ *
+ * Key Concepts:
+ * - The offline machine decodes the exact bytes it signs with a built-in
+ *   token transfer ABI, never with the ABIs carried in the (untrusted) file
+ * - The signature covers chain ID + serialized transaction, so a file
+ *   signed for testnet cannot be broadcast on mainnet
+ * - Transactions expire (max 1 hour), so the round trip must finish in time
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { Api, JsonRpc, JsSignatureProvider } = require('@proton/js');
+const { config } = require('../config');
+const { logger, formatTransactionResult, formatError, computeTransactionId, describeAction } = require('../utils');
+const { getProtonSDK, buildTransferActions, resolveTransferAuthorization } = require('./token-transfer');
+const { waitForIrreversible, FINALITY_STATUS } = require('./broadcast');
+
+const FILE_VERSION = 1;
+const UNSIGNED_TYPE = 'xpr-transfer-unsigned';
+const SIGNED_TYPE = 'xpr-transfer-signed';
+
+/**
+ * Standard token `transfer` ABI, shared by eosio.token, xtokens and other
+ * token contracts. Transfers are decoded with this instead of the ABI in
+ * the file, which whoever produced the file could have altered.
+ */
+const TRANSFER_ABI = {
+  version: 'eosio::abi/1.1',
+  types: [],
+  structs: [{
+    name: 'transfer',
+    base: '',
+    fields: [
+      { name: 'from', type: 'name' },
+      { name: 'to', type: 'name' },
+      { name: 'quantity', type: 'asset' },
+      { name: 'memo', type: 'string' },
+    ],
+  }],
+  actions: [{ name: 'transfer', type: 'transfer', ricardian_contract: '' }],
+  tables: [],
+  ricardian_clauses: [],
+  error_messages: [],
+  abi_extensions: [],
+  variants: [],
+};
+
+/**
+ * Read and check a transaction file
+ * @param {string} filePath - Path to transaction file
+ * @returns {Object} Parsed transaction file
+ */
+function readTransactionFile(filePath) {
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (file.version !== FILE_VERSION || ![UNSIGNED_TYPE, SIGNED_TYPE].includes(file.type)) {
+    throw new Error(`${filePath} is not a transaction file produced by this tool`);
+  }
+
+  if (!file.serializedTransaction || !file.chainId) {
+    throw new Error(`${filePath} is missing serializedTransaction or chainId`);
+  }
+
+  // The ID is derived from the bytes, so a mismatch means the file was edited
+  if (computeTransactionId(file.serializedTransaction) !== file.transactionId) {
+    throw new Error(`${filePath} has been modified: transaction ID does not match serialized transaction`);
+  }
+
+  return file;
+}
+
+/**
+ * Write a transaction file
+ * @param {string} filePath - Path to write
+ * @param {Object} file - Transaction file contents
+ */
+function writeTransactionFile(filePath, file) {
+  fs.writeFileSync(filePath, JSON.stringify(file, null, 2));
+}
+
+/**
+ * Get the field list of an action's struct, following base structs
+ * @param {Object} abi - ABI in JSON form
+ * @param {string} actionName - Action name
+ * @returns {Array|null} Fields ({ name, type }), or null if the action is not in the ABI
+ */
+function getActionFields(abi, actionName) {
+  const action = (abi.actions || []).find(entry => entry.name === actionName);
+  if (!action) {
+    return null;
+  }
+
+  const fields = [];
+  let struct = (abi.structs || []).find(entry => entry.name === action.type);
+  while (struct) {
+    fields.unshift(...struct.fields.map(field => ({ name: field.name, type: field.type })));
+    struct = struct.base ? abi.structs.find(entry => entry.name === struct.base) : null;
+  }
+
+  return fields;
+}
+
+/**
+ * Create an API client that works without network access
+ *
+ * Every contract in the transaction gets the built-in transfer ABI, so only
+ * standard `transfer` actions can be decoded. An ABI embedded in the file
+ * is only compared against it: if it describes `transfer` differently, the
+ * file is refused rather than decoded one way and executed another.
+ *
+ * @param {Array<string>} contracts - Contracts called by the transaction
+ * @param {Object} abis - Map of account name -> raw ABI (hex) from the file
+ * @returns {Api} Offline API client
+ * @throws {Error} If an embedded ABI does not match the built-in transfer ABI
+ */
+function createOfflineApi(contracts, abis = {}) {
+  // The endpoint is never contacted: every ABI lookup is served from cache
+  const offlineApi = new Api({ rpc: new JsonRpc('http://127.0.0.1:0') });
+  const expectedFields = JSON.stringify(getActionFields(TRANSFER_ABI, 'transfer'));
+
+  for (const [accountName, rawAbiHex] of Object.entries(abis || {})) {
+    let embeddedFields;
+    try {
+      const embeddedAbi = offlineApi.rawAbiToJson(Uint8Array.from(Buffer.from(rawAbiHex, 'hex')));
+      embeddedFields = JSON.stringify(getActionFields(embeddedAbi, 'transfer'));
+    } catch (error) {
+      throw new Error(`Embedded ABI for ${accountName} cannot be read: ${error.message}`);
+    }
+
+    if (embeddedFields !== expectedFields) {
+      throw new Error(`Embedded ABI for ${accountName} does not match the standard token transfer ABI; refusing to decode`);
+    }
+  }
+
+  const rawAbi = offlineApi.jsonToRawAbi(TRANSFER_ABI);
+  for (const contract of contracts) {
+    offlineApi.cachedAbis.set(contract, { rawAbi, abi: TRANSFER_ABI });
+  }
+
+  return offlineApi;
+}
+
+/**
+ * Export an unsigned transfer or batch transaction to a file
+ *
+ * Runs on the online machine and needs no private key. TAPOS and expiration
+ * are taken from `get_info`, using `config.transaction.offlineExpireSeconds`
+ * so there is time to carry the file to the signing machine and back.
+ *
+ * @param {Array} transfers - Array of transfer objects ({ to, amount, memo })
+ * @param {string} filePath - Path of the file to write
+ * @param {Object} options - Optional settings
+ * @param {number} options.expireSeconds - Seconds until the transaction expires
+ * @param {string} options.permission - Sender permission that will sign
+ * @param {Array|string} options.authorization - Authorizers, e.g. ["treasury@transfer"]
+ * @param {boolean} options.stripMemoInvisible - Remove invisible/control characters from memos instead of rejecting them
+ * @returns {Object} Export summary ({ filePath, transactionId, expiration, actions })
+ *
+ * @example
+ * ```javascript
+ * await initializeProtonSDK({ readOnly: true });
+ * await exportUnsignedTransaction([{ to: 'receiver', amount: '1.0000 XPR' }], 'unsigned.json');
+ * ```
+ */
+async function exportUnsignedTransaction(transfers, filePath, options = {}) {
+  if (!config.account.name) {
+    throw new Error('FROM_ACCOUNT is required to build a transfer');
+  }
+
+  const api = getProtonSDK();
+  const actions = await buildTransferActions(transfers, resolveTransferAuthorization(options), config.account.name, options);
+  const info = await api.rpc.get_info();
+
+  // Build and serialize without signing
+  const unsigned = await api.transact({
+    actions: actions
+  }, {
+    broadcast: false,
+    sign: false,
+    expireSeconds: options.expireSeconds || config.transaction.offlineExpireSeconds,
+    blocksBehind: config.transaction.blocksBehind
+  });
+
+  // Include ABIs so the offline signer can check them against its built-in one
+  const abis = {};
+  for (const contract of new Set(actions.map(action => action.account))) {
+    const cachedAbi = await api.getCachedAbi(contract);
+    abis[contract] = Buffer.from(cachedAbi.rawAbi).toString('hex');
+  }
+
+  const file = {
+    version: FILE_VERSION,
+    type: UNSIGNED_TYPE,
+    chainId: info.chain_id,
+    endpoint: config.blockchain.endpoint,
+    transactionId: computeTransactionId(unsigned.serializedTransaction),
+    expiration: unsigned.transactionHeader.expiration,
+    serializedTransaction: Buffer.from(unsigned.serializedTransaction).toString('hex'),
+    actions: actions,
+    abis: abis,
+    signatures: [],
+    createdAt: new Date().toISOString(),
+  };
+
+  writeTransactionFile(filePath, file);
+
+  logger.info(`Unsigned transaction written to ${filePath}`);
+  logger.info(`Transaction ID: ${file.transactionId}`);
+  logger.info(`Expires: ${file.expiration}`);
+
+  return { filePath, transactionId: file.transactionId, expiration: file.expiration, actions };
+}
+
+/**
+ * Decode a transaction file into a human-readable summary
+ *
+ * Actions are decoded from the serialized bytes (not the JSON copy), so the
+ * summary shows exactly what will be signed. Works offline.
+ *
+ * @param {string} filePath - Path to transaction file
+ * @returns {Object} Summary ({ transactionId, chainId, expiration, expired, actions, lines, signatures })
+ */
+async function summarizeTransactionFile(filePath) {
+  const file = readTransactionFile(filePath);
+  const header = new Api({ rpc: new JsonRpc('http://127.0.0.1:0') }).deserializeTransaction(
+    Uint8Array.from(Buffer.from(file.serializedTransaction, 'hex'))
+  );
+
+  const unsupported = header.actions.find(action => action.name !== 'transfer');
+  if (unsupported) {
+    throw new Error(`Action ${unsupported.account}::${unsupported.name} cannot be decoded offline; only token transfers can be signed`);
+  }
+
+  const offlineApi = createOfflineApi([...new Set(header.actions.map(action => action.account))], file.abis);
+  const transaction = await offlineApi.deserializeTransactionWithActions(file.serializedTransaction);
+
+  // Re-encode each action so trailing bytes the decoder skipped cannot hide
+  const encoded = await offlineApi.serializeActions(transaction.actions);
+  if (encoded.some((action, index) => action.data.toLowerCase() !== header.actions[index].data.toLowerCase())) {
+    throw new Error(`${filePath} contains action data that does not decode as a token transfer`);
+  }
+
+  const lines = transaction.actions.map((action, index) => `${index + 1}. ${describeAction(action)}`);
+
+  const expiration = new Date(`${transaction.expiration}Z`);
+
+  return {
+    transactionId: file.transactionId,
+    chainId: file.chainId,
+    expiration: transaction.expiration,
+    expired: expiration.getTime() <= Date.now(),
+    actions: transaction.actions,
+    lines: lines,
+    signatures: file.signatures || [],
+  };
+}
+
+/**
+ * Sign a transaction file with a local private key
+ *
+ * Runs on the offline machine; no network access is needed. The signature
+ * is added to the file's signature list so several keys can sign in turn.
+ *
+ * @param {string} filePath - Path to transaction file
+ * @param {string} privateKey - Private key to sign with (or several, comma-separated)
+ * @param {Object} options - Optional settings
+ * @param {string} options.output - Write the signed file here instead of overwriting
+ * @returns {Object} Signing result ({ filePath, transactionId, publicKeys, signatures, summary })
+ */
+async function signTransactionFile(filePath, privateKey, options = {}) {
+  if (!privateKey) {
+    throw new Error('PRIVATE_KEY is required to sign');
+  }
+
+  const file = readTransactionFile(filePath);
+  const summary = await summarizeTransactionFile(filePath);
+
+  if (summary.expired) {
+    throw new Error(`Transaction expired at ${summary.expiration}; export a new one`);
+  }
+
+  const signatureProvider = new JsSignatureProvider(privateKey.split(',').map(key => key.trim()).filter(Boolean));
+  const publicKeys = await signatureProvider.getAvailableKeys();
+
+  const signed = await signatureProvider.sign({
+    chainId: file.chainId,
+    requiredKeys: publicKeys,
+    serializedTransaction: Uint8Array.from(Buffer.from(file.serializedTransaction, 'hex')),
+  });
+
+  const signatures = [...new Set([...(file.signatures || []), ...signed.signatures])];
+  const outputPath = options.output || filePath;
+
+  writeTransactionFile(outputPath, { ...file, type: SIGNED_TYPE, signatures, signedAt: new Date().toISOString() });
+
+  logger.info(`Signed with ${publicKeys.join(', ')}`);
+  logger.info(`Signed transaction written to ${outputPath}`);
+
+  return { filePath: outputPath, transactionId: file.transactionId, publicKeys, signatures, summary };
+}
+
+/**
+ * Broadcast a signed transaction file
+ *
+ * Runs on the online machine and needs no private key.
+ *
+ * @param {string} filePath - Path to signed transaction file
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.waitIrreversible - Wait until the block is irreversible
+ * @param {number} options.finalityTimeoutMs - How long to wait for irreversibility
+ * @returns {Object} Result object, formatted like `formatTransactionResult`
+ */
+async function broadcastTransactionFile(filePath, options = {}) {
+  try {
+    const file = readTransactionFile(filePath);
+
+    if (!file.signatures || file.signatures.length === 0) {
+      throw new Error(`${filePath} has no signatures; sign it first`);
+    }
+
+    const api = getProtonSDK();
+    const info = await api.rpc.get_info();
+
+    if (info.chain_id !== file.chainId) {
+      throw new Error(`Transaction was built for chain ${file.chainId} but endpoint is on ${info.chain_id}`);
+    }
+
+    const result = await api.rpc.push_transaction({
+      signatures: file.signatures,
+      serializedTransaction: Uint8Array.from(Buffer.from(file.serializedTransaction, 'hex')),
+    });
+
+    const formattedResult = formatTransactionResult(result);
+    logger.info('Broadcast successful!');
+    logger.info(`Transaction ID: ${formattedResult.transactionId}`);
+    logger.info(`Block Number: ${formattedResult.blockNumber}`);
+
+    if (options.waitIrreversible) {
+      const finality = await waitForIrreversible(api, formattedResult.transactionId, formattedResult.blockNumber, {
+        expiration: file.expiration,
+        timeoutMs: options.finalityTimeoutMs,
+      });
+      Object.assign(formattedResult, finality);
+
+      if (finality.status === FINALITY_STATUS.DROPPED) {
+        formattedResult.success = false;
+        formattedResult.error = `Transaction ${formattedResult.transactionId} was dropped (forked out) and has expired; export and sign it again`;
+      } else if (finality.status === FINALITY_STATUS.UNKNOWN) {
+        formattedResult.success = false;
+        formattedResult.error = `Transaction ${formattedResult.transactionId} was forked out and may or may not have been re-included; check it with "tx ${formattedResult.transactionId}"`;
+      }
+    }
+
+    return formattedResult;
+  } catch (error) {
+    logger.error('Broadcast failed:', error.message);
+    return formatError(error);
+  }
+}
+
+module.exports = {
+  exportUnsignedTransaction,
+  summarizeTransactionFile,
+  signTransactionFile,
+  broadcastTransactionFile,
+  readTransactionFile,
+};
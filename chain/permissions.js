@@ -0,0 +1,212 @@
+/**
+ * Permissions and Authorization for Proton Blockchain
+ *
+ * Every action is authorized by one or more permission levels (actor@permission).
+ * Least-privilege setups use custom permissions, e.g. a `transfer` permission
+ * linked to `eosio.token::transfer`, instead of the account's `active` key.
+ *
+ * This module:
+ * - Resolves the authorization for a transfer from options and config
+ * - Checks, before signing, that the loaded keys satisfy each permission's
+ *   threshold (directly or through account-based authorities)
+ * - Checks whether msig approvals satisfy a permission
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { Key } = require('@proton/js');
+const { config } = require('../config');
+const { logger, validateName, validateAccountName } = require('../utils');
+
+// Matches the chain's default max_authority_depth
+const MAX_AUTHORITY_DEPTH = 6;
+
+/**
+ * Parse a permission level
+ * @param {string|Object} value - "actor@permission", "actor" or { actor, permission }
+ * @returns {Object} Permission level ({ actor, permission })
+ */
+function parsePermissionLevel(value) {
+  if (value && typeof value === 'object') {
+    const permission = value.permission || 'active';
+    validateAccountName(value.actor);
+    validateName(permission, 'Permission name');
+    return { actor: value.actor, permission };
+  }
+
+  if (!value || typeof value !== 'string') {
+    throw new Error('Permission level is required (e.g., "account@active")');
+  }
+
+  const [actor, permission = 'active', ...rest] = value.trim().split('@');
+  if (rest.length > 0 || !permission) {
+    throw new Error(`Invalid permission level: ${value}. Expected "account@permission"`);
+  }
+
+  validateAccountName(actor);
+  validateName(permission, 'Permission name');
+
+  return { actor, permission };
+}
+
+/**
+ * Resolve the authorization list for an action
+ *
+ * Priority: `options.authorization` > `options.permission` > `config.account.permission`.
+ *
+ * @param {Object} options - Optional settings
+ * @param {string} options.permission - Permission of the sender (e.g., "transfer")
+ * @param {Array|string} options.authorization - Authorizers ("a@active,b@active" or array)
+ * @returns {Array<Object>} Authorization list
+ */
+function resolveAuthorization(options = {}) {
+  if (options.authorization && options.authorization.length > 0) {
+    const list = typeof options.authorization === 'string'
+      ? options.authorization.split(',')
+      : options.authorization;
+    return list.map(parsePermissionLevel);
+  }
+
+  return [{
+    actor: config.account.name,
+    permission: options.permission || config.account.permission,
+  }];
+}
+
+/**
+ * Normalize a public key to PUB_K1 format so legacy "EOS..." keys compare equal
+ * @param {string} publicKey - Public key
+ * @returns {string} Normalized public key
+ */
+function normalizePublicKey(publicKey) {
+  try {
+    return Key.PublicKey.fromString(publicKey).toString();
+  } catch (error) {
+    return publicKey;
+  }
+}
+
+/**
+ * Compute the weight the available keys and approvals provide for a permission
+ * @param {JsonRpc} rpc - RPC client
+ * @param {Object} level - Permission level ({ actor, permission })
+ * @param {Object} available - { keys: Set of normalized public keys, approvals: Set of "actor@permission" }
+ * @param {number} depth - Current recursion depth
+ * @returns {Object} { satisfied, weight, threshold }
+ */
+async function evaluatePermission(rpc, level, available, depth = 0) {
+  // A provided approval (e.g. on an msig proposal) satisfies the level outright
+  if (available.approvals && available.approvals.has(`${level.actor}@${level.permission}`)) {
+    return { satisfied: true, weight: 1, threshold: 1 };
+  }
+
+  const account = await rpc.get_account(level.actor);
+  const permission = account.permissions.find(p => p.perm_name === level.permission);
+
+  if (!permission) {
+    throw new Error(`Permission ${level.actor}@${level.permission} does not exist`);
+  }
+
+  const { threshold, keys = [], accounts = [] } = permission.required_auth;
+  let weight = 0;
+
+  for (const { key, weight: keyWeight } of keys) {
+    if (available.keys && available.keys.has(normalizePublicKey(key))) {
+      weight += keyWeight;
+    }
+  }
+
+  // Account-based authorities (e.g. "cosigner@active") can also contribute
+  if (weight < threshold && depth < MAX_AUTHORITY_DEPTH) {
+    for (const { permission: nested, weight: accountWeight } of accounts) {
+      const result = await evaluatePermission(rpc, nested, available, depth + 1);
+      if (result.satisfied) {
+        weight += accountWeight;
+      }
+      if (weight >= threshold) {
+        break;
+      }
+    }
+  }
+
+  return { satisfied: weight >= threshold, weight, threshold };
+}
+
+/**
+ * List the account-based authorities of a permission
+ *
+ * These are the permission levels that can approve an msig proposal on the
+ * permission's behalf (keys cannot approve directly).
+ *
+ * @param {JsonRpc} rpc - RPC client
+ * @param {Object} level - Permission level ({ actor, permission })
+ * @returns {Array<Object>} Permission levels ({ actor, permission })
+ */
+async function getAuthorityAccounts(rpc, level) {
+  const account = await rpc.get_account(level.actor);
+  const permission = account.permissions.find(p => p.perm_name === level.permission);
+
+  if (!permission) {
+    throw new Error(`Permission ${level.actor}@${level.permission} does not exist`);
+  }
+
+  return (permission.required_auth.accounts || []).map(({ permission: nested }) => nested);
+}
+
+/**
+ * Check whether a set of approvals satisfies every permission in an authorization list
+ * @param {JsonRpc} rpc - RPC client
+ * @param {Array<Object>} authorization - Authorization list
+ * @param {Array<Object>} approvals - Provided approvals ({ actor, permission })
+ * @returns {Object} { satisfied, levels: [{ actor, permission, satisfied, weight, threshold }] }
+ */
+async function checkApprovals(rpc, authorization, approvals) {
+  const available = { approvals: new Set(approvals.map(a => `${a.actor}@${a.permission}`)) };
+  const levels = [];
+
+  for (const level of authorization) {
+    const result = await evaluatePermission(rpc, level, available);
+    levels.push({ ...level, ...result });
+  }
+
+  return { satisfied: levels.every(level => level.satisfied), levels };
+}
+
+/**
+ * Check that the loaded keys satisfy every permission in an authorization list
+ *
+ * @param {Api} api - Initialized API client (with signature provider)
+ * @param {Array<Object>} authorization - Authorization list
+ * @throws {Error} If any permission's threshold is not met
+ *
+ * @example
+ * ```javascript
+ * await verifyAuthorization(api, [{ actor: 'treasury', permission: 'transfer' }]);
+ * ```
+ */
+async function verifyAuthorization(api, authorization) {
+  if (!api.signatureProvider) {
+    throw new Error('No private key loaded; cannot sign');
+  }
+
+  const keys = new Set((await api.signatureProvider.getAvailableKeys()).map(normalizePublicKey));
+
+  for (const level of authorization) {
+    const result = await evaluatePermission(api.rpc, level, { keys });
+    if (!result.satisfied) {
+      throw new Error(`Loaded key(s) do not satisfy ${level.actor}@${level.permission} (weight ${result.weight}/${result.threshold})`);
+    }
+
+    logger.debug(`Authorization ${level.actor}@${level.permission} satisfied (weight ${result.weight}/${result.threshold})`);
+  }
+}
+
+module.exports = {
+  parsePermissionLevel,
+  resolveAuthorization,
+  normalizePublicKey,
+  getAuthorityAccounts,
+  checkApprovals,
+  verifyAuthorization,
+};
@@ -0,0 +1,233 @@
+/**
+ * Preflight Checks for Proton Blockchain Transfers
+ *
+ * A transfer that the sender cannot afford fails on chain with a raw error
+ * ("overdrawn balance", "billed CPU time ... is greater than the maximum").
+ * This module checks the planned actions against the sender's account before
+ * anything is signed and reports every problem as a structured reason.
+ *
+ * Key Concepts:
+ * - The token balance is compared exactly (Asset units) with the total sent
+ *   per token, e.g. "batch total 1520.0000 XPR exceeds balance 1500.0000 XPR"
+ * - CPU and NET are estimates: a fixed CPU cost per action
+ *   (`config.preflight.cpuUsPerAction`) and the packed size of the actions
+ * - RAM is needed when a recipient has no balance row for the token yet,
+ *   since `eosio.token` bills the new row to the sender
+ * - Unlimited resources (reported as -1) always pass
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { config } = require('../config');
+const { logger, Asset } = require('../utils');
+
+/**
+ * Reason codes returned by a failed preflight
+ */
+const PREFLIGHT_REASON = {
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  INSUFFICIENT_CPU: 'INSUFFICIENT_CPU',
+  INSUFFICIENT_NET: 'INSUFFICIENT_NET',
+  INSUFFICIENT_RAM: 'INSUFFICIENT_RAM',
+};
+
+// Packed size estimates (bytes): transaction header + one signature, and per action
+// (account, name, one authorization, length prefixes)
+const TRANSACTION_NET_OVERHEAD = 100;
+const ACTION_NET_OVERHEAD = 40;
+
+/**
+ * Estimate the packed size of a transfer action's data
+ * @param {Object} action - Transfer action
+ * @returns {number} Bytes (from + to + quantity + memo)
+ */
+function estimateTransferDataSize(action) {
+  const memoBytes = Buffer.byteLength(action.data.memo || '', 'utf8');
+  return 8 + 8 + 16 + Math.ceil((memoBytes + 1) / 127) + memoBytes;
+}
+
+/**
+ * Estimate the CPU and NET a set of transfer actions will use
+ * @param {Array} actions - Transfer actions
+ * @returns {Object} { cpuUs, netBytes }
+ */
+function estimateResources(actions) {
+  const netBytes = actions.reduce(
+    (total, action) => total + ACTION_NET_OVERHEAD + 16 * (action.authorization.length - 1) + estimateTransferDataSize(action),
+    TRANSACTION_NET_OVERHEAD
+  );
+
+  return {
+    cpuUs: actions.length * config.preflight.cpuUsPerAction,
+    netBytes: netBytes,
+  };
+}
+
+/**
+ * Sum the quantities sent per token
+ * @param {Array} actions - Transfer actions
+ * @returns {Array<Object>} Totals ({ contract, symbol, total, count })
+ */
+function sumTransfers(actions) {
+  const totals = new Map();
+
+  for (const action of actions) {
+    const quantity = Asset.fromString(action.data.quantity);
+    const key = `${action.account}:${quantity.symbol}`;
+    const entry = totals.get(key);
+
+    if (entry) {
+      entry.total = entry.total.add(quantity);
+      entry.count += 1;
+    } else {
+      totals.set(key, { contract: action.account, symbol: quantity.symbol, total: quantity, count: 1 });
+    }
+  }
+
+  return [...totals.values()];
+}
+
+/**
+ * Check whether an account has a balance row for a token
+ * @param {JsonRpc} rpc - RPC client
+ * @param {string} contract - Token contract
+ * @param {string} account - Account name
+ * @param {string} symbol - Token symbol
+ * @returns {boolean} True if the row exists
+ */
+async function hasBalanceRow(rpc, contract, account, symbol) {
+  const balance = await rpc.get_currency_balance(contract, account, symbol);
+  return balance.length > 0;
+}
+
+/**
+ * Compare a resource estimate with what the account has available
+ * @param {Object} reasons - Reasons collected so far
+ * @param {string} code - Reason code
+ * @param {string} resource - Resource name
+ * @param {number} required - Estimated usage
+ * @param {number} available - Available amount (-1 = unlimited)
+ * @param {string} unit - Unit for the message
+ */
+function checkResource(reasons, code, resource, required, available, unit) {
+  if (available < 0 || required <= available) {
+    return;
+  }
+
+  reasons.push({
+    code: code,
+    resource: resource,
+    required: required,
+    available: available,
+    message: `estimated ${resource} ${required} ${unit} exceeds available ${available} ${unit}`,
+  });
+}
+
+/**
+ * Check that the sender can afford a set of transfer actions
+ *
+ * Makes only read-only RPC calls; nothing is signed or sent.
+ *
+ * @param {Api} api - API client
+ * @param {Array} actions - Transfer actions (all from the same sender)
+ * @param {string} from - Sender account (default: sender of the first action)
+ * @returns {Object} { ok, reasons, balances, resources }
+ *
+ * @example
+ * ```javascript
+ * const preflight = await preflightTransfers(api, actions);
+ * if (!preflight.ok) {
+ *   preflight.reasons.forEach(reason => console.error(reason.code, reason.message));
+ * }
+ * ```
+ */
+async function preflightTransfers(api, actions, from = actions[0].data.from) {
+  const reasons = [];
+  const isBatch = actions.length > 1;
+
+  // Token balances: exact comparison per token
+  const balances = [];
+  for (const { contract, symbol, total } of sumTransfers(actions)) {
+    const balance = await api.rpc.get_currency_balance(contract, from, symbol);
+    const available = balance[0] ? Asset.fromString(balance[0]) : Asset.zero(total);
+
+    balances.push({ contract, symbol, required: total.toString(), available: available.toString() });
+
+    if (available.lessThan(total)) {
+      reasons.push({
+        code: PREFLIGHT_REASON.INSUFFICIENT_BALANCE,
+        resource: symbol,
+        required: total.toString(),
+        available: available.toString(),
+        message: `${isBatch ? 'batch total' : 'transfer amount'} ${total} exceeds balance ${available}`,
+      });
+    }
+  }
+
+  // RAM for recipients without a balance row (paid by the sender)
+  const newRows = new Set();
+  for (const action of actions) {
+    const symbol = action.data.quantity.split(' ')[1];
+    const key = `${action.account}:${action.data.to}:${symbol}`;
+
+    if (!newRows.has(key) && !(await hasBalanceRow(api.rpc, action.account, action.data.to, symbol))) {
+      newRows.add(key);
+    }
+  }
+
+  const estimate = estimateResources(actions);
+  const ramBytes = newRows.size * config.preflight.ramBytesPerBalanceRow;
+  const account = await api.rpc.get_account(from);
+
+  checkResource(reasons, PREFLIGHT_REASON.INSUFFICIENT_CPU, 'CPU', estimate.cpuUs, account.cpu_limit.available, 'us');
+  checkResource(reasons, PREFLIGHT_REASON.INSUFFICIENT_NET, 'NET', estimate.netBytes, account.net_limit.available, 'bytes');
+  checkResource(
+    reasons,
+    PREFLIGHT_REASON.INSUFFICIENT_RAM,
+    'RAM',
+    ramBytes,
+    account.ram_quota < 0 ? -1 : account.ram_quota - account.ram_usage,
+    'bytes'
+  );
+
+  const result = {
+    ok: reasons.length === 0,
+    reasons: reasons,
+    balances: balances,
+    resources: { ...estimate, ramBytes, newBalanceRows: newRows.size },
+  };
+
+  if (result.ok) {
+    logger.debug(`Preflight passed: ~${estimate.cpuUs} us CPU, ~${estimate.netBytes} bytes NET, ${ramBytes} bytes RAM`);
+  } else {
+    reasons.forEach(reason => logger.warn(`Preflight: ${reason.message}`));
+  }
+
+  return result;
+}
+
+/**
+ * Turn a failed preflight into a result object
+ * @param {Object} preflight - Preflight result
+ * @returns {Object} { success: false, code, error, reasons }
+ */
+function formatPreflightFailure(preflight) {
+  return {
+    success: false,
+    code: 'PREFLIGHT_FAILED',
+    error: `Preflight failed: ${preflight.reasons.map(reason => reason.message).join('; ')}`,
+    reasons: preflight.reasons,
+    balances: preflight.balances,
+    resources: preflight.resources,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  PREFLIGHT_REASON,
+  estimateResources,
+  sumTransfers,
+  preflightTransfers,
+  formatPreflightFailure,
+};
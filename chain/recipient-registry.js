@@ -0,0 +1,251 @@
+/**
+ * Recipient Registry for Proton Blockchain
+ *
+ * Exchange hot wallets credit deposits by memo: a transfer to an exchange
+ * without the deposit memo (or with a mistyped one) ends up in the
+ * exchange's wallet with no owner. This registry marks such accounts as
+ * memo-required and can pin the memo format, so non-compliant transfers are
+ * blocked before anything is signed.
+ *
+ * Key Concepts:
+ * - Rules map an account to `{ memoRequired, memoPattern, name }`
+ * - The built-in seed list comes from `config.recipients`; rules saved in
+ *   `<dataDir>/recipients.json` are merged on top and take precedence
+ * - `memoPattern` is a regular expression the whole memo must match
+ * - Address book contacts flagged memo-required count as rules too, below
+ *   local and built-in rules for the same account
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { logger, validateAccountName } = require('../utils');
+const { listContacts, findContactsByAccount, describeContact } = require('./address-book');
+
+let localRules = null;
+let seedChecked = false;
+
+/**
+ * Get the path of the local rules file
+ * @returns {string} File path
+ */
+function getRecipientRulesPath() {
+  return path.join(config.storage.dataDir, 'recipients.json');
+}
+
+/**
+ * Load the local rules file (once)
+ * @returns {Object} account -> rule
+ */
+function loadLocalRules() {
+  if (localRules) {
+    return localRules;
+  }
+
+  const filePath = getRecipientRulesPath();
+  if (!fs.existsSync(filePath)) {
+    localRules = {};
+    return localRules;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid recipient rules file ${filePath}: ${error.message}`);
+  }
+
+  // The file may be edited by hand: a bad pattern must not surface mid-transfer
+  validateRules(rules, filePath);
+
+  localRules = rules;
+  return localRules;
+}
+
+/**
+ * Get the built-in seed rules, checked on first use
+ * @returns {Object} account -> rule
+ */
+function getSeedRules() {
+  if (!seedChecked) {
+    validateRules(config.recipients, 'config.recipients');
+    seedChecked = true;
+  }
+  return config.recipients;
+}
+
+/**
+ * Write the local rules file atomically
+ */
+function saveLocalRules() {
+  const filePath = getRecipientRulesPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(localRules, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Check a rule for errors
+ * @param {Object} rule - Recipient rule
+ * @throws {Error} If the memo pattern is not a valid regular expression
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object ({ memoRequired, memoPattern, name })');
+  }
+  if (rule.memoPattern !== undefined) {
+    if (typeof rule.memoPattern !== 'string') {
+      throw new Error(`Memo pattern must be a string, not ${JSON.stringify(rule.memoPattern)}`);
+    }
+    try {
+      new RegExp(rule.memoPattern, 'u');
+    } catch (error) {
+      throw new Error(`Invalid memo pattern ${rule.memoPattern}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check every rule of a rule set
+ * @param {Object} rules - account -> rule
+ * @param {string} source - Where the rules come from (for the error)
+ * @throws {Error} Naming the source and account of the first bad rule
+ */
+function validateRules(rules, source) {
+  for (const [account, rule] of Object.entries(rules)) {
+    try {
+      validateRule(rule);
+    } catch (error) {
+      throw new Error(`Invalid recipient rule for ${account} in ${source}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get the rule for a recipient
+ * @param {string} account - Recipient account
+ * @returns {Object|null} Rule ({ account, memoRequired, memoPattern, name, source }) or null
+ */
+function getRecipientRule(account) {
+  const local = loadLocalRules()[account];
+  if (local) {
+    return { account, ...local, source: 'local' };
+  }
+
+  const seed = getSeedRules()[account];
+  if (seed) {
+    return { account, ...seed, source: 'built-in' };
+  }
+
+  const contact = findContactsByAccount(account).find(candidate => candidate.memoRequired);
+  return contact ? { account, memoRequired: true, name: describeContact(contact), source: 'contact' } : null;
+}
+
+/**
+ * List all recipient rules (built-in, local and memo-required contacts)
+ * @returns {Array<Object>} Rules
+ */
+function listRecipientRules() {
+  const contactAccounts = listContacts().filter(contact => contact.memoRequired).map(contact => contact.account);
+  const accounts = new Set([...Object.keys(getSeedRules()), ...Object.keys(loadLocalRules()), ...contactAccounts]);
+  return [...accounts].sort().map(account => getRecipientRule(account));
+}
+
+/**
+ * Add or replace a local recipient rule
+ * @param {string} account - Recipient account
+ * @param {Object} rule - Rule settings
+ * @param {boolean} rule.memoRequired - Transfers must carry a memo (default: true)
+ * @param {string} rule.memoPattern - Regular expression the memo must match
+ * @param {string} rule.name - Label shown in errors (e.g. "Exchange X deposits")
+ * @returns {Object} Saved rule
+ */
+function addRecipientRule(account, rule = {}) {
+  validateAccountName(account);
+
+  const saved = {
+    memoRequired: rule.memoRequired !== false,
+    ...(rule.memoPattern !== undefined && { memoPattern: rule.memoPattern }),
+    ...(rule.name && { name: rule.name }),
+  };
+  validateRule(saved);
+
+  loadLocalRules()[account] = saved;
+  saveLocalRules();
+
+  logger.info(`Saved recipient rule for ${account} to ${getRecipientRulesPath()}`);
+  return getRecipientRule(account);
+}
+
+/**
+ * Remove a local recipient rule
+ *
+ * Built-in rules and memo-required contacts can be overridden with
+ * `addRecipientRule(account, { memoRequired: false })` but not removed here.
+ *
+ * @param {string} account - Recipient account
+ * @returns {boolean} True if a local rule was removed
+ */
+function removeRecipientRule(account) {
+  const rules = loadLocalRules();
+  if (!rules[account]) {
+    return false;
+  }
+
+  delete rules[account];
+  saveLocalRules();
+  return true;
+}
+
+/**
+ * Check a transfer's memo against the recipient's rule
+ * @param {string} account - Recipient account
+ * @param {string} memo - Memo to send
+ * @returns {Object} { ok, rule, error }
+ */
+function checkRecipientMemo(account, memo = '') {
+  const rule = getRecipientRule(account);
+  if (!rule) {
+    return { ok: true, rule: null };
+  }
+
+  const label = rule.name ? `${account} (${rule.name})` : account;
+
+  if (rule.memoRequired && !memo) {
+    return { ok: false, rule, error: `${label} requires a memo; without it the deposit cannot be credited` };
+  }
+
+  if (rule.memoPattern && memo && !new RegExp(`^(?:${rule.memoPattern})$`, 'u').test(memo)) {
+    return { ok: false, rule, error: `Memo "${memo}" does not match the format required by ${label} (${rule.memoPattern})` };
+  }
+
+  return { ok: true, rule };
+}
+
+/**
+ * Check a transfer against the recipient registry, or throw
+ * @param {string} account - Recipient account
+ * @param {string} memo - Memo to send
+ * @throws {Error} If the transfer does not comply with the recipient's rule
+ */
+function assertRecipientMemo(account, memo = '') {
+  const result = checkRecipientMemo(account, memo);
+  if (!result.ok) {
+    throw new Error(result.error);
+  }
+}
+
+module.exports = {
+  getRecipientRulesPath,
+  getRecipientRule,
+  listRecipientRules,
+  addRecipientRule,
+  removeRecipientRule,
+  checkRecipientMemo,
+  assertRecipientMemo,
+};
@@ -0,0 +1,148 @@
+/**
+ * Token Registry for Proton Blockchain
+ *
+ * Proton hosts many tokens besides XPR. Each token is issued by a contract
+ * (XPR by `eosio.token`, wrapped assets such as XUSDC and XBTC by `xtokens`)
+ * and has its own precision. This module maps a token symbol to the contract
+ * that issues it and discovers the precision on-chain.
+ *
+ * Key Concepts:
+ * - The symbol -> contract mapping comes from `config.tokens`
+ * - Precision is read from `get_currency_stats` and cached
+ * - Extra tokens can be registered at runtime with `registerToken()`
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { validateAccountName } = require('../utils/name');
+const { Cache } = require('../utils/performance');
+
+const tokenCache = new Cache(100, config.tokenRegistry.cacheTTL);
+
+/**
+ * Validate token symbol format (1-7 uppercase letters)
+ * @param {string} symbol - Token symbol
+ * @returns {boolean} True if valid
+ */
+function isValidSymbol(symbol) {
+  return typeof symbol === 'string' && /^[A-Z]{1,7}$/.test(symbol);
+}
+
+/**
+ * Register a token in the registry
+ * @param {string} symbol - Token symbol (e.g., "XUSDC")
+ * @param {string} contract - Contract that issues the token (e.g., "xtokens")
+ * @param {Object} options - Optional settings
+ * @param {number} options.precision - Known precision (skips on-chain lookup)
+ * @param {number} options.maxAmount - Maximum amount allowed per transfer
+ */
+function registerToken(symbol, contract, options = {}) {
+  if (!isValidSymbol(symbol)) {
+    throw new Error(`Invalid token symbol: ${symbol}`);
+  }
+
+  if (!contract) {
+    throw new Error(`Contract is required for token ${symbol}`);
+  }
+
+  validateAccountName(contract);
+
+  config.tokens[symbol] = { contract, ...options };
+  tokenCache.delete(symbol);
+
+  logger.debug(`Registered token ${symbol} on ${contract}`);
+}
+
+/**
+ * Get registry entry for a token symbol
+ * @param {string} symbol - Token symbol
+ * @returns {Object} Registry entry ({ symbol, contract, precision?, maxAmount? })
+ * @throws {Error} If token is not registered
+ */
+function getRegisteredToken(symbol) {
+  const entry = config.tokens[symbol];
+  if (!entry) {
+    throw new Error(`Unknown token ${symbol}. Supported tokens: ${Object.keys(config.tokens).join(', ')}`);
+  }
+
+  return { symbol, ...entry };
+}
+
+/**
+ * List all registered token symbols
+ * @returns {Array<Object>} Registry entries
+ */
+function listTokens() {
+  return Object.keys(config.tokens).map(symbol => getRegisteredToken(symbol));
+}
+
+/**
+ * Parse precision from a chain asset string
+ * @param {string} assetString - Asset string (e.g., "100.000000 XUSDC")
+ * @returns {number} Number of decimal places
+ */
+function precisionFromAssetString(assetString) {
+  const [amountPart] = assetString.trim().split(' ');
+  const decimals = amountPart.split('.')[1];
+  return decimals ? decimals.length : 0;
+}
+
+/**
+ * Resolve a token symbol to its contract and precision
+ *
+ * Precision is discovered from `get_currency_stats` on the token contract
+ * the first time a symbol is resolved, then served from cache.
+ *
+ * @param {string} symbol - Token symbol
+ * @param {JsonRpc} rpc - RPC client used for the on-chain lookup
+ * @returns {Object} Token info ({ symbol, contract, precision, maxAmount? })
+ *
+ * @example
+ * ```javascript
+ * const token = await resolveToken('XUSDC', api.rpc);
+ * // { symbol: 'XUSDC', contract: 'xtokens', precision: 6 }
+ * ```
+ */
+async function resolveToken(symbol, rpc) {
+  const cached = tokenCache.get(symbol);
+  if (cached) {
+    return cached;
+  }
+
+  const entry = getRegisteredToken(symbol);
+
+  if (typeof entry.precision !== 'number') {
+    const stats = await rpc.get_currency_stats(entry.contract, symbol);
+    const tokenStats = stats && stats[symbol];
+    if (!tokenStats) {
+      throw new Error(`Token ${symbol} not found on contract ${entry.contract}`);
+    }
+
+    entry.precision = precisionFromAssetString(tokenStats.max_supply || tokenStats.supply);
+    logger.debug(`Discovered precision ${entry.precision} for ${symbol} on ${entry.contract}`);
+  }
+
+  tokenCache.set(symbol, entry);
+  return entry;
+}
+
+/**
+ * Get cached token info without touching the network
+ * @param {string} symbol - Token symbol
+ * @returns {Object|null} Token info or null if not resolved yet
+ */
+function getCachedToken(symbol) {
+  return tokenCache.get(symbol);
+}
+
+module.exports = {
+  isValidSymbol,
+  registerToken,
+  getRegisteredToken,
+  listTokens,
+  resolveToken,
+  getCachedToken,
+};
@@ -8,6 +8,8 @@
  * - Token transfers (single and batch)
  * - Account information retrieval
  * - Balance checking
+ * - Dry-run simulation of transfers
+ * - Multi-token support through the token registry
  * - Error handling and retry logic
  * 
  * Key Concepts:
@@ -22,10 +24,16 @@
 
 const { Api, JsonRpc, JsSignatureProvider } = require('@proton/js');
 const { TextEncoder, TextDecoder } = require('util');
-const { config, validateConfig } = require('../config');
-const { logger, formatAmount, parseAmount, validateAccountName, formatTransactionResult, formatError, retry, hashForLogging } = require('../utils');
-const { validateAccountNameSecure, validateAmountSecure, sanitizeInput } = require('../utils/security');
+const { config, validateConfig, describeChain, getExplorerUrl } = require('../config');
+const { logger, formatAmount, parseAmount, validateAccountName, formatSimulationResult, computeTransactionId, formatError, isChainRejection, hashForLogging, describeAction, Asset } = require('../utils');
+const { validateAmountSecure, sanitizeInput } = require('../utils/security');
+const { assertValidMemo } = require('../utils/memo');
 const { withPerformanceMonitoring } = require('../utils/performance');
+const { resolveToken } = require('./token-registry');
+const { assertRecipientMemo } = require('./recipient-registry');
+const { resolveAuthorization, verifyAuthorization } = require('./permissions');
+const { transactOnce } = require('./broadcast');
+const { preflightTransfers, formatPreflightFailure } = require('./preflight');
 
 let api = null;
 
@@ -37,12 +45,19 @@ let api = null;
  * 2. Creating a signature provider for transaction signing
  * 3. Setting up RPC client for blockchain communication
  * 4. Initializing the main API client
+ * 5. Checking the node's chain ID (get_info): an unset CHAIN_ID is filled
+ *    in from the node; a configured one that does not match refuses signing
  * 
  * The API client is the main interface for all blockchain operations.
  * It handles transaction signing, serialization, and network communication.
  * 
+ * In read-only mode no private key is loaded, so the client can query the
+ * chain, build unsigned transactions and broadcast pre-signed ones, but not sign.
+ * 
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.readOnly - Initialize without a private key
  * @returns {Api} Initialized Proton API client
- * @throws {Error} If configuration is invalid or connection fails
+ * @throws {Error} If configuration is invalid, connection fails or the chain ID does not match (signing mode)
  * 
  * @example
  * ```javascript
@@ -50,31 +65,40 @@ let api = null;
  * // Now you can use api for blockchain operations
  * ```
  */
-async function initializeProtonSDK() {
+async function initializeProtonSDK(options = {}) {
   try {
     // Step 1: Validate configuration
-    validateConfig();
+    validateConfig({ requireKey: !options.readOnly, requireAccount: !options.readOnly });
     
     // Step 2: Create signature provider
-    // This handles transaction signing using your private key
-    const signatureProvider = new JsSignatureProvider([config.account.privateKey]);
+    // This handles transaction signing using your private key(s)
+    const privateKeys = options.readOnly ? [] : config.account.privateKey.split(',').map(key => key.trim()).filter(Boolean);
+    const signatureProvider = options.readOnly ? undefined : new JsSignatureProvider(privateKeys);
     
     // Step 3: Create RPC client
-    // This handles communication with the blockchain node
-    const rpc = new JsonRpc([config.blockchain.endpoint]);
+    // This handles communication with the blockchain node. @proton/js prints
+    // failed calls to stdout; they are thrown to the caller anyway
+    const rpc = new JsonRpc(config.blockchain.endpoints);
+    const fetch = rpc.fetch.bind(rpc);
+    rpc.fetch = (path, body, retries = 0) => fetch(path, body, retries, false);
     
     // Step 4: Initialize main API client
     // This combines RPC, signing, and serialization
-    api = new Api({
+    const client = new Api({
       rpc: rpc,
       signatureProvider: signatureProvider,
       textDecoder: new TextDecoder(), // For string encoding/decoding
       textEncoder: new TextEncoder(), // Required for transaction serialization
     });
     
-    logger.info('Proton SDK initialized successfully');
+    // Step 5: Make sure the node is on the chain we mean to sign for
+    // (only then is the client handed out by getProtonSDK)
+    await verifyChainId(rpc, options);
+    api = client;
+    
+    logger.info(`Proton SDK initialized successfully${options.readOnly ? ' (read-only)' : ''}`);
     logger.info(`Network: ${config.blockchain.endpoint}`);
-    logger.info(`Chain ID: ${config.blockchain.chainId}`);
+    logger.info(`Chain ID: ${config.blockchain.chainId || '(unknown)'} (${describeChain(config.blockchain.chainId)})`);
     
     return api;
   } catch (error) {
@@ -83,6 +107,48 @@ async function initializeProtonSDK() {
   }
 }
 
+/**
+ * Check the node's chain ID against the configuration
+ * 
+ * A signature is only valid on one chain, so signing for the wrong one
+ * (a mainnet key pointed at a testnet node, a profile with a stale
+ * endpoint) is refused before any transaction is built.
+ * 
+ * @param {JsonRpc} rpc - RPC client
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.readOnly - Warn instead of throwing (nothing will be signed)
+ * @throws {Error} If signing and the chain ID does not match or cannot be detected
+ */
+async function verifyChainId(rpc, options = {}) {
+  const configured = config.blockchain.chainId;
+  const endpoint = rpc.currentEndpoint || config.blockchain.endpoint;
+  
+  let info;
+  try {
+    info = await rpc.get_info();
+  } catch (error) {
+    if (!configured && !options.readOnly) {
+      throw new Error(`Cannot detect the chain ID: get_info failed on ${endpoint} (${error.message}). Check the endpoint or set CHAIN_ID`);
+    }
+    logger.warn(`Could not check the chain ID: get_info failed on ${endpoint} (${error.message})`);
+    return;
+  }
+  
+  if (!configured) {
+    config.blockchain.chainId = info.chain_id;
+    logger.info(`Chain ID detected from ${endpoint}: ${info.chain_id} (${describeChain(info.chain_id)})`);
+    return;
+  }
+  
+  if (info.chain_id !== configured) {
+    const message = `Chain ID mismatch: configured ${configured} (${describeChain(configured)}) but ${endpoint} is on ${info.chain_id} (${describeChain(info.chain_id)}). Check CHAIN_ID and BLOCKCHAIN_ENDPOINT, or the profile`;
+    if (!options.readOnly) {
+      throw new Error(`${message}; refusing to sign`);
+    }
+    logger.warn(message);
+  }
+}
+
 /**
  * Get Proton SDK instance
  */
@@ -95,25 +161,28 @@ function getProtonSDK() {
 
 /**
  * Get account balance
+ * 
+ * The token contract is looked up in the token registry, so balances of
+ * tokens issued by other contracts (e.g. XUSDC on `xtokens`) work too.
+ * 
  * @param {string} accountName - Account name
  * @param {string} symbol - Token symbol (default: XPR)
  */
 async function getBalance(accountName, symbol = 'XPR') {
   try {
-    // Enhanced validation
-    if (!validateAccountNameSecure(accountName)) {
-      throw new Error('Invalid account name format');
-    }
+    // Antelope name validation (throws with the reason)
+    validateAccountName(accountName);
     
     // Sanitize inputs
     const sanitizedAccountName = sanitizeInput(accountName);
     const sanitizedSymbol = sanitizeInput(symbol);
     
     const api = getProtonSDK();
-    const balance = await api.rpc.get_currency_balance('eosio.token', sanitizedAccountName, sanitizedSymbol);
+    const token = await resolveToken(sanitizedSymbol, api.rpc);
+    const balance = await api.rpc.get_currency_balance(token.contract, sanitizedAccountName, token.symbol);
     
-    // Log with hashed account name for privacy
-    logger.info(`Balance for ${hashForLogging(accountName)}: ${balance}`);
+    // Log with hashed account name for privacy (debug: balance --watch polls this)
+    logger.debug(`Balance for ${hashForLogging(accountName)}: ${balance}`);
     return balance;
   } catch (error) {
     logger.error(`Failed to get balance for ${hashForLogging(accountName)}:`, error.message);
@@ -122,23 +191,217 @@ async function getBalance(accountName, symbol = 'XPR') {
 }
 
 /**
- * Transfer XPR tokens between accounts
+ * Simulate a transaction without broadcasting it
+ * 
+ * Builds and signs exactly the transaction that `api.transact` would send,
+ * then runs it through the node's read-only `compute_transaction` endpoint.
+ * The node executes the actions and reverts them, so chain assertion errors
+ * (e.g. "overdrawn balance") come back without moving any funds.
+ * 
+ * @param {Array} actions - Actions to simulate
+ * @returns {Object} Simulation result with serialized transaction and CPU/NET estimate
+ * @throws {Error} If the node cannot be reached or does not support compute_transaction
+ */
+async function simulateTransaction(actions) {
+  const api = getProtonSDK();
+  
+  // Build and sign, but do not broadcast
+  const signed = await api.transact({
+    actions: actions
+  }, {
+    broadcast: false,
+    sign: true,
+    expireSeconds: config.transaction.expireSeconds,
+    blocksBehind: config.transaction.blocksBehind
+  });
+  
+  const preview = {
+    transactionId: computeTransactionId(signed.serializedTransaction),
+    serializedTransaction: Buffer.from(signed.serializedTransaction).toString('hex'),
+    signatures: signed.signatures,
+    actions: actions,
+  };
+  
+  try {
+    const result = await api.rpc.fetch('/v1/chain/compute_transaction', {
+      transaction: {
+        signatures: signed.signatures,
+        compression: 0,
+        packed_context_free_data: '',
+        packed_trx: preview.serializedTransaction,
+      }
+    }, 0, false);
+    
+    return formatSimulationResult(result, preview);
+  } catch (error) {
+    // A network failure or a node without the endpoint says nothing about the transaction
+    const body = error.json && error.json.json ? error.json.json : error.json;
+    if (body && body.code === 404) {
+      throw new Error(`Node ${api.rpc.currentEndpoint} does not support dry runs (compute_transaction): ${error.message}`);
+    }
+    if (!isChainRejection(error)) {
+      throw error;
+    }
+    
+    // Chain rejected the transaction - report it without broadcasting
+    return { ...formatError(error), dryRun: true, ...preview };
+  }
+}
+
+/**
+ * Resolve a transfer amount to an exact Asset
+ * 
+ * Accepts chain strings ("1.0000 XPR") as well as human input ("1.5",
+ * "1,000 XPR"). Input without a symbol uses the default token. The amount
+ * is normalized to the token's precision and checked against the registry.
+ * 
+ * @param {string|Asset} amount - Amount to resolve
+ * @param {string} defaultSymbol - Symbol used when the input has none (default: config.token.symbol)
+ * @returns {Object} { asset, token }
+ * @throws {Error} If the amount or token is invalid
+ */
+async function resolveTransferAmount(amount, defaultSymbol = config.token.symbol) {
+  const api = getProtonSDK();
+  
+  let symbol = defaultSymbol;
+  if (Asset.isAsset(amount)) {
+    symbol = amount.symbol;
+  } else if (typeof amount === 'string' && amount.trim().split(/\s+/)[1]) {
+    symbol = amount.trim().split(/\s+/)[1].toUpperCase();
+  }
+  
+  // Look up the token contract and precision in the registry
+  const token = await resolveToken(symbol, api.rpc);
+  const asset = parseAmount(amount, token);
+  
+  // Validate amount with enhanced checks
+  const amountValidation = validateAmountSecure(asset.toString(), token);
+  if (!amountValidation.valid) {
+    throw new Error(amountValidation.error);
+  }
+  
+  return { asset, token };
+}
+
+/**
+ * Resolve the authorization for transfers sent by the configured account
+ * @param {Object} options - Optional settings ({ permission, authorization })
+ * @returns {Array<Object>} Authorization list
+ * @throws {Error} If the sender is not one of the authorizers
+ */
+function resolveTransferAuthorization(options = {}) {
+  const authorization = resolveAuthorization(options);
+  
+  if (!authorization.some(level => level.actor === config.account.name)) {
+    throw new Error(`Authorization must include the sender ${config.account.name}`);
+  }
+  
+  return authorization;
+}
+
+/**
+ * Build a token transfer action
+ * 
+ * @param {string} toAccount - Recipient account
+ * @param {Asset} asset - Exact amount to transfer
+ * @param {Object} token - Resolved token info ({ symbol, contract, precision })
+ * @param {string} memo - Memo (optional)
+ * @param {Array<Object>} authorization - Authorizers (default: sender@configured permission)
+ * @param {string} from - Sending account (default: config.account.name)
+ * @returns {Object} Transfer action
+ */
+function buildTransferAction(toAccount, asset, token, memo = '', authorization = resolveTransferAuthorization(), from = config.account.name) {
+  return {
+    account: token.contract,           // Contract that handles token transfers
+    name: 'transfer',                  // Action name (defined in the contract)
+    authorization: authorization,      // Required permissions (actor + permission, e.g. sender@active)
+    data: {                            // Action data
+      from: from,                      // Sender account
+      to: toAccount,                   // Recipient account
+      quantity: asset.toString(),      // Amount with precision
+      memo: memo,                      // Optional memo
+    },
+  };
+}
+
+/**
+ * Build transfer actions for a list of transfers
+ * 
+ * Validates every recipient, amount and memo, resolving each amount against
+ * the token registry, so one list may mix several tokens. Memos must satisfy
+ * the recipient registry (memo-required exchange wallets).
+ * 
+ * @param {Array} transfers - Array of transfer objects ({ to, amount, memo })
+ * @param {Array<Object>} authorization - Authorizers (default: sender@configured permission)
+ * @param {string} from - Sending account (default: config.account.name)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.stripMemoInvisible - Remove invisible/control characters from memos instead of rejecting them
+ * @returns {Array} Transfer actions
+ * @throws {Error} If any transfer is invalid
+ */
+async function buildTransferActions(transfers, authorization = resolveTransferAuthorization(), from = config.account.name, options = {}) {
+  if (!Array.isArray(transfers) || transfers.length === 0) {
+    throw new Error('Transfers array is required');
+  }
+  
+  const actions = [];
+  
+  for (const transfer of transfers) {
+    validateAccountName(transfer.to, { recipient: true });
+    
+    // Each transfer may move a different token
+    let resolved;
+    try {
+      resolved = await resolveTransferAmount(transfer.amount);
+    } catch (error) {
+      throw new Error(`Transfer to ${transfer.to}: ${error.message}`);
+    }
+    const { asset, token } = resolved;
+    
+    // Memos are checked against the chain limit, never silently rewritten,
+    // and against the recipient's rule (e.g. exchange deposit memo)
+    let memo;
+    try {
+      memo = assertValidMemo(transfer.memo, { stripInvisible: options.stripMemoInvisible });
+      assertRecipientMemo(transfer.to, memo);
+    } catch (error) {
+      throw new Error(`Transfer to ${transfer.to}: ${error.message}`);
+    }
+    
+    actions.push(buildTransferAction(transfer.to, asset, token, memo, authorization, from));
+  }
+  
+  return actions;
+}
+
+/**
+ * Transfer tokens between accounts
  * 
  * This function demonstrates the core token transfer process on Proton blockchain:
  * 1. Validates account names and amount format
- * 2. Creates a transfer action with proper authorization
- * 3. Executes the transaction with retry logic
+ * 2. Creates a transfer action on the token's contract with proper authorization
+ * 3. Signs once and broadcasts; retries re-push the same signed transaction
  * 4. Returns formatted result with transaction details
  * 
  * Key Concepts:
  * - Actions are the basic units of operations on EOSIO-based blockchains
  * - Each action requires proper authorization (actor + permission)
  * - Transactions can contain multiple actions
- * - Amounts must include precision (e.g., "1.0000 XPR")
+ * - Amounts are exact fixed-point values (Asset); "1.5" becomes "1.5000 XPR"
+ * - The token contract is picked from the token registry by symbol
  * 
  * @param {string} toAccount - Recipient account name (1-12 chars, lowercase + numbers 1-5)
- * @param {string} amount - Amount to transfer with precision (e.g., "1.0000 XPR")
+ * @param {string|Asset} amount - Amount to transfer (e.g., "1.0000 XPR", "1.5", "1,000 XPR")
  * @param {string} memo - Optional memo/note for the transfer
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dryRun - Sign and simulate without broadcasting
+ * @param {string} options.permission - Sender permission to sign with (default: config.account.permission)
+ * @param {Array|string} options.authorization - Authorizers, e.g. ["sender@transfer", "cosigner@active"]
+ * @param {string} options.idempotencyKey - Client key; a key that already paid is rejected (default: random)
+ * @param {boolean} options.waitIrreversible - Wait until the block is irreversible (status: irreversible/dropped)
+ * @param {number} options.finalityTimeoutMs - How long to wait for irreversibility
+ * @param {boolean} options.skipPreflight - Skip the balance/resource check before signing
+ * @param {boolean} options.stripMemoInvisible - Remove invisible/control characters from memos instead of rejecting them
  * @returns {Object} Result object with success status and transaction details
  * 
  * @example
@@ -149,6 +412,16 @@ async function getBalance(accountName, symbol = 'XPR') {
  * // Transfer with memo
  * const result = await transferToken('receiver', '1.0000 XPR', 'Payment for services');
  * 
+ * // Safe to re-run: the second call is rejected instead of paying twice
+ * const result = await transferToken('receiver', '1.0000 XPR', 'Invoice 1042', { idempotencyKey: 'invoice-1042' });
+ * 
+ * // Sign with a least-privilege permission
+ * const result = await transferToken('receiver', '1.0000 XPR', '', { permission: 'transfer' });
+ * 
+ * // Preview without broadcasting
+ * const preview = await transferToken('receiver', '1.0000 XPR', '', { dryRun: true });
+ * console.log('Estimated CPU (us):', preview.estimatedCpuUs);
+ * 
  * if (result.success) {
  *   console.log('Transaction ID:', result.transactionId);
  * } else {
@@ -156,69 +429,73 @@ async function getBalance(accountName, symbol = 'XPR') {
  * }
  * ```
  */
-async function transferToken(toAccount, amount, memo = '') {
+async function transferToken(toAccount, amount, memo = '', options = {}) {
   try {
     // Step 1: Enhanced input validation
-    if (!validateAccountNameSecure(toAccount)) {
-      throw new Error('Invalid recipient account name format');
-    }
+    validateAccountName(toAccount, { recipient: true });
+    validateAccountName(config.account.name);
     
-    if (!validateAccountNameSecure(config.account.name)) {
-      throw new Error('Invalid sender account name format');
-    }
+    const api = getProtonSDK();
     
-    // Validate amount with enhanced checks
-    const amountValidation = validateAmountSecure(amount);
-    if (!amountValidation.valid) {
-      throw new Error(amountValidation.error);
-    }
+    // Parse amount into an exact Asset using the token's precision
+    const { asset, token } = await resolveTransferAmount(amount);
     
     // Sanitize inputs
     const sanitizedToAccount = sanitizeInput(toAccount);
-    const sanitizedMemo = sanitizeInput(memo);
     
-    // Parse amount to ensure proper format
-    const { amount: amountValue, symbol } = parseAmount(amount);
+    // Memos are checked against the chain limit, never silently rewritten
+    const validatedMemo = assertValidMemo(memo, { stripInvisible: options.stripMemoInvisible });
     
-    logger.info(`Transferring ${amount} from ${hashForLogging(config.account.name)} to ${hashForLogging(toAccount)}`);
+    // Block transfers to memo-required recipients (exchange deposits) without a valid memo
+    assertRecipientMemo(sanitizedToAccount, validatedMemo);
     
-    const api = getProtonSDK();
+    logger.info(`Transferring ${asset} from ${hashForLogging(config.account.name)} to ${hashForLogging(toAccount)}`);
     
     // Step 2: Create transfer action
     // Actions are the basic units of operations on EOSIO-based blockchains
-    const action = {
-      account: config.token.contract,    // Contract that handles token transfers
-      name: 'transfer',                  // Action name (defined in the contract)
-      authorization: [{                  // Required permissions
-        actor: config.account.name,      // Account performing the action
-        permission: 'active',            // Permission level (usually 'active')
-      }],
-      data: {                           // Action data
-        from: config.account.name,       // Sender account
-        to: sanitizedToAccount,          // Recipient account
-        quantity: amount,                // Amount with precision
-        memo: sanitizedMemo,             // Optional memo
-      },
-    };
+    const authorization = resolveTransferAuthorization(options);
+    const action = buildTransferAction(sanitizedToAccount, asset, token, validatedMemo, authorization);
+    
+    // Make sure the loaded key(s) can actually sign for these permissions
+    await verifyAuthorization(api, authorization);
     
     logger.info('Transfer action:', JSON.stringify(action, null, 2));
     
-    // Step 3: Execute transaction with retry logic
-    // Retry logic helps handle temporary network issues
-    const result = await retry(async () => {
-      return await api.transact({
-        actions: [action]                // Array of actions (can contain multiple)
-      }, {
-        expireSeconds: config.transaction.expireSeconds,  // Transaction expiration
-        blocksBehind: config.transaction.blocksBehind     // Block reference for TAPOS
-      });
-    });
+    // Check balance and resources before signing, for a clear error instead of a chain assertion
+    if (config.preflight.enabled && !options.skipPreflight) {
+      const preflight = await preflightTransfers(api, [action]);
+      if (!preflight.ok) {
+        return formatPreflightFailure(preflight);
+      }
+    }
+    
+    // Dry run: sign and simulate, never broadcast
+    if (options.dryRun) {
+      const simulation = await simulateTransaction([action]);
+      if (simulation.success) {
+        logger.info('Dry run successful - transaction was not broadcast');
+        logger.info(`Estimated CPU: ${simulation.estimatedCpuUs} us, NET: ${simulation.estimatedNetBytes} bytes`);
+      } else {
+        logger.warn(`Dry run rejected by chain: ${simulation.error}`);
+      }
+      return simulation;
+    }
+    
+    // Step 3: Sign once and broadcast
+    // The transaction ID is computed and journaled before broadcast; retries
+    // re-push the same bytes, so a lost response can never cause a double payment
+    const formattedResult = await transactOnce(api, [action], options);
+    
+    // Step 4: Return result
+    if (!formattedResult.success) {
+      logger.error(formattedResult.error);
+      return formattedResult;
+    }
     
-    // Step 4: Format and return result
-    const formattedResult = formatTransactionResult(result);
     logger.info('Transfer successful!');
     logger.info(`Transaction ID: ${formattedResult.transactionId}`);
     logger.info(`Block Number: ${formattedResult.blockNumber}`);
+    logger.info(`Status: ${formattedResult.status}`);
     
     return formattedResult;
     
@@ -234,10 +511,8 @@ async function transferToken(toAccount, amount, memo = '') {
  */
 async function getAccountInfo(accountName) {
   try {
-    // Enhanced validation
-    if (!validateAccountNameSecure(accountName)) {
-      throw new Error('Invalid account name format');
-    }
+    // Antelope name validation (throws with the reason)
+    validateAccountName(accountName);
     
     // Sanitize input
     const sanitizedAccountName = sanitizeInput(accountName);
@@ -267,104 +542,156 @@ async function accountExists(accountName) {
     await getAccountInfo(accountName);
     return true;
   } catch (error) {
-    if (error.message.includes('does not exist')) {
+    // Nodes report a missing account as "unknown key (eosio::chain::name): <name>"
+    if (/does not exist|unknown key/.test(error.message)) {
       return false;
     }
     throw error;
   }
 }
 
+/**
+ * Decode an action from a history lookup
+ * @param {Object} action - Action ({ account, name, authorization, data, hex_data })
+ * @param {number} index - Position in the transaction (1-based)
+ * @returns {Object} { index, contract, action, authorization, data, from, to, quantity, memo }
+ */
+function decodeHistoryAction(action, index) {
+  const decoded = {
+    index: index,
+    contract: action.account,
+    action: action.name,
+    authorization: (action.authorization || []).map(auth => `${auth.actor}@${auth.permission}`),
+    data: action.data !== undefined ? action.data : action.hex_data,
+  };
+  
+  // Token transfers (eosio.token and compatible contracts) get their own fields
+  const data = action.data;
+  if (action.name === 'transfer' && data && typeof data === 'object' && data.quantity) {
+    Object.assign(decoded, { from: data.from, to: data.to, quantity: data.quantity, memo: data.memo });
+  }
+  
+  return decoded;
+}
+
 /**
  * Get transaction info
+ * 
+ * Looks the transaction up in the node's history and decodes it: actions
+ * (token transfers with from/to/quantity/memo), resource usage, and whether
+ * its block is irreversible.
+ * 
  * @param {string} transactionId - Transaction ID
+ * @returns {Object} { transactionId, blockNumber, blockTime, status, irreversible, cpuUsageUs, netUsageBytes, explorerUrl, actions, transfers }
+ * @throws {Error} If the lookup fails (e.g. the transaction is not found)
  */
 async function getTransactionInfo(transactionId) {
   try {
     const api = getProtonSDK();
-    const transaction = await api.rpc.get_transaction(transactionId);
+    const transaction = await api.rpc.history_get_transaction(transactionId);
+    const receipt = transaction.trx.receipt;
+    
+    let lastIrreversibleBlock = transaction.last_irreversible_block;
+    if (lastIrreversibleBlock === undefined) {
+      lastIrreversibleBlock = (await api.rpc.get_info()).last_irreversible_block_num;
+    }
+    
+    const rawActions = (transaction.trx.trx && transaction.trx.trx.actions) || [];
+    const actions = rawActions.map((action, i) => decodeHistoryAction(action, i + 1));
+    const info = {
+      transactionId: transaction.id || transactionId,
+      blockNumber: transaction.block_num,
+      blockTime: transaction.block_time,
+      status: receipt.status,
+      irreversible: transaction.block_num <= lastIrreversibleBlock,
+      cpuUsageUs: receipt.cpu_usage_us,
+      netUsageBytes: receipt.net_usage_words * 8,
+      explorerUrl: getExplorerUrl(transactionId),
+      actions: actions,
+      transfers: actions
+        .filter(action => action.quantity)
+        .map(({ index, contract, from, to, quantity, memo }) => ({ index, contract, from, to, quantity, memo })),
+    };
     
     logger.info(`Transaction info for ${transactionId}:`);
-    logger.info(`  Block Number: ${transaction.block_num}`);
-    logger.info(`  Block Time: ${transaction.block_time}`);
-    logger.info(`  Status: ${transaction.status}`);
+    logger.info(`  Block Number: ${info.blockNumber} (${info.irreversible ? 'irreversible' : 'reversible'})`);
+    logger.info(`  Block Time: ${info.blockTime}`);
+    logger.info(`  Status: ${info.status}`);
+    logger.info(`  CPU: ${info.cpuUsageUs} us, NET: ${info.netUsageBytes} bytes`);
+    
+    if (info.transfers.length > 0) {
+      logger.info('  Token transfers:');
+      for (const transfer of info.transfers) {
+        logger.info(`    ${transfer.from} -> ${transfer.to}  ${transfer.quantity}  (${transfer.contract})${transfer.memo ? `  memo "${transfer.memo}"` : ''}`);
+      }
+    }
+    
+    logger.info(`  Actions (${actions.length}):`);
+    rawActions.forEach((action, i) => {
+      // Actions of contracts without an ABI on the node come back undecoded
+      const description = action.data && typeof action.data === 'object'
+        ? describeAction(action)
+        : `${action.account}::${action.name} (undecoded: ${action.hex_data || action.data})`;
+      logger.info(`    ${i + 1}. ${description}`);
+    });
     
-    return transaction;
+    if (info.explorerUrl) {
+      logger.info(`  Explorer: ${info.explorerUrl}`);
+    }
+    
+    return info;
   } catch (error) {
-    logger.error(`Failed to get transaction info for ${transactionId}:`, error.message);
+    logger.error(`Failed to get transaction info for ${transactionId}: ${error.message}`);
     throw error;
   }
 }
 
 /**
  * Batch transfer multiple accounts
+ * 
+ * Sent through `chunkedBatchTransfer`: one transaction per chunk, with a
+ * journal so that a re-run after a crash skips the chunks already confirmed
+ * and re-pushes the ones already signed. A batch that fits in one chunk is
+ * still a single transaction.
+ * 
  * @param {Array} transfers - Array of transfer objects
  * @param {string} transfers[].to - Recipient account
- * @param {string} transfers[].amount - Token amount
+ * @param {string|Asset} transfers[].amount - Token amount
  * @param {string} transfers[].memo - Memo (optional)
+ * @param {Object} options - Optional settings
+ * @param {number} options.chunkSize - Transfers per transaction (default: config.batch.chunkSize)
+ * @param {number} options.maxCpuUs - Size chunks by estimated CPU instead (default: config.batch.maxCpuUs)
+ * @param {string} options.journal - Journal file path (default: derived from the batch contents)
+ * @param {boolean} options.retryUnknown - Re-send chunks whose outcome is unknown (check them first!)
+ * @param {boolean} options.dryRun - Sign and simulate each chunk without broadcasting
+ * @param {string} options.permission - Sender permission to sign with
+ * @param {Array|string} options.authorization - Authorizers for every transfer
+ * @param {boolean} options.waitIrreversible - Wait until each chunk's block is irreversible
+ * @param {number} options.finalityTimeoutMs - How long to wait for irreversibility
+ * @param {boolean} options.skipPreflight - Skip the balance/resource check before signing
+ * @param {boolean} options.stripMemoInvisible - Remove invisible/control characters from memos instead of rejecting them
+ * @returns {Object} Batch result ({ success, batchHash, journal, chunks, confirmed, failed, pending, unknown })
  */
-async function batchTransfer(transfers) {
-  try {
-    if (!Array.isArray(transfers) || transfers.length === 0) {
-      throw new Error('Transfers array is required');
-    }
-    
+async function batchTransfer(transfers, options = {}) {
+  // Required here: chain/batch-transfer builds on this module
+  const { chunkedBatchTransfer } = require('./batch-transfer');
+  
+  if (Array.isArray(transfers)) {
     logger.info(`Starting batch transfer of ${transfers.length} transactions`);
-    
-    const api = getProtonSDK();
-    const actions = [];
-    
-    // Create actions for each transfer
-    for (const transfer of transfers) {
-      validateAccountName(transfer.to);
-      parseAmount(transfer.amount);
-      
-      const action = {
-        account: config.token.contract,
-        name: 'transfer',
-        authorization: [{
-          actor: config.account.name,
-          permission: 'active',
-        }],
-        data: {
-          from: config.account.name,
-          to: transfer.to,
-          quantity: transfer.amount,
-          memo: transfer.memo || '',
-        },
-      };
-      
-      actions.push(action);
-    }
-    
-    logger.info(`Created ${actions.length} transfer actions`);
-    
-    // Execute batch transaction - following official examples
-    const result = await retry(async () => {
-      return await api.transact({
-        actions: actions
-      }, {
-        expireSeconds: config.transaction.expireSeconds,
-        blocksBehind: config.transaction.blocksBehind
-      });
-    });
-    
-    const formattedResult = formatTransactionResult(result);
-    logger.info('Batch transfer successful!');
-    logger.info(`Transaction ID: ${formattedResult.transactionId}`);
-    logger.info(`Block Number: ${formattedResult.blockNumber}`);
-    
-    return formattedResult;
-    
-  } catch (error) {
-    logger.error('Batch transfer failed:', error.message);
-    return formatError(error);
   }
+  
+  return chunkedBatchTransfer(transfers, options);
 }
 
 module.exports = {
   initializeProtonSDK,
   getProtonSDK,
   getBalance,
+  resolveTransferAmount,
+  resolveTransferAuthorization,
+  buildTransferAction,
+  buildTransferActions,
+  simulateTransaction,
   transferToken,
   getAccountInfo,
   accountExists,
@@ -5,17 +5,57 @@
 
 require('dotenv').config();
 
+const os = require('os');
+const path = require('path');
+
+/**
+ * Parse a comma-separated environment variable
+ * @param {string} value - Variable value
+ * @param {Array<string>} fallback - Used when the variable is not set
+ */
+function parseList(value, fallback) {
+  return value === undefined ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check a threshold setting in token units (0 = off)
+ */
+function isValidThreshold(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// One endpoint, or several separated by commas (the first is preferred)
+const endpoints = parseList(process.env.BLOCKCHAIN_ENDPOINT, ['https://proton-public-testnet.neftyblocks.com']);
+
 const config = {
-  // Blockchain configuration
+  // Blockchain configuration (a profile can replace these, see config/profiles.js)
   blockchain: {
-    endpoint: process.env.BLOCKCHAIN_ENDPOINT || 'https://proton-public-testnet.neftyblocks.com',
-    chainId: process.env.CHAIN_ID || '71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd',
+    endpoint: endpoints[0],
+    endpoints: endpoints,
+    // Unset: detected from the node at SDK initialization. Set: the node must report this ID
+    chainId: process.env.CHAIN_ID || undefined,
+  },
+
+  // Known chains: chain ID -> network. The network type comes from here, not from the endpoint URL
+  knownChains: {
+    '384da888112027f0321850a169f737c33e53b388aad48b5adace4bab97f437e0': { name: 'XPR Network', network: 'mainnet' },
+    '71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd': { name: 'XPR Network Testnet', network: 'testnet' },
   },
 
   // Account configuration
   account: {
-    privateKey: process.env.PRIVATE_KEY,
+    privateKey: process.env.PRIVATE_KEY, // One key, or several separated by commas
     name: process.env.FROM_ACCOUNT,
+    permission: process.env.PERMISSION || 'active',
+    keySource: 'env:PRIVATE_KEY', // Where privateKey comes from (a profile can read another variable or a key file)
+  },
+
+  // Account name checks for transfer recipients
+  accountNames: {
+    // System accounts that are not real recipients (tokens sent there are lost)
+    reserved: parseList(process.env.RESERVED_ACCOUNTS, ['eosio', 'eosio.null', 'eosio.prods', 'eosio.auth']),
+    // Your own deny list (e.g. known scam accounts)
+    blocked: parseList(process.env.BLOCKED_ACCOUNTS, []),
   },
 
   // Logging configuration
@@ -30,24 +70,123 @@ const config = {
     precision: 4,
   },
 
+  // Token registry: symbol -> contract that issues it.
+  // Precision is discovered on-chain from get_currency_stats and cached.
+  tokens: {
+    XPR: { contract: 'eosio.token', maxAmount: 1000000 },
+    XUSDC: { contract: 'xtokens' },
+    XBTC: { contract: 'xtokens' },
+    XETH: { contract: 'xtokens' },
+    XUSDT: { contract: 'xtokens' },
+    XMT: { contract: 'xtokens' },
+    XDOGE: { contract: 'xtokens' },
+    XLTC: { contract: 'xtokens' },
+  },
+
+  // Recipient rules: account -> { memoRequired, memoPattern, name }.
+  // Built-in seed for exchange deposit wallets; rules saved in
+  // <dataDir>/recipients.json are merged on top (see chain/recipient-registry.js).
+  // Only add accounts confirmed on the exchange's own deposit page.
+  recipients: {},
+
+  // Token registry cache configuration
+  tokenRegistry: {
+    cacheTTL: 3600000, // 1 hour
+  },
+
   // Transaction configuration
   transaction: {
     blocksBehind: 3,
     expireSeconds: 30,
+    offlineExpireSeconds: 3600, // Max allowed by the chain; leaves time to sign on an air-gapped machine
+  },
+
+  // Finality tracking (--wait-irreversible)
+  finality: {
+    timeoutMs: parseInt(process.env.FINALITY_TIMEOUT_MS) || 300000, // Give up waiting after 5 minutes
+    pollIntervalMs: parseInt(process.env.FINALITY_POLL_MS) || 1000,
+  },
+
+  // Preflight checks before signing (balance, CPU, NET, RAM)
+  preflight: {
+    enabled: process.env.PREFLIGHT !== 'false',
+    cpuUsPerAction: parseInt(process.env.PREFLIGHT_CPU_US_PER_ACTION) || 250, // Rough CPU cost of one transfer
+    ramBytesPerBalanceRow: 240, // RAM the sender pays when a recipient has no balance row yet
+  },
+
+  // Confirmation prompt before the CLI broadcasts (skip with --yes).
+  // A token can set its own threshold with `confirmAbove` in `tokens`.
+  confirmation: {
+    retypeAbove: process.env.CONFIRM_RETYPE_ABOVE ? Number(process.env.CONFIRM_RETYPE_ABOVE) : 10000, // Re-type amounts above this (token units, 0 = never)
+  },
+
+  // Batch transfer configuration
+  batch: {
+    chunkSize: parseInt(process.env.BATCH_CHUNK_SIZE) || 20, // Actions per transaction
+    maxCpuUs: parseInt(process.env.BATCH_MAX_CPU_US) || 0,   // Size chunks by estimated CPU instead (0 = off)
+    // Plan anomalies; a token can set its own `dustBelow` in `tokens`
+    dustBelow: process.env.BATCH_DUST_BELOW ? Number(process.env.BATCH_DUST_BELOW) : 0.01, // Flag amounts below this (token units, 0 = off)
+    outlierFactor: process.env.BATCH_OUTLIER_FACTOR !== undefined ? parseInt(process.env.BATCH_OUTLIER_FACTOR) : 10, // Flag amounts above this many times the token's median (0 = off)
+  },
+
+  // Balance watch (balance --watch)
+  balanceWatch: {
+    intervalSeconds: parseInt(process.env.BALANCE_WATCH_INTERVAL) || 10, // Poll interval
+    maxBackoffSeconds: 300, // Longest wait between retries while the node keeps failing
+    execTimeoutMs: 30000,   // --exec hooks still running after this are stopped
+  },
+
+  // Local data (batch journals, ...)
+  storage: {
+    dataDir: process.env.XPR_TRANSFER_HOME || path.join(os.homedir(), '.xpr-transfer'),
+    // Journals of generated idempotency keys are removed this long after the transaction expired
+    generatedKeyRetentionMs: 24 * 3600000,
+  },
+
+  // Block explorer links ({id} is replaced by the transaction ID)
+  explorer: {
+    transactionUrl: process.env.EXPLORER_TX_URL, // Overrides the default for the network
+    defaults: {
+      mainnet: 'https://explorer.xprnetwork.org/transaction/{id}',
+      testnet: 'https://testnet.explorer.xprnetwork.org/transaction/{id}',
+    },
+  },
+
+  // Transfer history (Hyperion-compatible /v2/history/get_actions)
+  history: {
+    endpoint: process.env.HISTORY_ENDPOINT, // Overrides the default for the network
+    defaults: {
+      mainnet: 'https://proton.eosusa.io',
+      testnet: 'https://proton-testnet.eosusa.io',
+    },
+    pageSize: 100,    // Actions per API request
+    timeoutMs: 10000,
+  },
+
+  // Multisig (eosio.msig) configuration
+  msig: {
+    contract: 'eosio.msig',
+    proposalExpireSeconds: 7 * 24 * 3600, // Proposed transaction can be executed for 7 days
   },
 };
 
 /**
  * Validate configuration
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireKey - Require PRIVATE_KEY (default: true)
+ * @param {boolean} options.requireAccount - Require FROM_ACCOUNT (default: true)
  */
-function validateConfig() {
+function validateConfig(options = {}) {
+  const { requireKey = true, requireAccount = true } = options;
   const errors = [];
 
-  if (!config.account.privateKey) {
-    errors.push('PRIVATE_KEY is required');
+  if (requireKey && !config.account.privateKey) {
+    errors.push(config.account.keySource === 'env:PRIVATE_KEY'
+      ? 'PRIVATE_KEY is required'
+      : `Private key from ${config.account.keySource} is required (empty or unreadable)`);
   }
 
-  if (!config.account.name) {
+  if (requireAccount && !config.account.name) {
     errors.push('FROM_ACCOUNT is required');
   }
 
@@ -55,6 +194,25 @@ function validateConfig() {
     errors.push('BLOCKCHAIN_ENDPOINT is required');
   }
 
+  // A bad threshold or limit must not silently turn a check off
+  if (!isValidThreshold(config.confirmation.retypeAbove)) {
+    errors.push(`CONFIRM_RETYPE_ABOVE must be a number of token units, 0 to turn re-typing off (got ${process.env.CONFIRM_RETYPE_ABOVE})`);
+  }
+  if (!isValidThreshold(config.batch.dustBelow)) {
+    errors.push(`BATCH_DUST_BELOW must be a number of token units, 0 to turn dust checks off (got ${process.env.BATCH_DUST_BELOW})`);
+  }
+  for (const [symbol, token] of Object.entries(config.tokens)) {
+    for (const setting of ['maxAmount', 'confirmAbove', 'dustBelow']) {
+      if (token[setting] !== undefined && !isValidThreshold(token[setting])) {
+        errors.push(`${setting} of ${symbol} must be a number of token units (got ${JSON.stringify(token[setting])})`);
+      }
+    }
+  }
+
+  if (config.blockchain.chainId && !/^[0-9a-f]{64}$/.test(config.blockchain.chainId)) {
+    errors.push(`CHAIN_ID must be 64 hex characters (got ${config.blockchain.chainId.length}); leave it unset to detect it from the node`);
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration errors: ${errors.join(', ')}`);
   }
@@ -63,13 +221,35 @@ function validateConfig() {
 }
 
 /**
- * Get network type (mainnet/testnet)
+ * Get network type (mainnet/testnet) from the known chain IDs
+ * @param {string} chainId - Chain ID to classify (default: the configured or detected one)
+ * @returns {string} mainnet, testnet, or unknown (chain ID not set yet or not in config.knownChains)
  */
-function getNetworkType() {
-  if (config.blockchain.endpoint.includes('testnet')) {
-    return 'testnet';
-  }
-  return 'mainnet';
+function getNetworkType(chainId = config.blockchain.chainId) {
+  const chain = config.knownChains[chainId];
+  return chain ? chain.network : 'unknown';
+}
+
+/**
+ * Describe a chain for messages ("XPR Network Testnet" or "unknown chain")
+ * @param {string} chainId - Chain ID
+ * @returns {string} Chain name
+ */
+function describeChain(chainId) {
+  const chain = config.knownChains[chainId];
+  return chain ? chain.name : 'unknown chain';
+}
+
+/**
+ * Get the block explorer link for a transaction
+ * @param {string} transactionId - Transaction ID
+ * @returns {string|null} URL, or null if no template is configured
+ */
+function getExplorerUrl(transactionId) {
+  const template = config.explorer.transactionUrl !== undefined
+    ? config.explorer.transactionUrl
+    : config.explorer.defaults[getNetworkType()];
+  return template ? template.replace(/\{id\}/g, transactionId) : null;
 }
 
 /**
@@ -77,7 +257,7 @@ function getNetworkType() {
  */
 function getProtonConfig() {
   return {
-    endpoints: [config.blockchain.endpoint],
+    endpoints: config.blockchain.endpoints,
     chainId: config.blockchain.chainId,
     appName: 'XPR Token Transfer CLI',
     appVersion: '1.0.0',
@@ -88,5 +268,7 @@ module.exports = {
   config,
   validateConfig,
   getNetworkType,
+  describeChain,
+  getExplorerUrl,
   getProtonConfig,
 };
@@ -0,0 +1,276 @@
+/**
+ * Configuration Profiles for XPR Token Transfer CLI
+ *
+ * `.env` describes one setup. Profiles name several - testnet development,
+ * a mainnet hot wallet, the mainnet treasury - in one user file, and
+ * `--profile <name>` (or XPR_PROFILE) picks one per command instead of
+ * editing `.env`.
+ *
+ * Key Concepts:
+ * - Profiles live in `<dataDir>/profiles.json`, keyed by name
+ * - A profile sets endpoints, chain ID, account, permission, key source and
+ *   token defaults; settings it leaves out come from `.env` as usual, except
+ *   the chain ID of a profile's own endpoints, which is detected from the node
+ * - Keys are never stored in the file, only where to read them:
+ *   `env:VARIABLE` or `file:/path/to/keyfile`
+ * - Applying a profile updates the shared `config` object, so it must happen
+ *   before the SDK is initialized
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('./index');
+const { logger, validateAccountName } = require('../utils');
+
+let profiles = null;
+let activeProfile = null;
+
+/**
+ * Get the path of the profiles file
+ * @returns {string} File path
+ */
+function getProfilesPath() {
+  return path.join(config.storage.dataDir, 'profiles.json');
+}
+
+/**
+ * Load the profiles file (once)
+ * @returns {Object} name -> profile settings
+ */
+function loadProfiles() {
+  if (profiles) {
+    return profiles;
+  }
+
+  const filePath = getProfilesPath();
+  if (!fs.existsSync(filePath)) {
+    profiles = {};
+    return profiles;
+  }
+
+  try {
+    profiles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid profiles file ${filePath}: ${error.message}`);
+  }
+
+  return profiles;
+}
+
+/**
+ * Write the profiles file atomically
+ */
+function saveProfiles() {
+  const filePath = getProfilesPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(profiles, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Check a profile name
+ * @param {string} name - Profile name
+ * @throws {Error} If the name is not usable
+ */
+function validateProfileName(name) {
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/i.test(name || '')) {
+    throw new Error(`Invalid profile name: ${name} (letters, digits, "-" and "_", up to 32 characters)`);
+  }
+}
+
+/**
+ * Check the settings of a profile
+ * @param {Object} settings - Profile settings
+ * @throws {Error} If a setting is invalid
+ */
+function validateProfile(settings) {
+  if (settings.endpoints !== undefined) {
+    if (!Array.isArray(settings.endpoints) || settings.endpoints.length === 0) {
+      throw new Error('Profile endpoints must be a non-empty list');
+    }
+    settings.endpoints.forEach((endpoint) => {
+      if (!/^https?:\/\/[^\s/]+/.test(endpoint)) {
+        throw new Error(`Invalid endpoint: ${endpoint}`);
+      }
+    });
+  }
+
+  if (settings.chainId !== undefined && !/^[0-9a-f]{64}$/.test(settings.chainId)) {
+    throw new Error(`Invalid chain ID: ${settings.chainId} (64 hex characters)`);
+  }
+
+  if (settings.account !== undefined) {
+    validateAccountName(settings.account);
+  }
+
+  if (settings.key !== undefined && !/^(env:[A-Za-z_][A-Za-z0-9_]*|file:.+)$/.test(settings.key)) {
+    throw new Error(`Invalid key source: ${settings.key} (use env:VARIABLE or file:/path/to/keyfile)`);
+  }
+}
+
+/**
+ * Get a profile
+ * @param {string} name - Profile name
+ * @returns {Object|null} Profile ({ name, endpoints, chainId, account, permission, key, symbol, tokens }) or null
+ */
+function getProfile(name) {
+  const settings = loadProfiles()[name];
+  return settings ? { name, ...settings } : null;
+}
+
+/**
+ * List all profiles
+ * @returns {Array<Object>} Profiles, sorted by name
+ */
+function listProfiles() {
+  return Object.keys(loadProfiles()).sort().map(name => getProfile(name));
+}
+
+/**
+ * Add a profile, or update the given settings of an existing one
+ * @param {string} name - Profile name
+ * @param {Object} settings - Settings to set
+ * @param {Array<string>} settings.endpoints - Node endpoints, first one preferred
+ * @param {string} settings.chainId - Chain ID of the endpoints
+ * @param {string} settings.account - Sender account
+ * @param {string} settings.permission - Sender permission
+ * @param {string} settings.key - Key source: env:VARIABLE or file:/path
+ * @param {string} settings.symbol - Default token symbol
+ * @returns {Object} Saved profile
+ */
+function addProfile(name, settings = {}) {
+  validateProfileName(name);
+
+  const given = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+  if (given.symbol) {
+    given.symbol = given.symbol.toUpperCase();
+  }
+
+  const saved = { ...loadProfiles()[name], ...given };
+  validateProfile(saved);
+
+  loadProfiles()[name] = saved;
+  saveProfiles();
+
+  logger.info(`Saved profile ${name} to ${getProfilesPath()}`);
+  return getProfile(name);
+}
+
+/**
+ * Remove a profile
+ * @param {string} name - Profile name
+ * @returns {boolean} True if a profile was removed
+ */
+function removeProfile(name) {
+  const all = loadProfiles();
+  if (!all[name]) {
+    return false;
+  }
+
+  delete all[name];
+  saveProfiles();
+  return true;
+}
+
+/**
+ * Read a private key from a key source
+ *
+ * An empty or unreadable source is logged as a warning rather than thrown,
+ * so read-only commands still run; signing then fails in validateConfig.
+ *
+ * @param {string} source - env:VARIABLE or file:/path
+ * @returns {string|undefined} Key(s), or undefined if the source is empty or unreadable
+ */
+function readKeySource(source) {
+  if (source.startsWith('env:')) {
+    const variable = source.slice(4);
+    if (!process.env[variable]) {
+      logger.warn(`Key variable ${variable} is not set; this profile cannot sign`);
+      return undefined;
+    }
+    return process.env[variable];
+  }
+
+  const filePath = source.slice(5).replace(/^~(?=$|\/)/, os.homedir());
+  try {
+    if (process.platform !== 'win32' && (fs.statSync(filePath).mode & 0o077) !== 0) {
+      logger.warn(`Key file ${filePath} is readable by other users; restrict it with chmod 600`);
+    }
+    const key = fs.readFileSync(filePath, 'utf8').trim();
+    if (!key) {
+      logger.warn(`Key file ${filePath} is empty; this profile cannot sign`);
+      return undefined;
+    }
+    return key;
+  } catch (error) {
+    logger.warn(`Could not read key file ${filePath}: ${error.message}; this profile cannot sign`);
+    return undefined;
+  }
+}
+
+/**
+ * Apply a profile to the shared configuration
+ * @param {string} name - Profile name
+ * @returns {Object} Applied profile
+ * @throws {Error} If the profile does not exist
+ */
+function applyProfile(name) {
+  const profile = getProfile(name);
+  if (!profile) {
+    const names = Object.keys(loadProfiles());
+    throw new Error(`Unknown profile: ${name}${names.length > 0 ? ` (profiles: ${names.sort().join(', ')})` : ' (no profiles yet, see "profile add")'}`);
+  }
+
+  if (profile.endpoints) {
+    config.blockchain.endpoints = [...profile.endpoints];
+    config.blockchain.endpoint = profile.endpoints[0];
+    // The .env chain ID belongs to the .env endpoint
+    config.blockchain.chainId = profile.chainId;
+  } else if (profile.chainId) {
+    config.blockchain.chainId = profile.chainId;
+  }
+  if (profile.account) {
+    config.account.name = profile.account;
+  }
+  if (profile.permission) {
+    config.account.permission = profile.permission;
+  }
+  if (profile.key) {
+    config.account.privateKey = readKeySource(profile.key);
+    config.account.keySource = profile.key;
+  }
+  if (profile.symbol) {
+    config.token.symbol = profile.symbol;
+    config.token.contract = config.tokens[profile.symbol] ? config.tokens[profile.symbol].contract : config.token.contract;
+  }
+  for (const [symbol, overrides] of Object.entries(profile.tokens || {})) {
+    config.tokens[symbol] = { ...config.tokens[symbol], ...overrides };
+  }
+
+  activeProfile = profile;
+  return profile;
+}
+
+/**
+ * Get the profile applied to this process
+ * @returns {Object|null} Profile, or null when running on .env settings
+ */
+function getActiveProfile() {
+  return activeProfile;
+}
+
+module.exports = {
+  getProfilesPath,
+  getProfile,
+  listProfiles,
+  addProfile,
+  removeProfile,
+  applyProfile,
+  getActiveProfile,
+};
@@ -118,8 +118,7 @@ async function demoBatchTransfer() {
     
     if (result.success) {
       logger.info('Batch transfer successful!');
-      logger.info(`Transaction ID: ${result.transactionId}`);
-      logger.info(`Block Number: ${result.blockNumber}`);
+      result.chunks.forEach(chunk => logger.info(`Chunk ${chunk.index + 1}: ${chunk.transactionId} (block ${chunk.blockNumber})`));
     } else {
       logger.error(`Batch transfer failed: ${result.error}`);
     }
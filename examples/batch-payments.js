@@ -57,7 +57,7 @@ async function batchPaymentsExample() {
       const result = await batchTransfer(payrollTransfers);
       if (result.success) {
         logger.info('Payroll batch transfer successful!');
-        logger.info(`Transaction ID: ${result.transactionId}`);
+        result.chunks.forEach(chunk => logger.info(`Chunk ${chunk.index + 1}: ${chunk.transactionId}`));
       } else {
         logger.info(`Payroll transfer failed (expected): ${result.error}`);
       }
@@ -101,7 +101,7 @@ async function batchPaymentsExample() {
       const result = await batchTransfer(airdropTransfers);
       if (result.success) {
         logger.info('Airdrop batch transfer successful!');
-        logger.info(`Transaction ID: ${result.transactionId}`);
+        result.chunks.forEach(chunk => logger.info(`Chunk ${chunk.index + 1}: ${chunk.transactionId}`));
       } else {
         logger.info(`Airdrop transfer failed (expected): ${result.error}`);
       }
@@ -135,7 +135,7 @@ async function batchPaymentsExample() {
       const result = await batchTransfer(rewardTransfers);
       if (result.success) {
         logger.info('Reward distribution successful!');
-        logger.info(`Transaction ID: ${result.transactionId}`);
+        result.chunks.forEach(chunk => logger.info(`Chunk ${chunk.index + 1}: ${chunk.transactionId}`));
       } else {
         logger.info(`Reward distribution failed (expected): ${result.error}`);
       }
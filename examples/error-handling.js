@@ -16,9 +16,9 @@
  * Usage: node examples/error-handling.js
  */
 
-const { initializeProtonSDK, getBalance, transferToken, getAccountInfo, accountExists } = require('../chain/token-transfer');
+const { initializeProtonSDK, getProtonSDK, getBalance, transferToken, getAccountInfo, accountExists, resolveTransferAmount, buildTransferAction } = require('../chain/token-transfer');
+const { preflightTransfers } = require('../chain/preflight');
 const { logger, validateAccountName, parseAmount } = require('../utils');
-const { config } = require('../config');
 
 async function errorHandlingExample() {
   try {
@@ -194,7 +194,7 @@ async function errorHandlingExample() {
       try {
         // Step 1: Validate inputs
         validateAccountName(toAccount);
-        parseAmount(amount);
+        const { asset, token } = await resolveTransferAmount(amount);
         
         // Step 2: Check if recipient exists
         const exists = await accountExists(toAccount);
@@ -206,23 +206,21 @@ async function errorHandlingExample() {
           };
         }
         
-        // Step 3: Check sender balance
-        const balance = await getBalance(config.account.name);
-        const balanceAmount = parseFloat(balance[0]?.split(' ')[0] || '0');
-        const transferAmount = parseFloat(amount.split(' ')[0]);
+        // Step 3: Preflight - balance and CPU/NET/RAM, checked before signing
+        const action = buildTransferAction(toAccount, asset, token, memo);
+        const preflight = await preflightTransfers(getProtonSDK(), [action]);
         
-        if (balanceAmount < transferAmount) {
+        if (!preflight.ok) {
           return {
             success: false,
-            error: 'Insufficient funds',
-            code: 'INSUFFICIENT_FUNDS',
-            currentBalance: balance[0],
-            requiredAmount: amount
+            error: preflight.reasons.map(reason => reason.message).join('; '),
+            code: preflight.reasons[0].code,
+            reasons: preflight.reasons
           };
         }
         
         // Step 4: Perform transfer
-        const result = await transferToken(toAccount, amount, memo);
+        const result = await transferToken(toAccount, asset, memo, { skipPreflight: true });
         return result;
         
       } catch (error) {
@@ -3,115 +3,385 @@
 /**
  * XPR Token Transfer CLI
  * Following XPR Network developer examples standards
- * 
- * Usage: node index.js --to <account> --amount <amount> [--memo <memo>]
+ *
+ * Usage: node index.js [--profile <name>] [--output json|table|csv] [--quiet] <command> [options]
+ *
+ * Exit codes:
+ *   0  success
+ *   1  failure (rejected by the chain, preflight failed, runtime error)
+ *   2  invalid usage (unknown command/option, invalid argument)
+ *   3  not found (account, transaction, rule)
+ *   4  incomplete - outcome not settled; re-run the same command to resolve it
  */
 
-const { Command } = require('commander');
-const { initializeProtonSDK, getBalance, transferToken, getAccountInfo, accountExists, batchTransfer } = require('./chain/token-transfer');
-const { logger, formatAmount } = require('./utils');
+const path = require('path');
+const { Command, Option, InvalidArgumentError } = require('commander');
+const { initializeProtonSDK, getProtonSDK, getBalance, resolveTransferAmount, transferToken, getAccountInfo, accountExists, getTransactionInfo } = require('./chain/token-transfer');
+const { logger, formatAmount, validateName, validateAccountName, Asset } = require('./utils');
+const { OUTPUT_FORMATS, configureOutput, printResult } = require('./utils/output');
+const { resolveToken } = require('./chain/token-registry');
+const { assertInteractive, confirmTransfers } = require('./utils/confirm');
+const { exportUnsignedTransaction, summarizeTransactionFile, signTransactionFile, broadcastTransactionFile } = require('./chain/offline-signing');
+const { chunkedBatchTransfer } = require('./chain/batch-transfer');
+const { createBatchPlan, saveBatchPlan, formatPlanReference, readApprovedPlan } = require('./chain/batch-plan');
+const { DIRECTIONS, getTransferHistory } = require('./chain/history');
+const { watchBalances } = require('./chain/balance-watch');
+const { proposeTransfer, listProposals, approveProposal, unapproveProposal, execProposal, cancelProposal } = require('./chain/msig');
+const { getAddressBookPath, getContact, listContacts, addContact, removeContact, resolveRecipient, describeContact, importContacts, exportContacts } = require('./chain/address-book');
+const { listRecipientRules, addRecipientRule, removeRecipientRule, getRecipientRulesPath, checkRecipientMemo } = require('./chain/recipient-registry');
+const { readBatch, createBatchError, parseColumnMapping, BATCH_FORMATS } = require('./utils/batch-file');
+const { validateMemo } = require('./utils/memo');
 const { config, getNetworkType } = require('./config');
+const { getProfilesPath, getProfile, listProfiles, addProfile, removeProfile, applyProfile, getActiveProfile } = require('./config/profiles');
+const { startShell } = require('./shell');
 
-const program = new Command();
+/**
+ * Process exit codes
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  INCOMPLETE: 4,
+};
 
-program
-  .name('xpr-transfer')
-  .description('CLI script for sending XPR tokens on Proton blockchain')
-  .version('1.0.0');
+/**
+ * How a command needs the SDK: not at all, read-only (no key) or with a signing key
+ */
+const SDK_MODE = {
+  NONE: 'none',
+  READ_ONLY: 'read-only',
+  SIGNER: 'signer',
+};
 
-program
-  .option('-t, --to <account>', 'Recipient account')
-  .option('-a, --amount <amount>', 'Token amount (e.g., 1.0000 XPR)')
-  .option('-m, --memo <memo>', 'Transaction memo')
-  .option('-b, --balance', 'Check sender account balance')
-  .option('--check-balance <account>', 'Check specific account balance')
-  .option('--account-info <account>', 'View detailed account information')
-  .option('--batch <file>', 'Send batch transfer from JSON file')
-  .option('--exists <account>', 'Check if account exists')
-  .option('--network', 'Display current network information');
+// Transaction statuses that mean "may or may not be on chain; re-run to resolve"
+const UNSETTLED_STATUSES = ['submitted', 'unknown', 'dropped'];
 
-program.parse();
+// SDK mode already initialized in this process (the shell runs many commands)
+let sdkSession = SDK_MODE.NONE;
 
-const options = program.opts();
+/**
+ * Option parser for account names (Antelope name rules)
+ */
+function parseAccountOption(value) {
+  try {
+    validateAccountName(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+  return value;
+}
 
 /**
- * Main function
+ * Option parser for transfer recipients: an account or an @contact (also rejects reserved/blocked accounts)
  */
-async function main() {
+function parseRecipientOption(value) {
   try {
-    logger.info('XPR Token Transfer CLI');
-    logger.info('=' .repeat(50));
-    
-    // Initialize Proton SDK
-    await initializeProtonSDK();
-    
-    const networkType = getNetworkType();
-    logger.info(`Network: ${networkType.toUpperCase()}`);
-    logger.info(`From Account: ${config.account.name}`);
+    validateAccountName(resolveRecipient(value).account, { recipient: true });
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+  return value;
+}
+
+/**
+ * Option parser for permission and proposal names
+ */
+function parseNameOption(value) {
+  try {
+    validateName(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+  return value;
+}
+
+/**
+ * Option parser for batch file column mappings ("to=Payee,amount=Net Pay")
+ */
+function parseColumnsOption(value) {
+  try {
+    return parseColumnMapping(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Option parser for comma-separated lists
+ */
+function parseListOption(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Option parser for positive integers
+ */
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Must be a positive integer');
+  }
+  return number;
+}
+
+/**
+ * Option parser for positive numbers
+ */
+function parsePositiveNumber(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new InvalidArgumentError('Must be a positive number');
+  }
+  return number;
+}
+
+/**
+ * Option parser for a proposal reference ("proposer/name", or "name" proposed by FROM_ACCOUNT)
+ */
+function parseProposalRef(ref) {
+  const parts = ref.split('/');
+  if (parts.length > 2) {
+    throw new InvalidArgumentError(`Invalid proposal: ${ref}. Expected "proposer/name"`);
+  }
+  
+  const [proposer, proposalName] = parts.length === 1 ? [config.account.name, parts[0]] : parts;
+  try {
+    validateAccountName(proposer);
+    validateName(proposalName, 'Proposal name');
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+  
+  return { proposer, proposalName };
+}
+
+/**
+ * Add --permission/--authorization to a command
+ */
+function addAuthOptions(command) {
+  return command
+    .option('--permission <name>', 'Sender permission to sign with (default: PERMISSION or active)', parseNameOption)
+    .addOption(new Option('--authorization <list>', 'Authorizers as actor@permission, comma-separated (e.g., "treasury@transfer,cosigner@active")').conflicts('permission'));
+}
+
+/**
+ * Add --wait-irreversible/--finality-timeout to a command
+ */
+function addFinalityOptions(command) {
+  return command
+    .option('--wait-irreversible', 'Wait until the transaction is irreversible (reports executed/irreversible/dropped/unknown)')
+    .option('--finality-timeout <seconds>', 'How long --wait-irreversible waits (default: FINALITY_TIMEOUT_MS or 300s)', parsePositiveNumber);
+}
+
+/**
+ * Add --format/--columns for reading a batch file
+ */
+function addBatchFileOptions(command) {
+  return command
+    .addOption(new Option('--format <format>', 'Batch file format (default: from the extension, else json)').choices(BATCH_FORMATS))
+    .option('--columns <mapping>', 'CSV/TSV header names for the fields, e.g. "to=Payee,amount=Net Pay,memo=Reference"', parseColumnsOption);
+}
+
+/**
+ * Add the options shared by transfer and batch
+ */
+function addSendOptions(command) {
+  addAuthOptions(command);
+  addFinalityOptions(command);
+  return command
+    .addOption(new Option('--dry-run', 'Sign and simulate without broadcasting').conflicts(['waitIrreversible', 'exportUnsigned']))
+    .addOption(new Option('--export-unsigned <file>', 'Write the unsigned transaction to a file for offline signing (no key needed)').conflicts('waitIrreversible'))
+    .option('-y, --yes', 'Broadcast without the confirmation prompt (required when stdin is not a terminal)')
+    .option('--skip-preflight', 'Do not check balance and CPU/NET/RAM before signing')
+    .option('--strip-memo-invisible', 'Remove invisible/control characters from memos instead of rejecting them');
+}
+
+/**
+ * Build library options for transfer and batch from command options
+ */
+function getSendOptions(options) {
+  return {
+    permission: options.permission,
+    authorization: options.authorization,
+    waitIrreversible: options.waitIrreversible,
+    finalityTimeoutMs: options.finalityTimeout ? options.finalityTimeout * 1000 : undefined,
+    dryRun: options.dryRun,
+    skipPreflight: options.skipPreflight,
+    stripMemoInvisible: options.stripMemoInvisible,
+  };
+}
+
+/**
+ * Wrap a command handler: initialize the SDK as needed, run the handler and
+ * turn its result (or error) into the process exit code
+ * @param {string|Function} sdkMode - SDK_MODE, or a function of the command options returning one
+ * @param {Function} handler - Handler called with the command arguments and options; returns an exit code
+ */
+function runCommand(sdkMode, handler) {
+  return async (...args) => {
+    args.pop(); // Command instance
+    const options = args[args.length - 1];
     
-    // Handle different commands
-    if (options.network) {
-      await showNetworkInfo();
-    } else if (options.balance) {
-      await checkSenderBalance();
-    } else if (options.checkBalance) {
-      await checkSpecificBalance(options.checkBalance);
-    } else if (options.accountInfo) {
-      await showAccountInfo(options.accountInfo);
-    } else if (options.exists) {
-      await checkAccountExists(options.exists);
-    } else if (options.batch) {
-      await handleBatchTransfer(options.batch);
-    } else if (options.to && options.amount) {
-      await handleSingleTransfer(options.to, options.amount, options.memo);
-    } else {
-      showHelp();
+    try {
+      const mode = typeof sdkMode === 'function' ? sdkMode(options) : sdkMode;
+      
+      // A signer session also serves read-only commands
+      if (mode !== SDK_MODE.NONE && mode !== sdkSession && sdkSession !== SDK_MODE.SIGNER) {
+        await initializeProtonSDK({ readOnly: mode === SDK_MODE.READ_ONLY });
+        sdkSession = mode;
+        logger.info(`Network: ${getNetworkType().toUpperCase()}`);
+        logger.info(`From Account: ${config.account.name || '(not set)'}`);
+      }
+      
+      process.exitCode = (await handler(...args)) || EXIT_CODES.OK;
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      
+      // Scripts reading stdout still get a record
+      printResult('error', { success: false, error: error.message, code: typeof error.code === 'string' ? error.code : 'COMMAND_FAILED' });
+      process.exitCode = EXIT_CODES.FAILURE;
     }
-    
-  } catch (error) {
-    logger.error('Error:', error.message);
-    process.exit(1);
+  };
+}
+
+/**
+ * Exit code for a transfer-like result
+ */
+function getResultExitCode(result) {
+  if (result.success) {
+    return EXIT_CODES.OK;
   }
+  return UNSETTLED_STATUSES.includes(result.status) ? EXIT_CODES.INCOMPLETE : EXIT_CODES.FAILURE;
 }
 
 /**
  * Show network information
  */
 async function showNetworkInfo() {
+  const profile = getActiveProfile();
+  
   logger.info('Network Information:');
-  logger.info(`Endpoint: ${config.blockchain.endpoint}`);
-  logger.info(`Chain ID: ${config.blockchain.chainId}`);
+  logger.info(`Profile: ${profile ? profile.name : '(none, .env settings)'}`);
+  logger.info(`Endpoint: ${config.blockchain.endpoints.join(', ')}`);
+  logger.info(`Chain ID: ${config.blockchain.chainId || '(not set, detected from the node when connecting)'}`);
   logger.info(`Network Type: ${getNetworkType().toUpperCase()}`);
   logger.info(`Token Contract: ${config.token.contract}`);
   logger.info(`Token Symbol: ${config.token.symbol}`);
+  logger.info(`Supported Tokens: ${Object.entries(config.tokens).map(([symbol, token]) => `${symbol} (${token.contract})`).join(', ')}`);
+  
+  printResult('network', {
+    profile: profile ? profile.name : null,
+    endpoint: config.blockchain.endpoint,
+    chainId: config.blockchain.chainId,
+    networkType: getNetworkType(),
+    tokenContract: config.token.contract,
+    tokenSymbol: config.token.symbol,
+    tokens: Object.entries(config.tokens).map(([symbol, token]) => ({ symbol, contract: token.contract })),
+  });
+  return EXIT_CODES.OK;
 }
 
 /**
- * Check sender balance
+ * Check balances (default: the sender's balance of the default token)
+ * @param {Array<string>} accountNames - Accounts (default: FROM_ACCOUNT)
+ * @param {Object} options - Command options ({ symbol, watch, interval, exec })
  */
-async function checkSenderBalance() {
-  logger.info(`Checking balance for ${config.account.name}...`);
+async function checkBalance(accountNames, options = {}) {
+  const accounts = [].concat(accountNames && accountNames.length > 0 ? accountNames : config.account.name || []);
+  if (accounts.length === 0) {
+    throw new Error('No account given and FROM_ACCOUNT is not set');
+  }
   
-  try {
-    const balance = await getBalance(config.account.name);
-    logger.info(`Balance: ${balance}`);
-  } catch (error) {
-    logger.error(`Failed to get balance: ${error.message}`);
+  // The profile's default token, when --symbol is not given
+  const symbols = options.symbol ? [].concat(options.symbol) : [config.token.symbol];
+  
+  if (options.watch) {
+    return watchBalance(accounts, symbols, options);
   }
+  if (options.interval || options.exec) {
+    throw new Error('--interval and --exec only apply with --watch');
+  }
+  
+  const balances = [];
+  let failed = false;
+  
+  for (const account of accounts) {
+    for (const symbol of symbols) {
+      logger.info(`Checking balance for ${account}...`);
+      
+      try {
+        const balance = await getBalance(account, symbol);
+        
+        // No balance row means zero; the token's precision comes from the registry
+        const asset = balance.length > 0
+          ? Asset.fromString(balance[0])
+          : Asset.zero(await resolveToken(symbol, getProtonSDK().rpc));
+        logger.info(`Balance: ${asset}${balance.length > 0 ? '' : ' (no balance row)'}`);
+        
+        balances.push({ account, symbol: asset.symbol, balance: asset.toString(), amount: asset.toAmountString() });
+      } catch (error) {
+        // A single balance fails the command with its error
+        if (accounts.length === 1 && symbols.length === 1) {
+          throw error;
+        }
+        logger.error(`Failed to get balance: ${error.message}`);
+        failed = true;
+      }
+    }
+  }
+  
+  // One account and token keeps the single-record result
+  if (accounts.length === 1 && symbols.length === 1) {
+    printResult('balance', balances[0]);
+    return EXIT_CODES.OK;
+  }
+  
+  printResult('balances', { count: balances.length, balances });
+  return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
 }
 
 /**
- * Check specific account balance
+ * Poll balances until interrupted and report each change
+ * @param {Array<string>} accounts - Accounts to watch
+ * @param {Array<string>} symbols - Tokens to watch
+ * @param {Object} options - Command options ({ interval, exec })
  */
-async function checkSpecificBalance(accountName) {
-  logger.info(`Checking balance for ${accountName}...`);
+async function watchBalance(accounts, symbols, options = {}) {
+  const rpc = getProtonSDK().rpc;
+  const targets = [];
+  for (const symbol of symbols) {
+    const token = await resolveToken(symbol, rpc);
+    accounts.forEach(account => targets.push({ account, token }));
+  }
+  
+  const interval = options.interval || config.balanceWatch.intervalSeconds;
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  
+  logger.info(`Watching ${targets.length} balance(s) every ${interval}s (Ctrl-C to stop)...`);
   
   try {
-    const balance = await getBalance(accountName);
-    logger.info(`Balance: ${balance}`);
-  } catch (error) {
-    logger.error(`Failed to get balance: ${error.message}`);
+    const result = await watchBalances(targets, {
+      intervalMs: interval * 1000,
+      exec: options.exec,
+      signal: controller.signal,
+      onBaseline: baseline => logger.info(`  ${baseline.account}  ${baseline.balance}`),
+      onChange: (change) => {
+        logger.info(`${change.timestamp}  ${change.account}  ${change.previous} -> ${change.balance}  (${change.delta})`);
+        printResult('balanceChange', change);
+      },
+    });
+    logger.info(`Stopped after ${result.polls} poll(s), ${result.changes} change(s)`);
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
   }
+  
+  return EXIT_CODES.OK;
 }
 
 /**
@@ -120,171 +390,1393 @@ async function checkSpecificBalance(accountName) {
 async function showAccountInfo(accountName) {
   logger.info(`Getting account info for ${accountName}...`);
   
-  try {
-    const accountInfo = await getAccountInfo(accountName);
-    logger.info('Account information retrieved successfully');
-  } catch (error) {
-    logger.error(`Failed to get account info: ${error.message}`);
+  if (!(await accountExists(accountName))) {
+    logger.error(`Account ${accountName} does not exist`);
+    return EXIT_CODES.NOT_FOUND;
   }
+  
+  const accountInfo = await getAccountInfo(accountName);
+  logger.info('Account information retrieved successfully');
+  
+  printResult('account', {
+    account: accountInfo.account_name,
+    created: accountInfo.created,
+    ramUsage: accountInfo.ram_usage,
+    ramQuota: accountInfo.ram_quota,
+    cpuUsed: accountInfo.cpu_limit.used,
+    cpuAvailable: accountInfo.cpu_limit.available,
+    cpuMax: accountInfo.cpu_limit.max,
+    netUsed: accountInfo.net_limit.used,
+    netAvailable: accountInfo.net_limit.available,
+    netMax: accountInfo.net_limit.max,
+  });
+  return EXIT_CODES.OK;
 }
 
 /**
- * Check if account exists
+ * Check if account exists (exit code 3 if not)
  */
 async function checkAccountExists(accountName) {
   logger.info(`Checking if account ${accountName} exists...`);
   
+  const exists = await accountExists(accountName);
+  printResult('exists', { account: accountName, exists });
+  
+  if (exists) {
+    logger.info(`Account ${accountName} exists`);
+    return EXIT_CODES.OK;
+  }
+  
+  logger.info(`Account ${accountName} does not exist`);
+  return EXIT_CODES.NOT_FOUND;
+}
+
+/**
+ * Show a transaction
+ */
+async function showTransaction(transactionId) {
+  if (!/^[0-9a-f]{64}$/i.test(transactionId)) {
+    throw new Error('Transaction ID must be 64 hex characters');
+  }
+  
   try {
-    const exists = await accountExists(accountName);
-    if (exists) {
-      logger.info(`Account ${accountName} exists`);
-    } else {
-      logger.info(`Account ${accountName} does not exist`);
-    }
+    const transaction = await getTransactionInfo(transactionId);
+    printResult('transaction', transaction);
+    return EXIT_CODES.OK;
   } catch (error) {
-    logger.error(`Failed to check account: ${error.message}`);
+    if (/not found/i.test(error.message) || (error.json && error.json.code === 404)) {
+      logger.error(`Transaction ${transactionId} not found`);
+      return EXIT_CODES.NOT_FOUND;
+    }
+    throw error;
   }
 }
 
+/**
+ * Show transfers sent or received by an account
+ */
+async function showTransferHistory(accountName, options = {}) {
+  const account = accountName || config.account.name;
+  if (!account) {
+    throw new Error('No account given and FROM_ACCOUNT is not set');
+  }
+  
+  logger.info(`Transfer history for ${account} (newest first)...`);
+  
+  const page = await getTransferHistory(account, {
+    direction: options.direction,
+    counterparty: options.counterparty,
+    symbol: options.symbol,
+    contract: options.contract,
+    after: options.after,
+    before: options.before,
+    memo: options.memo,
+    limit: options.limit,
+    cursor: options.cursor,
+    endpoint: options.endpoint,
+  });
+  
+  for (const transfer of page.transfers) {
+    const memo = transfer.memo ? `  memo "${transfer.memo}"` : '';
+    logger.info(`  ${transfer.timestamp}  ${transfer.direction.padEnd(4)} ${transfer.from} -> ${transfer.to}  ${transfer.quantity}${memo}  ${transfer.transactionId}`);
+  }
+  
+  if (page.transfers.length === 0) {
+    logger.info('  No transfers found');
+  }
+  if (page.nextCursor) {
+    logger.info(`More transfers: repeat with --cursor ${page.nextCursor}`);
+  }
+  
+  printResult('history', { ...page, count: page.transfers.length });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Show dry run (simulation) result
+ */
+function showSimulationResult(result) {
+  logger.info('Dry run - transaction was NOT broadcast');
+  logger.info(`Transaction ID (if broadcast): ${result.transactionId}`);
+  logger.info(`Actions: ${result.actions.length}`);
+  if (result.success) {
+    logger.info(`Estimated CPU: ${result.estimatedCpuUs} us`);
+    logger.info(`Estimated NET: ${result.estimatedNetBytes} bytes`);
+  } else {
+    logger.error(`Simulation failed: ${result.error}`);
+  }
+  logger.info(`Serialized transaction: ${result.serializedTransaction}`);
+}
+
 /**
  * Handle single transfer
  */
-async function handleSingleTransfer(toAccount, amount, memo) {
+async function handleSingleTransfer(recipient, amount, options = {}) {
+  // @contact: its account, and its default memo unless --memo is given
+  const { account: toAccount, contact } = resolveRecipient(recipient);
+  const memo = options.memo !== undefined ? options.memo : (contact && contact.memo) || undefined;
+  
+  if (options.exportUnsigned) {
+    return handleExportUnsigned([{ to: toAccount, amount, memo }], options.exportUnsigned, options);
+  }
+  
+  // Refuse up front if the confirmation prompt cannot be answered
+  if (!options.dryRun && !options.yes) {
+    assertInteractive();
+  }
+  
   logger.info(`Preparing transfer...`);
-  logger.info(`To: ${toAccount}`);
-  logger.info(`Amount: ${amount}`);
-  logger.info(`Memo: ${memo || '(none)'}`);
+  
+  // Normalize amount to the token's precision
+  const { asset, token } = await resolveTransferAmount(amount);
+  
+  logger.info(`To: ${toAccount}${contact ? ` (${describeContact(contact)})` : ''}`);
+  logger.info(`Amount: ${asset}`);
+  logger.info(`Memo: ${memo || '(none)'}${contact && memo === contact.memo && options.memo === undefined ? ' (contact default)' : ''}`);
   
   // Check if recipient account exists
   logger.info('Checking recipient account...');
   const exists = await accountExists(toAccount);
   if (!exists) {
     logger.error(`Recipient account ${toAccount} does not exist`);
-    return;
+    return EXIT_CODES.NOT_FOUND;
   }
   logger.info(`Recipient account ${toAccount} exists`);
   
-  // Check sender balance
-  logger.info('Checking sender balance...');
-  const senderBalance = await getBalance(config.account.name);
-  logger.info(`Sender balance: ${senderBalance}`);
+  const transferOptions = { ...getSendOptions(options), idempotencyKey: options.idempotencyKey };
+  const transferDetails = { from: config.account.name, to: toAccount, contact: contact ? `@${contact.name}` : null, quantity: asset.toString(), memo: memo || '' };
+  
+  // Simulate only
+  if (options.dryRun) {
+    logger.info('Simulating transfer...');
+    const simulation = await transferToken(toAccount, asset, memo, transferOptions);
+    if (simulation.serializedTransaction) {
+      showSimulationResult(simulation);
+    } else if (simulation.reasons) {
+      showPreflightFailure(simulation);
+    } else {
+      logger.error(`Transfer failed: ${simulation.error}`);
+    }
+    printResult('transfer', { ...simulation, ...transferDetails });
+    return simulation.success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  }
+  
+  const confirmed = await confirmTransfers({
+    from: config.account.name,
+    transfers: [{ to: toAccount, amount: asset, memo, contact: contact ? describeContact(contact) : undefined }],
+    tokens: { [asset.symbol]: token },
+    balances: await getSenderBalances([token]),
+  }, { yes: options.yes });
+  
+  if (!confirmed) {
+    logger.warn('Transfer cancelled - nothing was signed');
+    return EXIT_CODES.FAILURE;
+  }
   
   // Execute transfer
   logger.info('Executing transfer...');
-  const result = await transferToken(toAccount, amount, memo);
+  const result = await transferToken(toAccount, asset, memo, transferOptions);
   
   if (result.success) {
     logger.info('Transfer completed successfully!');
     logger.info(`Transaction ID: ${result.transactionId}`);
     logger.info(`Block Number: ${result.blockNumber}`);
+    logger.info(`Status: ${result.status}${result.timedOut ? ' (timed out waiting for irreversibility)' : ''}`);
     
     // Check balance after transfer
     logger.info('Checking balance after transfer...');
-    const newBalance = await getBalance(config.account.name);
+    const newBalance = await getBalance(config.account.name, asset.symbol);
     logger.info(`New balance: ${newBalance}`);
+  } else if (result.reasons) {
+    showPreflightFailure(result);
   } else {
     logger.error(`Transfer failed: ${result.error}`);
   }
+  
+  printResult('transfer', { ...result, ...transferDetails });
+  return getResultExitCode(result);
+}
+
+/**
+ * Get the sender's balances for the confirmation summary
+ * @param {Array<Object>} tokens - Resolved tokens
+ * @returns {Object} symbol -> Asset
+ */
+async function getSenderBalances(tokens) {
+  const balances = {};
+  
+  for (const token of tokens) {
+    const balance = await getBalance(config.account.name, token.symbol);
+    balances[token.symbol] = balance.length > 0 ? Asset.fromString(balance[0]) : Asset.zero(token);
+  }
+  
+  return balances;
+}
+
+/**
+ * Show why a preflight check stopped a transfer
+ */
+function showPreflightFailure(result) {
+  logger.error('Transfer not sent - preflight check failed:');
+  result.reasons.forEach(reason => {
+    logger.error(`  [${reason.code}] ${reason.message}`);
+  });
+  logger.error('Use --skip-preflight to send anyway');
+}
+
+/**
+ * Read batch transfer file
+ */
+async function readBatchFile(filePath, options = {}) {
+  const { format, transfers, errors } = readBatch(filePath, { format: options.format, columns: options.columns });
+  
+  if (transfers.length === 0 && errors.length === 0) {
+    throw new Error(`${filePath} contains no transfers`);
+  }
+  
+  // Check every row, so one run reports every problem in the file
+  const totals = new Map();
+  const tokens = new Map();
+  for (const transfer of transfers) {
+    const fail = message => errors.push({ line: transfer.line, message });
+    
+    let validName = true;
+    try {
+      // @contact rows: the contact's account, and its default memo for rows without one
+      const { account, contact } = resolveRecipient(transfer.to);
+      if (contact) {
+        transfer.to = account;
+        transfer.contact = describeContact(contact);
+        transfer.memo = transfer.memo || contact.memo;
+      }
+      validateAccountName(transfer.to, { recipient: true });
+    } catch (error) {
+      validName = false;
+      fail(error.message);
+    }
+    
+    // Normalize amount and accumulate exact totals per token
+    try {
+      const { asset, token } = await resolveTransferAmount(transfer.amount);
+      transfer.amount = asset;
+      tokens.set(asset.symbol, token);
+      totals.set(asset.symbol, totals.has(asset.symbol) ? totals.get(asset.symbol).add(asset) : asset);
+    } catch (error) {
+      fail(error.message);
+    }
+    
+    const memo = validateMemo(transfer.memo, { stripInvisible: options.stripMemoInvisible });
+    if (!memo.valid) {
+      memo.errors.forEach(fail);
+    } else if (validName) {
+      const rule = checkRecipientMemo(transfer.to, memo.memo);
+      if (!rule.ok) {
+        fail(rule.error);
+      }
+    }
+  }
+  
+  if (errors.length > 0) {
+    errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+    throw createBatchError(filePath, errors);
+  }
+  
+  logger.info(`Read ${transfers.length} transfers from ${filePath} (${format})`);
+  return { transfers, totals, tokens };
+}
+
+/**
+ * Show a batch plan: totals, split into transactions and anomalies
+ */
+function showBatchPlan(plan) {
+  const { duplicates, missingAccounts, dust, outliers } = plan.anomalies;
+  const lines = list => list.join(', ');
+  
+  logger.info(`Batch plan for ${plan.source || 'batch'}:`);
+  logger.info(`  Transfers: ${plan.transfers.length} to ${plan.recipients} recipient(s), ${plan.chunks.length} transaction(s) of up to ${plan.chunkSize}`);
+  for (const total of plan.totals) {
+    logger.info(`  Total: ${total}`);
+  }
+  for (const chunk of plan.chunks) {
+    logger.info(`  Chunk ${chunk.index + 1}: ${chunk.transfers} transfer(s) - ${chunk.totals.join(', ')}`);
+  }
+  
+  for (const duplicate of duplicates) {
+    logger.warn(`Duplicate recipient ${duplicate.to}: ${duplicate.count} transfers (lines ${lines(duplicate.lines)})`);
+  }
+  for (const transfer of dust) {
+    logger.warn(`Dust amount: ${transfer.quantity} to ${transfer.to} (line ${transfer.line})`);
+  }
+  for (const transfer of outliers) {
+    logger.warn(`Outlier: ${transfer.quantity} to ${transfer.to} (line ${transfer.line}), median payment is ${transfer.median}`);
+  }
+  for (const missing of missingAccounts) {
+    logger.error(`Recipient account ${missing.to} does not exist (lines ${lines(missing.lines)})`);
+  }
+  
+  logger.info(`Plan hash: ${plan.planHash}`);
+  logger.info(`Run it with: --require-plan ${formatPlanReference(plan)}`);
 }
 
 /**
  * Handle batch transfer
  */
-async function handleBatchTransfer(filePath) {
+async function handleBatchTransfer(filePath, options = {}) {
   logger.info(`Processing batch transfer from ${filePath}...`);
   
-  try {
-    const fs = require('fs');
-    const batchData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    
-    if (!Array.isArray(batchData)) {
-      throw new Error('Batch file must contain an array of transfer objects');
+  // Refuse up front if the confirmation prompt cannot be answered
+  if (!options.plan && !options.exportUnsigned && !options.dryRun && !options.yes) {
+    assertInteractive();
+  }
+  
+  // Validate all transfers first
+  const { transfers: batchData, totals, tokens } = await readBatchFile(filePath, options);
+  
+  if (options.exportUnsigned) {
+    return handleExportUnsigned(batchData, options.exportUnsigned, options);
+  }
+  
+  // An approved plan fixes the chunk size it was made with; it is never re-estimated
+  const approved = options.requirePlan ? readApprovedPlan(options.requirePlan) : null;
+  
+  // Work out exactly what would be sent, and how, before anything is signed
+  const plan = await createBatchPlan(batchData, tokens, {
+    permission: options.permission,
+    authorization: options.authorization,
+    stripMemoInvisible: options.stripMemoInvisible,
+    chunkSize: options.chunkSize || (approved ? approved.chunkSize : undefined),
+    maxCpuUs: options.maxCpu,
+    source: filePath,
+  });
+  showBatchPlan(plan);
+  
+  if (options.plan) {
+    const savedTo = typeof options.plan === 'string' ? options.plan : null;
+    if (savedTo) {
+      saveBatchPlan(plan, savedTo);
+      logger.info(`Plan saved to ${savedTo}; run it with --require-plan ${savedTo}`);
     }
+    printResult('plan', { ...plan, ...plan.anomalies, planReference: formatPlanReference(plan), savedTo, chunks: plan.chunks.map(chunk => ({ ...chunk, index: chunk.index + 1 })) });
+    return EXIT_CODES.OK;
+  }
+  
+  if (approved) {
+    if (approved.planHash !== plan.planHash) {
+      logger.error(`Batch does not match the approved plan: expected ${approved.planHash}, got ${plan.planHash}`);
+      logger.error('The file, sender, chain or chunk size changed since the plan was made; review a new plan with --plan');
+      return EXIT_CODES.FAILURE;
+    }
+    logger.info('Batch matches the approved plan');
+  }
+  
+  // The chain rejects a transfer to a missing account, and with it the whole chunk
+  if (plan.anomalies.missingAccounts.length > 0) {
+    logger.error('Fix the batch file before sending: recipient accounts do not exist');
+    return EXIT_CODES.FAILURE;
+  }
+  
+  if (!options.dryRun) {
+    const confirmed = await confirmTransfers({
+      from: config.account.name,
+      transfers: batchData,
+      tokens: Object.fromEntries(tokens),
+      balances: await getSenderBalances([...tokens.values()]),
+    }, { yes: options.yes });
     
-    logger.info(`Found ${batchData.length} transfers to process`);
+    if (!confirmed) {
+      logger.warn('Batch cancelled - nothing was signed');
+      return EXIT_CODES.FAILURE;
+    }
+  }
+  
+  // Send in chunks; a journal records confirmed chunks so a re-run resumes
+  const result = await chunkedBatchTransfer(batchData, {
+    ...getSendOptions(options),
+    chunkSize: plan.chunkSize,
+    journal: options.journal,
+    retryUnknown: options.retryUnknown,
+  });
+  
+  // Chunk indexes are 1-based in output, as in the logs
+  printResult('batch', {
+    ...result,
+    planHash: plan.planHash,
+    totals: [...totals.values()].map(String),
+    chunks: (result.chunks || []).map(chunk => ({ ...chunk, index: chunk.index + 1 })),
+  });
+  
+  if (result.reasons) {
+    showPreflightFailure(result);
+    return EXIT_CODES.FAILURE;
+  }
+  
+  if (!result.chunks) {
+    logger.error(`Batch transfer failed: ${result.error}`);
+    return EXIT_CODES.FAILURE;
+  }
+  
+  showChunkResults(result);
+  
+  // Logged by chunkedBatchTransfer; nothing was sent
+  if (result.alreadyCompleted) {
+    return EXIT_CODES.FAILURE;
+  }
+  
+  if (result.dryRun) {
+    logger.info('Dry run - nothing was broadcast');
+    return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  }
+  
+  if (result.success) {
+    logger.info('Batch transfer completed successfully!');
+    return EXIT_CODES.OK;
+  }
+  
+  logger.error(`Batch transfer incomplete: ${result.confirmed} confirmed, ${result.failed} failed, ${result.pending} pending, ${result.unknown} unknown`);
+  logger.error(`Re-run the same batch file to resume; editing the file starts a new batch (journal: ${result.journal})`);
+  return result.failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.INCOMPLETE;
+}
+
+/**
+ * Collect transfers for msig propose from --to/--amount or --batch
+ */
+async function readTransfersFromOptions(options) {
+  if (options.batch) {
+    return (await readBatchFile(options.batch, options)).transfers;
+  }
+  
+  if (options.to && options.amount) {
+    // @contact: its account, and its default memo unless --memo is given
+    const { account, contact } = resolveRecipient(options.to);
+    if (contact) {
+      logger.info(`To: ${account} (${describeContact(contact)})`);
+    }
+    return [{
+      to: account,
+      amount: options.amount,
+      memo: options.memo !== undefined ? options.memo : (contact && contact.memo) || undefined,
+      contact: contact ? describeContact(contact) : undefined,
+    }];
+  }
+  
+  throw new Error('Give the transfer with --to/--amount or --batch');
+}
+
+/**
+ * Show per-chunk results of a batch transfer
+ */
+function showChunkResults(result) {
+  logger.info(`Batch ${result.batchHash.slice(0, 16)} - journal: ${result.journal}`);
+  
+  for (const chunk of result.chunks) {
+    const details = chunk.success
+      ? `${chunk.transactionId || ''}${chunk.skipped ? ' (confirmed earlier)' : ''}`
+      : chunk.error || '';
+    const finality = chunk.finality ? ` [${chunk.finality}]` : '';
+    logger.info(`  Chunk ${chunk.index + 1}: ${chunk.transfers} transfer(s) - ${chunk.status}${finality} ${details}`);
+  }
+}
+
+/**
+ * Export unsigned transaction (online step 1)
+ */
+async function handleExportUnsigned(transfers, filePath, options = {}) {
+  const exported = await exportUnsignedTransaction(transfers, filePath, {
+    permission: options.permission,
+    authorization: options.authorization,
+    stripMemoInvisible: options.stripMemoInvisible,
+  });
+  logger.info(`Exported ${exported.actions.length} action(s) to ${exported.filePath}`);
+  logger.info(`Expires: ${exported.expiration} UTC - sign and broadcast before then`);
+  
+  printResult('export', { ...exported, actions: exported.actions.length });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Sign transaction file (offline step 2)
+ */
+async function handleSignFile(filePath) {
+  if (!config.account.privateKey) {
+    throw new Error('PRIVATE_KEY is required to sign');
+  }
+  
+  const summary = await summarizeTransactionFile(filePath);
+  
+  logger.info('Transaction to sign:');
+  logger.info(`  Chain ID: ${summary.chainId}`);
+  logger.info(`  Transaction ID: ${summary.transactionId}`);
+  logger.info(`  Expires: ${summary.expiration} UTC`);
+  logger.info(`  Existing signatures: ${summary.signatures.length}`);
+  logger.info('  Actions:');
+  summary.lines.forEach(line => logger.info(`    ${line}`));
+  
+  const result = await signTransactionFile(filePath, config.account.privateKey);
+  logger.info(`Signatures: ${result.signatures.length}`);
+  
+  printResult('sign', { ...result, signatures: result.signatures.length });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Broadcast signed transaction file (online step 3)
+ */
+async function handleBroadcastFile(filePath, options = {}) {
+  logger.info(`Broadcasting ${filePath}...`);
+  const result = await broadcastTransactionFile(filePath, {
+    waitIrreversible: options.waitIrreversible,
+    finalityTimeoutMs: options.finalityTimeout ? options.finalityTimeout * 1000 : undefined,
+  });
+  
+  if (result.success) {
+    logger.info('Transfer completed successfully!');
+    logger.info(`Transaction ID: ${result.transactionId}`);
+    logger.info(`Block Number: ${result.blockNumber}`);
+    logger.info(`Status: ${result.status}`);
+  } else {
+    logger.error(`Broadcast failed: ${result.error}`);
+  }
+  
+  printResult('transfer', result);
+  return getResultExitCode(result);
+}
+
+/**
+ * Show a decoded proposal
+ */
+function showProposal(proposal) {
+  logger.info(`Proposal ${proposal.proposer}/${proposal.proposalName}${proposal.expired ? ' (EXPIRED)' : ''}`);
+  logger.info(`  Expires: ${proposal.expiration} UTC`);
+  logger.info(`  Hash: ${proposal.proposalHash}`);
+  logger.info('  Actions:');
+  proposal.lines.forEach(line => logger.info(`    ${line}`));
+  logger.info(`  Approved by: ${proposal.provided.map(l => `${l.actor}@${l.permission}`).join(', ') || '(none)'}`);
+  logger.info(`  Waiting for: ${proposal.requested.map(l => `${l.actor}@${l.permission}`).join(', ') || '(none)'}`);
+  logger.info(`  Ready to execute: ${proposal.executable ? 'yes' : 'no'}`);
+}
+
+/**
+ * Propose a multisig transfer
+ */
+async function handleMsigPropose(account, options = {}) {
+  const transfers = await readTransfersFromOptions(options);
+  
+  const result = await proposeTransfer(account, transfers, {
+    permission: options.permission,
+    authorization: options.authorization,
+    proposalName: options.proposalName,
+    requested: options.requested,
+    stripMemoInvisible: options.stripMemoInvisible,
+    dryRun: options.dryRun,
+  });
+  
+  if (result.dryRun && result.serializedTransaction) {
+    showSimulationResult(result);
+  } else if (result.success) {
+    logger.info(`Proposal created: ${result.proposer}/${result.proposalName}`);
+    logger.info(`Transaction ID: ${result.transactionId}`);
+    logger.info(`Ask approvers to run: node index.js msig list ${result.proposer}`);
+  } else {
+    logger.error(`Proposal failed: ${result.error}`);
+  }
+  
+  printResult('msig', { proposer: config.account.name, ...result, action: 'propose' });
+  return getResultExitCode(result);
+}
+
+/**
+ * List open msig proposals
+ */
+async function handleMsigList(proposer) {
+  const account = proposer || config.account.name;
+  if (!account) {
+    throw new Error('No proposer given and FROM_ACCOUNT is not set');
+  }
+  
+  const proposals = await listProposals(account);
+  
+  printResult('proposals', {
+    proposer: account,
+    count: proposals.length,
+    proposals: proposals.map(proposal => ({
+      ...proposal,
+      approvedBy: proposal.provided.map(l => `${l.actor}@${l.permission}`),
+      waitingFor: proposal.requested.map(l => `${l.actor}@${l.permission}`),
+      actions: proposal.lines,
+    })),
+  });
+  
+  if (proposals.length === 0) {
+    logger.info(`No open proposals by ${account}`);
+    return EXIT_CODES.OK;
+  }
+  
+  proposals.forEach(showProposal);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Approve, unapprove, execute or cancel a proposal
+ * @param {string} action - approve, unapprove, exec or cancel
+ * @param {Object} ref - Proposal reference ({ proposer, proposalName })
+ * @param {Object} options - Command options
+ */
+async function handleMsigAction(action, ref, options = {}) {
+  const { proposer, proposalName } = ref;
+  const actionOptions = { permission: options.permission, dryRun: options.dryRun };
+  const authOptions = { ...actionOptions, authorization: options.authorization };
+  
+  const handlers = {
+    approve: ['Approval', () => approveProposal(proposer, proposalName, { ...actionOptions, proposalHash: options.proposalHash })],
+    unapprove: ['Unapproval', () => unapproveProposal(proposer, proposalName, actionOptions)],
+    exec: ['Execution', () => execProposal(proposer, proposalName, authOptions)],
+    cancel: ['Cancel', () => cancelProposal(proposer, proposalName, authOptions)],
+  };
+  
+  const [label, run] = handlers[action];
+  const result = await run();
+  
+  if (result.dryRun && result.serializedTransaction) {
+    showSimulationResult(result);
+  } else if (result.success) {
+    logger.info(`${label} successful!`);
+    logger.info(`Transaction ID: ${result.transactionId}`);
+  } else {
+    logger.error(`${label} failed: ${result.error}`);
+  }
+  
+  printResult('msig', { ...result, action, proposer, proposalName });
+  return getResultExitCode(result);
+}
+
+/**
+ * List memo-required recipient rules
+ */
+function handleMemoRulesList() {
+  const rules = listRecipientRules();
+  logger.info(`Recipient rules (${getRecipientRulesPath()}):`);
+  
+  if (rules.length === 0) {
+    logger.info('  (none)');
+  }
+  
+  rules.forEach(rule => {
+    const label = rule.name ? ` - ${rule.name}` : '';
+    const pattern = rule.memoPattern ? `, memo must match ${rule.memoPattern}` : '';
+    logger.info(`  ${rule.account}${label}: ${rule.memoRequired ? 'memo required' : 'memo optional'}${pattern} [${rule.source}]`);
+  });
+  
+  printResult('memoRules', { path: getRecipientRulesPath(), count: rules.length, rules });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Add a memo-required recipient rule
+ */
+function handleMemoRulesAdd(account, options = {}) {
+  const rule = addRecipientRule(account, {
+    memoRequired: !options.optional,
+    memoPattern: options.pattern,
+    name: options.name,
+  });
+  logger.info(`${rule.account} ${rule.memoRequired ? 'now requires a memo' : 'no longer requires a memo'}${rule.memoPattern ? ` matching ${rule.memoPattern}` : ''}`);
+  
+  printResult('memoRule', { ...rule, removed: false });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Remove a local recipient rule
+ */
+function handleMemoRulesRemove(account) {
+  if (!removeRecipientRule(account)) {
+    logger.warn(`No local rule for ${account}`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+  
+  logger.info(`Removed local rule for ${account}`);
+  
+  printResult('memoRule', { account, removed: true });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Log one contact
+ * @param {Object} contact - Contact
+ */
+function logContact(contact) {
+  const details = [
+    contact.memo ? `memo "${contact.memo}"` : null,
+    contact.memoRequired ? 'memo required' : null,
+    contact.tags.length > 0 ? `tags ${contact.tags.join(', ')}` : null,
+  ].filter(Boolean);
+  logger.info(`  @${contact.name} -> ${contact.account}${contact.label ? ` - ${contact.label}` : ''}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+}
+
+/**
+ * List address book contacts
+ */
+function handleContactsList(options = {}) {
+  const contacts = listContacts({ tag: options.tag });
+  logger.info(`Contacts${options.tag ? ` tagged ${options.tag}` : ''} (${getAddressBookPath()}):`);
+  
+  if (contacts.length === 0) {
+    logger.info('  (none)');
+  }
+  contacts.forEach(logContact);
+  
+  printResult('contacts', { path: getAddressBookPath(), count: contacts.length, contacts });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Show one contact
+ */
+function handleContactsShow(name) {
+  const contact = getContact(name);
+  if (!contact) {
+    logger.warn(`No contact named ${name}`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+  
+  logContact(contact);
+  printResult('contact', { ...contact, removed: false });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Add a contact or update its settings
+ */
+function handleContactsAdd(name, options = {}) {
+  const contact = addContact(name, {
+    account: options.account,
+    label: options.label,
+    memo: options.memo,
+    tags: options.tags,
+    memoRequired: options.memoRequired,
+  });
+  
+  logContact(contact);
+  printResult('contact', { ...contact, removed: false });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Remove a contact
+ */
+function handleContactsRemove(name) {
+  if (!removeContact(name)) {
+    logger.warn(`No contact named ${name}`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+  
+  logger.info(`Removed contact ${name}`);
+  
+  printResult('contact', { name: name.replace(/^@/, '').toLowerCase(), removed: true });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Import contacts from a JSON or CSV file
+ */
+function handleContactsImport(file, options = {}) {
+  const result = importContacts(file, { replace: options.replace });
+  
+  logger.info(`Imported from ${file}: ${result.added.length} added, ${result.updated.length} updated`);
+  if (result.skipped.length > 0) {
+    logger.warn(`Skipped existing contacts (use --replace to overwrite): ${result.skipped.map(name => `@${name}`).join(', ')}`);
+  }
+  
+  printResult('contactsImport', { file, ...result });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Export contacts to a JSON file
+ */
+function handleContactsExport(file) {
+  const count = exportContacts(file);
+  logger.info(`Exported ${count} contact(s) to ${file}`);
+  
+  printResult('contacts', { path: file, count, contacts: listContacts() });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Result record for a profile
+ * @param {Object} profile - Stored profile, or the effective settings
+ */
+function toProfileRecord(profile) {
+  const active = getActiveProfile();
+  return {
+    name: profile.name,
+    active: Boolean(active && active.name === profile.name),
+    network: profile.chainId ? getNetworkType(profile.chainId) : null,
+    endpoints: profile.endpoints || null,
+    chainId: profile.chainId || null,
+    account: profile.account || null,
+    permission: profile.permission || null,
+    key: profile.key || null,
+    symbol: profile.symbol || null,
+    tokens: profile.tokens || null,
+  };
+}
+
+/**
+ * Log the settings of a profile
+ * @param {Object} record - Profile record
+ */
+function logProfile(record) {
+  const fromEnv = '(from .env)';
+  const detected = record.endpoints ? '(detected from the endpoints)' : fromEnv;
+  logger.info(`  Network:    ${record.network ? record.network.toUpperCase() : detected}`);
+  logger.info(`  Endpoints:  ${record.endpoints ? record.endpoints.join(', ') : fromEnv}`);
+  logger.info(`  Chain ID:   ${record.chainId || detected}`);
+  logger.info(`  Account:    ${record.account || fromEnv}`);
+  logger.info(`  Permission: ${record.permission || fromEnv}`);
+  logger.info(`  Key:        ${record.key || fromEnv}`);
+  logger.info(`  Token:      ${record.symbol || fromEnv}`);
+  if (record.tokens) {
+    logger.info(`  Tokens:     ${JSON.stringify(record.tokens)}`);
+  }
+}
+
+/**
+ * List configuration profiles
+ */
+function handleProfileList() {
+  const profiles = listProfiles().map(toProfileRecord);
+  const active = getActiveProfile();
+  logger.info(`Profiles (${getProfilesPath()}):`);
+  
+  if (profiles.length === 0) {
+    logger.info('  (none)');
+  }
+  
+  profiles.forEach(profile => {
+    const network = profile.network ? profile.network.toUpperCase() : '.env network';
+    const account = `${profile.account || '.env account'}@${profile.permission || 'active'}`;
+    logger.info(`${profile.active ? '* ' : '  '}${profile.name}: ${network}, ${account}${profile.key ? `, key ${profile.key}` : ''}${profile.symbol ? `, ${profile.symbol}` : ''}`);
+  });
+  
+  printResult('profiles', { path: getProfilesPath(), active: active ? active.name : null, count: profiles.length, profiles });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Show a profile; without a name, the settings this command runs with
+ */
+function handleProfileShow(name) {
+  if (name) {
+    const profile = getProfile(name);
+    if (!profile) {
+      logger.warn(`No profile named ${name}`);
+      return EXIT_CODES.NOT_FOUND;
+    }
     
-    // Validate all transfers first
-    for (let i = 0; i < batchData.length; i++) {
-      const transfer = batchData[i];
-      if (!transfer.to || !transfer.amount) {
-        throw new Error(`Transfer ${i + 1} is missing required fields (to, amount)`);
+    const record = toProfileRecord(profile);
+    logger.info(`Profile ${name}${record.active ? ' (active)' : ''}:`);
+    logProfile(record);
+    printResult('profile', { ...record, removed: false });
+    return EXIT_CODES.OK;
+  }
+  
+  // Effective settings: the active profile on top of .env
+  const active = getActiveProfile();
+  const record = toProfileRecord({
+    name: active ? active.name : null,
+    endpoints: config.blockchain.endpoints,
+    chainId: config.blockchain.chainId,
+    account: config.account.name,
+    permission: config.account.permission,
+    key: config.account.keySource,
+    symbol: config.token.symbol,
+    tokens: active ? active.tokens : undefined,
+  });
+  
+  logger.info(active ? `Active profile ${active.name}:` : 'No profile selected (--profile or XPR_PROFILE); .env settings:');
+  logProfile(record);
+  logger.info(`  Key loaded: ${config.account.privateKey ? 'yes' : 'no'}`);
+  printResult('profile', { ...record, removed: false });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Add a profile or update its settings
+ */
+function handleProfileAdd(name, options = {}) {
+  let key;
+  if (options.keyEnv) {
+    key = `env:${options.keyEnv}`;
+  } else if (options.keyFile) {
+    key = `file:${path.resolve(options.keyFile)}`;
+  }
+  
+  const profile = addProfile(name, {
+    endpoints: options.endpoint,
+    chainId: options.chainId,
+    account: options.account,
+    permission: options.permission,
+    key: key,
+    symbol: options.symbol,
+  });
+  
+  const record = toProfileRecord(profile);
+  logProfile(record);
+  printResult('profile', { ...record, removed: false });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Remove a profile
+ */
+function handleProfileRemove(name) {
+  if (!removeProfile(name)) {
+    logger.warn(`No profile named ${name}`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+  
+  logger.info(`Removed profile ${name}`);
+  
+  printResult('profile', { name, removed: true });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Build the command-line program
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.session - For one shell line: usage errors throw instead of exiting, no banner, no nested shell
+ * @returns {Command} Program with all subcommands
+ */
+function createProgram(options = {}) {
+  const program = new Command();
+  
+  program
+    .name('xpr-transfer')
+    .description('CLI script for sending XPR tokens on Proton blockchain')
+    .version('1.0.0')
+    .allowExcessArguments(false)
+    .showHelpAfterError('(add --help for usage)')
+    .addOption(new Option('-o, --output <format>', 'Result on stdout as json, table or csv (logs go to stderr)').choices(OUTPUT_FORMATS).default('text'))
+    .option('-q, --quiet', 'Print only the essential value (balance, transaction ID, ...); log errors only')
+    .addOption(new Option('--profile <name>', 'Configuration profile to use (see "profile list")').env('XPR_PROFILE'))
+    .exitOverride(error => {
+      // Help/version exit 0; every usage error exits 2
+      const exitCode = error.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+      
+      // Argument errors (e.g. an unknown contact) come before preAction sets up the output
+      const { output, quiet } = program.opts();
+      if (exitCode === EXIT_CODES.USAGE && OUTPUT_FORMATS.includes(output)) {
+        configureOutput({ format: output, quiet });
+        printResult('error', { success: false, error: error.message.replace(/^error: /, ''), code: 'USAGE' });
+      }
+      if (options.session) {
+        process.exitCode = exitCode;
+        throw error;
       }
+      process.exit(exitCode);
+    })
+    .addHelpText('after', `
+Examples:
+  node index.js balance
+  node index.js transfer receiver "1.0000 XPR" --memo "Payment"
+  node index.js transfer receiver 1.5 --idempotency-key invoice-1042 --wait-irreversible
+  node index.js batch transfers.json --chunk-size 50
+  node index.js account receiver
+  node index.js msig list treasury
+  node index.js --output json balance receiver
+  node index.js -q transfer receiver 1.5          # prints the transaction ID
+  node index.js shell                             # interactive session
+  node index.js --profile treasury balance        # settings of a saved profile
+
+Exit codes: 0 ok, 1 failure, 2 invalid usage, 3 not found, 4 outcome not settled (re-run to resolve)`)
+    .hook('preAction', (thisCommand, actionCommand) => {
+      // Output settings come first: they decide where the logs go
+      const { output, quiet, profile } = actionCommand.optsWithGlobals();
+      configureOutput({ format: output, quiet });
       
-      // Check if recipient exists
-      const exists = await accountExists(transfer.to);
-      if (!exists) {
-        logger.warn(`Recipient account ${transfer.to} does not exist (transfer ${i + 1})`);
+      // A shell keeps the profile (and SDK connection) it started with
+      const active = getActiveProfile();
+      if (options.session) {
+        if (profile && profile !== (active && active.name)) {
+          thisCommand.error(`error: the shell runs with profile ${active ? active.name : '(none)'}; restart it with --profile ${profile}`);
+        }
+        return;
       }
-    }
-    
-    // Execute batch transfer
-    const result = await batchTransfer(batchData);
+      
+      if (profile) {
+        try {
+          applyProfile(profile);
+        } catch (error) {
+          // Profile commands still work, to repair a missing or broken profile
+          if (actionCommand.parent.name() !== 'profile') {
+            thisCommand.error(`error: ${error.message}`);
+          }
+          logger.warn(error.message);
+        }
+      }
+      
+      const applied = getActiveProfile();
+      logger.info('XPR Token Transfer CLI');
+      logger.info(`Profile: ${applied ? `${applied.name} (${config.blockchain.chainId ? getNetworkType().toUpperCase() : 'network detected on connect'}, ${config.account.name || 'no account'})` : '(none, .env settings)'}`);
+      logger.info('=' .repeat(50));
+    });
+
+  // transfer
+  addSendOptions(program
+    .command('transfer')
+    .description('Send tokens to an account')
+    .argument('<to>', 'Recipient account, or @contact from the address book', parseRecipientOption)
+    .argument('<amount>', 'Token amount (e.g., "1.0000 XPR", 1.5, "1,000 XPR")')
+    .option('-m, --memo <memo>', 'Transaction memo')
+    .option('--idempotency-key <key>', 'Client key; re-running with the same key never pays twice (without one, a re-run is not protected)'))
+    .addHelpText('after', `
+Examples:
+  node index.js transfer receiver "1.0000 XPR" --memo "Payment"
+  node index.js transfer receiver "1.0000 XPR" --dry-run
+  node index.js transfer receiver "1.0000 XPR" --yes          # no prompt (scripts, cron)
+  node index.js transfer receiver "1.0000 XPR" --permission transfer
+  node index.js transfer receiver "1.0000 XPR" --export-unsigned tx.json   # then: sign, broadcast`)
+    .action(runCommand(
+      options => options.exportUnsigned ? SDK_MODE.READ_ONLY : SDK_MODE.SIGNER,
+      handleSingleTransfer
+    ));
+  
+  // batch
+  addBatchFileOptions(addSendOptions(program
+    .command('batch')
+    .description('Send transfers from a JSON, JSON Lines, CSV or TSV file in chunks, with a resumable journal')
+    .argument('<file>', 'Batch file (.json, .jsonl, .csv or .tsv)')
+    .option('--chunk-size <n>', 'Transfers per transaction (default: BATCH_CHUNK_SIZE or 20)', parsePositiveInteger)
+    .addOption(new Option('--max-cpu <us>', 'Size chunks by estimated CPU per transaction (microseconds)').argParser(parsePositiveInteger).conflicts('chunkSize'))
+    .option('--journal <file>', 'Batch journal file (default: derived from the batch contents)')
+    .option('--retry-unknown', 'Re-send chunks whose outcome could not be confirmed (verify them first)')
+    .addOption(new Option('--plan [file]', 'Show the execution plan (totals, chunks, anomalies) and save it to a file; nothing is sent').conflicts(['exportUnsigned', 'dryRun']))
+    .addOption(new Option('--require-plan <hash:chunks|file>', 'Send only if the batch matches this approved plan (<hash>:<chunkSize> as printed with the plan, or saved plan file)').conflicts('plan'))))
+    .addHelpText('after', `
+Re-run the same command after a crash to resume from the journal.
+
+Batch file formats:
+  JSON        [{"to": "receiver1", "amount": "1.0000 XPR", "memo": "Payment 1"}, ...]
+  JSON Lines  {"to": "receiver1", "amount": "1.0000 XPR", "memo": "Payment 1"}   (one per line)
+  CSV / TSV   header row, then one transfer per row:
+                to,amount,memo,symbol
+                receiver1,1.5,Payment 1,XPR
+              Other header names: recipient/account/payee, quantity/value,
+              reference/note, token/currency; or --columns to=Payee,amount=Total
+
+Amounts without a symbol use the symbol column, else XPR. Every invalid row is
+reported with its line number before anything is sent.
+
+Review, then run exactly the reviewed batch:
+  node index.js batch payouts.csv --plan plan.json
+  node index.js batch payouts.csv --require-plan plan.json`)
+    .action(runCommand(
+      options => options.exportUnsigned || options.plan ? SDK_MODE.READ_ONLY : SDK_MODE.SIGNER,
+      handleBatchTransfer
+    ));
+  
+  // balance
+  program
+    .command('balance')
+    .description('Show token balances of accounts, or watch them for changes (no private key needed)')
+    .argument('[accounts...]', 'Accounts (default: FROM_ACCOUNT)', (value, previous = []) => [...previous, parseAccountOption(value)])
+    .option('-s, --symbol <symbols>', 'Token symbol(s), comma-separated (default: the profile\'s token, or XPR)', parseListOption)
+    .option('-w, --watch', 'Keep polling and print only changes, with signed deltas, until Ctrl-C')
+    .option('--interval <seconds>', `Poll interval with --watch (default: ${config.balanceWatch.intervalSeconds})`, parsePositiveNumber)
+    .option('--exec <command>', 'With --watch: run this shell command on each change (XPR_ACCOUNT, XPR_SYMBOL, XPR_BALANCE, XPR_PREVIOUS, XPR_DELTA, XPR_TIMESTAMP are set)')
+    .addHelpText('after', `
+Examples:
+  node index.js balance alice bob -s XPR,XUSDC
+  node index.js balance --watch --interval 30
+  node index.js -o json balance hotwallet --watch --exec './notify.sh "$XPR_ACCOUNT $XPR_DELTA"'`)
+    .action(runCommand(SDK_MODE.READ_ONLY, checkBalance));
+  
+  // history
+  program
+    .command('history')
+    .description('Show token transfers sent or received by an account, from a history API (no private key needed)')
+    .argument('[account]', 'Account (default: FROM_ACCOUNT)', parseAccountOption)
+    .addOption(new Option('--direction <direction>', 'Received, sent or both').choices(DIRECTIONS).default('all'))
+    .option('--counterparty <account>', 'Only transfers with this account', parseAccountOption)
+    .option('-s, --symbol <symbol>', 'Only this token')
+    .option('--contract <account>', 'Only this token contract', parseAccountOption)
+    .option('--after <date>', 'Only transfers after this date (YYYY-MM-DD or ISO date-time)')
+    .option('--before <date>', 'Only transfers before this date')
+    .option('--memo <text>', 'Only memos containing this text (case-insensitive)')
+    .option('--limit <n>', 'Transfers per page', parsePositiveInteger, 20)
+    .option('--cursor <cursor>', 'Next page, as printed by the previous page')
+    .option('--endpoint <url>', 'Hyperion history API (default: HISTORY_ENDPOINT or the network default)')
+    .addHelpText('after', `
+Examples:
+  node index.js history
+  node index.js history receiver --direction in --symbol XPR --after 2024-05-01
+  node index.js history receiver --counterparty exchangeacc --memo invoice
+  node index.js -o csv history receiver --limit 500 > transfers.csv`)
+    .action(runCommand(options => options.endpoint || config.history.endpoint || config.blockchain.chainId ? SDK_MODE.NONE : SDK_MODE.READ_ONLY, showTransferHistory));
+  
+  // account
+  program
+    .command('account')
+    .description('Show account details: RAM, CPU, NET (no private key needed)')
+    .argument('<account>', 'Account name', parseAccountOption)
+    .action(runCommand(SDK_MODE.READ_ONLY, showAccountInfo));
+  
+  // exists
+  program
+    .command('exists')
+    .description('Check if an account exists; exit code 3 if it does not (no private key needed)')
+    .argument('<account>', 'Account name', parseAccountOption)
+    .action(runCommand(SDK_MODE.READ_ONLY, checkAccountExists));
+  
+  // tx
+  program
+    .command('tx')
+    .description('Show a transaction by ID: decoded actions, token transfers, CPU/NET, finality and explorer link')
+    .argument('<id>', 'Transaction ID (64 hex characters)')
+    .action(runCommand(SDK_MODE.READ_ONLY, showTransaction));
+  
+  // network
+  program
+    .command('network')
+    .description('Show endpoint, chain ID and supported tokens (no network access)')
+    .action(runCommand(SDK_MODE.NONE, showNetworkInfo));
+  
+  // sign / broadcast (offline signing steps 2 and 3)
+  program
+    .command('sign')
+    .description('Sign a transaction file with PRIVATE_KEY (offline, no network)')
+    .argument('<file>', 'File written by --export-unsigned')
+    .action(runCommand(SDK_MODE.NONE, handleSignFile));
+  
+  addFinalityOptions(program
+    .command('broadcast')
+    .description('Broadcast a signed transaction file (no private key needed)')
+    .argument('<file>', 'Signed transaction file'))
+    .action(runCommand(SDK_MODE.READ_ONLY, handleBroadcastFile));
+  
+  // msig
+  const msig = program
+    .command('msig')
+    .description('Multisig treasury transfers via eosio.msig');
+  
+  addBatchFileOptions(addAuthOptions(msig
+    .command('propose')
+    .description('Propose a transfer or batch from a multisig account')
+    .argument('<account>', 'Multisig account that sends the funds', parseAccountOption)
+    .option('--to <account>', 'Recipient account', parseRecipientOption)
+    .option('--amount <amount>', 'Token amount')
+    .option('-m, --memo <memo>', 'Transaction memo')
+    .addOption(new Option('--batch <file>', 'Batch file (JSON, JSON Lines, CSV or TSV) instead of --to/--amount').conflicts(['to', 'amount', 'memo']))
+    .option('--proposal-name <name>', 'Proposal name (default: generated)', parseNameOption)
+    .option('--requested <list>', 'Requested approvers as actor@permission, comma-separated')
+    .option('--strip-memo-invisible', 'Remove invisible/control characters from memos instead of rejecting them')
+    .option('--dry-run', 'Sign and simulate without broadcasting')))
+    .action(runCommand(SDK_MODE.SIGNER, handleMsigPropose));
+  
+  msig
+    .command('list')
+    .description('List open proposals with decoded actions (no private key needed)')
+    .argument('[proposer]', 'Proposer (default: FROM_ACCOUNT)', parseAccountOption)
+    .action(runCommand(SDK_MODE.READ_ONLY, handleMsigList));
+  
+  const msigActions = {
+    approve: 'Approve a proposal with the local key',
+    unapprove: 'Withdraw approval of a proposal',
+    exec: 'Execute an approved proposal',
+    cancel: 'Cancel a proposal (proposer only)',
+  };
+  
+  for (const [action, description] of Object.entries(msigActions)) {
+    const command = msig
+      .command(action)
+      .description(description)
+      .argument('<proposal>', 'Proposal as proposer/name (or name proposed by FROM_ACCOUNT)', parseProposalRef)
+      .option('--dry-run', 'Sign and simulate without broadcasting');
     
-    if (result.success) {
-      logger.info('Batch transfer completed successfully!');
-      logger.info(`Transaction ID: ${result.transactionId}`);
-      logger.info(`Block Number: ${result.blockNumber}`);
-    } else {
-      logger.error(`Batch transfer failed: ${result.error}`);
+    if (action === 'approve') {
+      command.option('--proposal-hash <hash>', 'Only approve if the proposal still matches this reviewed hash');
     }
     
-  } catch (error) {
-    logger.error(`Batch transfer error: ${error.message}`);
-  }
-}
-
-/**
- * Show help information
- */
-function showHelp() {
-  logger.info('Usage Examples:');
-  logger.info('');
-  logger.info('1. Check sender balance:');
-  logger.info('   node index.js --balance');
-  logger.info('');
-  logger.info('2. Send XPR:');
-  logger.info('   node index.js --to receiver --amount "1.0000 XPR"');
-  logger.info('');
-  logger.info('3. Send with memo:');
-  logger.info('   node index.js --to receiver --amount "1.0000 XPR" --memo "Payment"');
-  logger.info('');
-  logger.info('4. Check specific account balance:');
-  logger.info('   node index.js --check-balance receiver');
-  logger.info('');
-  logger.info('5. Get account information:');
-  logger.info('   node index.js --account-info receiver');
-  logger.info('');
-  logger.info('6. Check if account exists:');
-  logger.info('   node index.js --exists receiver');
-  logger.info('');
-  logger.info('7. Show network information:');
-  logger.info('   node index.js --network');
-  logger.info('');
-  logger.info('8. Batch transfer from file:');
-  logger.info('   node index.js --batch transfers.json');
-  logger.info('');
-  logger.info('Batch file format (transfers.json):');
-  logger.info('   [');
-  logger.info('     {"to": "receiver1", "amount": "1.0000 XPR", "memo": "Payment 1"},');
-  logger.info('     {"to": "receiver2", "amount": "2.0000 XPR", "memo": "Payment 2"}');
-  logger.info('   ]');
+    addAuthOptions(command)
+      .action(runCommand(SDK_MODE.SIGNER, (ref, options) => handleMsigAction(action, ref, options)));
+  }
+  
+  // memo-rules
+  const memoRules = program
+    .command('memo-rules')
+    .description('Memo-required recipients such as exchange deposit wallets (local file, no network)');
+  
+  memoRules
+    .command('list', { isDefault: true })
+    .description('List built-in and local rules and memo-required contacts')
+    .action(runCommand(SDK_MODE.NONE, handleMemoRulesList));
+  
+  memoRules
+    .command('add')
+    .description('Mark a recipient as memo-required')
+    .argument('<account>', 'Recipient account', parseAccountOption)
+    .option('--pattern <regex>', 'Memo format the whole memo must match (e.g. "[0-9]{6,12}")')
+    .option('--name <label>', 'Label shown in errors (e.g. "Exchange X deposits")')
+    .option('--optional', 'Memo not required (overrides a built-in rule or memo-required contact)')
+    .action(runCommand(SDK_MODE.NONE, handleMemoRulesAdd));
+  
+  memoRules
+    .command('remove')
+    .description('Remove a local rule')
+    .argument('<account>', 'Recipient account', parseAccountOption)
+    .action(runCommand(SDK_MODE.NONE, handleMemoRulesRemove));
+  
+  // contacts
+  const contactsCommand = program
+    .command('contacts')
+    .description('Address book: use @name instead of an account in transfers and batch files (local file, no network)');
+  
+  contactsCommand
+    .command('list', { isDefault: true })
+    .description('List contacts')
+    .option('--tag <tag>', 'Only contacts with this tag')
+    .action(runCommand(SDK_MODE.NONE, handleContactsList));
+  
+  contactsCommand
+    .command('show')
+    .description('Show a contact')
+    .argument('<name>', 'Contact name (with or without @)')
+    .action(runCommand(SDK_MODE.NONE, handleContactsShow));
+  
+  contactsCommand
+    .command('add')
+    .description('Add a contact, or change the given settings of an existing one')
+    .argument('<name>', 'Contact name (e.g. alice)')
+    .option('--account <account>', 'Account (required for a new contact)', parseAccountOption)
+    .option('--label <text>', 'Description shown in summaries (e.g. "Landlord")')
+    .option('-m, --memo <memo>', 'Default memo for transfers without one')
+    .option('--tags <list>', 'Tags, comma-separated (replace the existing ones)', parseListOption)
+    .option('--memo-required', 'Refuse transfers to this account without a memo')
+    .option('--no-memo-required', 'Allow transfers without a memo again')
+    .addHelpText('after', `
+Examples:
+  node index.js contacts add alice --account alice.x --label "Landlord" --memo "Rent" --tags rent,monthly
+  node index.js contacts add exchange --account exchangeacc --memo-required
+  node index.js transfer @alice 1200                # pays alice.x with memo "Rent"`)
+    .action(runCommand(SDK_MODE.NONE, handleContactsAdd));
+  
+  contactsCommand
+    .command('remove')
+    .description('Remove a contact')
+    .argument('<name>', 'Contact name')
+    .action(runCommand(SDK_MODE.NONE, handleContactsRemove));
+  
+  contactsCommand
+    .command('import')
+    .description('Import contacts from JSON (contacts export) or CSV (name,account,label,memo,tags,memoRequired)')
+    .argument('<file>', 'JSON or .csv file')
+    .option('--replace', 'Overwrite existing contacts with the same name')
+    .action(runCommand(SDK_MODE.NONE, handleContactsImport));
+  
+  contactsCommand
+    .command('export')
+    .description('Export all contacts to a JSON file')
+    .argument('<file>', 'Output file')
+    .action(runCommand(SDK_MODE.NONE, handleContactsExport));
+  
+  // profile
+  const profileCommand = program
+    .command('profile')
+    .description('Named settings for networks and accounts, selected with --profile or XPR_PROFILE (local file, no network)');
+  
+  profileCommand
+    .command('list', { isDefault: true })
+    .description('List profiles (* marks the active one)')
+    .action(runCommand(SDK_MODE.NONE, handleProfileList));
+  
+  profileCommand
+    .command('show')
+    .description('Show a profile; without a name, the settings commands run with')
+    .argument('[name]', 'Profile name')
+    .action(runCommand(SDK_MODE.NONE, handleProfileShow));
+  
+  profileCommand
+    .command('add')
+    .description('Add a profile, or change the given settings of an existing one (others come from .env)')
+    .argument('<name>', 'Profile name')
+    .option('--endpoint <urls>', 'Node endpoint(s), comma-separated; the first is preferred', parseListOption)
+    .option('--chain-id <id>', 'Chain ID of the endpoints; signing is refused if the node reports another (default: detected)')
+    .option('--account <account>', 'Sender account', parseAccountOption)
+    .option('--permission <name>', 'Sender permission', parseNameOption)
+    .addOption(new Option('--key-env <variable>', 'Read the private key from this environment variable').conflicts('keyFile'))
+    .option('--key-file <path>', 'Read the private key from this file (keep it chmod 600)')
+    .option('-s, --symbol <symbol>', 'Default token')
+    .addHelpText('after', `
+Examples:
+  node index.js profile add dev --endpoint https://testnet.protonchain.com --chain-id 71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd --account devacct --key-env DEV_KEY
+  node index.js profile add treasury --endpoint https://proton.greymass.com,https://proton.eosusa.io --account treasury --permission transfer --key-file ~/.keys/treasury
+  node index.js --profile treasury balance`)
+    .action(runCommand(SDK_MODE.NONE, handleProfileAdd));
+  
+  profileCommand
+    .command('remove')
+    .description('Remove a profile')
+    .argument('<name>', 'Profile name')
+    .action(runCommand(SDK_MODE.NONE, handleProfileRemove));
+  
+  // shell
+  if (!options.session) {
+    program
+      .command('shell')
+      .description('Interactive session: one SDK connection, tab completion, history and a summary of transfers sent')
+      .action(runCommand(
+        () => config.account.privateKey ? SDK_MODE.SIGNER : SDK_MODE.READ_ONLY,
+        () => startShell(createProgram)
+      ));
+  }
+  
+  return program;
+}
+
+/**
+ * Main function
+ * @param {Array<string>} argv - Command line (default: process.argv)
+ */
+async function main(argv = process.argv) {
+  await createProgram().parseAsync(argv);
 }
 
 // Run main function
 if (require.main === module) {
   main().catch((error) => {
-    logger.error('Unhandled error:', error);
-    process.exit(1);
+    logger.error(`Unhandled error: ${error.message}`);
+    process.exit(EXIT_CODES.FAILURE);
   });
 }
 
 module.exports = {
+  EXIT_CODES,
   main,
+  createProgram,
   showNetworkInfo,
-  checkSenderBalance,
-  checkSpecificBalance,
+  checkBalance,
   showAccountInfo,
   checkAccountExists,
+  showTransaction,
+  showTransferHistory,
   handleSingleTransfer,
   handleBatchTransfer,
-};
\ No newline at end of file
+  showSimulationResult,
+  handleExportUnsigned,
+  handleSignFile,
+  handleBroadcastFile,
+  handleMsigPropose,
+  handleMsigList,
+  handleMsigAction,
+  handleContactsList,
+  handleContactsShow,
+  handleContactsAdd,
+  handleContactsRemove,
+  handleContactsImport,
+  handleContactsExport,
+  handleProfileList,
+  handleProfileShow,
+  handleProfileAdd,
+  handleProfileRemove,
+};
@@ -0,0 +1,371 @@
+/**
+ * Interactive shell for XPR Token Transfer CLI
+ *
+ * `node index.js shell` keeps one process, and one initialized SDK, for a
+ * whole session. Each line is parsed by the same commander program as the
+ * command line, so commands, options and exit codes are identical:
+ *
+ *   xpr> balance
+ *   xpr> transfer alice 1.5 --memo "Invoice 1042"
+ *   xpr> summary
+ *
+ * Key Concepts:
+ * - Tab completes commands, options, known account names (sender,
+ *   memo-rule recipients and accounts used in this session) and @contacts
+ * - History is kept in `<dataDir>/shell_history` across sessions
+ * - Transfers sent during the session are listed by `summary` and on exit
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { CommanderError } = require('commander');
+const { config, getNetworkType } = require('./config');
+const { logger, Asset } = require('./utils');
+const { isValidAccountName } = require('./utils/name');
+const { addResultListener } = require('./utils/output');
+const { useReadline } = require('./utils/confirm');
+const { getActiveProfile } = require('./config/profiles');
+const { listRecipientRules } = require('./chain/recipient-registry');
+const { listContacts } = require('./chain/address-book');
+
+const HISTORY_SIZE = 500;
+
+// Commands handled by the shell itself
+const SHELL_COMMANDS = {
+  help: 'List commands (help <command> for its options)',
+  summary: 'Transfers sent in this session',
+  exit: 'Leave the shell (also quit, Ctrl-D)',
+};
+
+/**
+ * Split a line into arguments, honoring quotes and backslash escapes
+ * @param {string} line - Input line
+ * @returns {Array<string>} Arguments
+ * @throws {Error} If a quote is not closed
+ */
+function splitArgs(line) {
+  const args = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i];
+
+    if (quote) {
+      if (character === quote) {
+        quote = null;
+      } else if (character === '\\' && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += character;
+      }
+    } else if (character === '"' || character === "'") {
+      quote = character;
+      current = current || '';
+    } else if (character === '\\' && i + 1 < line.length) {
+      current = (current || '') + line[++i];
+    } else if (/\s/.test(character)) {
+      if (current !== null) {
+        args.push(current);
+        current = null;
+      }
+    } else {
+      current = (current || '') + character;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote`);
+  }
+  if (current !== null) {
+    args.push(current);
+  }
+
+  return args;
+}
+
+/**
+ * Get the path of the history file
+ * @returns {string} File path
+ */
+function getHistoryPath() {
+  return path.join(config.storage.dataDir, 'shell_history');
+}
+
+/**
+ * Load saved history (most recent first, as readline expects)
+ * @returns {Array<string>} History lines
+ */
+function loadHistory() {
+  try {
+    return fs.readFileSync(getHistoryPath(), 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save history (oldest first, one command per line)
+ * @param {Array<string>} history - History lines, most recent first
+ */
+function saveHistory(history) {
+  try {
+    fs.mkdirSync(config.storage.dataDir, { recursive: true });
+    fs.writeFileSync(getHistoryPath(), `${[...history].reverse().join('\n')}\n`);
+  } catch (error) {
+    logger.debug(`Could not save shell history: ${error.message}`);
+  }
+}
+
+/**
+ * Create session state, filled from command results
+ * @returns {Object} Session ({ startedAt, transfers, batches, failed, accounts })
+ */
+function createSession() {
+  const session = {
+    startedAt: Date.now(),
+    transfers: [],
+    batches: [],
+    failed: 0,
+    accounts: new Set(),
+  };
+
+  addResultListener((kind, record) => {
+    for (const field of ['account', 'from', 'to', 'proposer']) {
+      if (typeof record[field] === 'string' && isValidAccountName(record[field])) {
+        session.accounts.add(record[field]);
+      }
+    }
+
+    if ((kind !== 'transfer' && kind !== 'batch') || record.dryRun) {
+      return;
+    }
+
+    if (!record.success) {
+      session.failed++;
+    } else if (kind === 'transfer') {
+      session.transfers.push(record);
+    } else {
+      session.batches.push(record);
+    }
+  });
+
+  return session;
+}
+
+/**
+ * Print the transfers sent in this session
+ * @param {Object} session - Session state
+ */
+function printSummary(session) {
+  const minutes = Math.floor((Date.now() - session.startedAt) / 60000);
+  const lines = [`Session summary (${minutes} min):`];
+  const totals = new Map();
+
+  const addTotal = (quantity) => {
+    const asset = Asset.fromString(quantity);
+    totals.set(asset.symbol, totals.has(asset.symbol) ? totals.get(asset.symbol).add(asset) : asset);
+  };
+
+  for (const transfer of session.transfers) {
+    lines.push(`  ${transfer.to || '(file)'}  ${transfer.quantity || ''}  ${transfer.transactionId}  ${transfer.status}`);
+    if (transfer.quantity) {
+      addTotal(transfer.quantity);
+    }
+  }
+
+  for (const batch of session.batches) {
+    const count = batch.chunks.reduce((sum, chunk) => sum + chunk.transfers, 0);
+    lines.push(`  batch ${batch.batchHash.slice(0, 16)}  ${count} transfer(s) in ${batch.chunks.length} transaction(s)  ${(batch.totals || []).join(', ')}`);
+    (batch.totals || []).forEach(addTotal);
+  }
+
+  if (session.transfers.length === 0 && session.batches.length === 0) {
+    lines.push('  No transfers sent');
+  }
+
+  for (const total of totals.values()) {
+    lines.push(`  Total sent: ${total}`);
+  }
+
+  if (session.failed > 0) {
+    lines.push(`  Failed or not sent: ${session.failed}`);
+  }
+
+  process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+/**
+ * Find the (sub)command named by the leading words of a line
+ * @param {Command} program - Program
+ * @param {Array<string>} words - Words before the cursor
+ * @returns {Command} Deepest matching command (the program if none)
+ */
+function findCommand(program, words) {
+  let command = program;
+
+  for (const word of words) {
+    const subcommand = command.commands.find(candidate => candidate.name() === word);
+    if (!subcommand) {
+      break;
+    }
+    command = subcommand;
+  }
+
+  return command;
+}
+
+/**
+ * Create the tab completer
+ * @param {Command} program - Program to read commands and options from
+ * @param {Object} session - Session state (known accounts)
+ * @returns {Function} readline completer
+ */
+function createCompleter(program, session) {
+  const knownAccounts = () => {
+    const accounts = new Set(session.accounts);
+    if (config.account.name) {
+      accounts.add(config.account.name);
+    }
+    try {
+      listRecipientRules().forEach(rule => accounts.add(rule.account));
+      listContacts().forEach(contact => accounts.add(`@${contact.name}`));
+    } catch (error) {
+      // Unreadable rules file or address book: complete without it
+    }
+    return [...accounts].sort();
+  };
+
+  return (line) => {
+    const words = line.trimStart().split(/\s+/);
+    const current = words[words.length - 1];
+    const command = findCommand(program, words.slice(0, -1));
+    let candidates;
+
+    if (words.length === 1) {
+      candidates = [...program.commands.map(candidate => candidate.name()), ...Object.keys(SHELL_COMMANDS), 'quit'];
+    } else if (current.startsWith('-')) {
+      candidates = [...command.options, ...program.options].map(option => option.long).filter(Boolean);
+    } else if (command.commands.length > 0) {
+      candidates = command.commands.map(candidate => candidate.name());
+    } else {
+      candidates = knownAccounts();
+    }
+
+    return [candidates.filter(candidate => candidate.startsWith(current)), current];
+  };
+}
+
+/**
+ * Run one shell line through the CLI program
+ * @param {Function} createProgram - Program factory from index.js
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<number>} Exit code of the command
+ */
+async function runLine(createProgram, args) {
+  process.exitCode = 0;
+
+  try {
+    await createProgram({ session: true }).parseAsync(args, { from: 'user' });
+  } catch (error) {
+    // Usage errors were already printed by commander and set the exit code
+    if (!(error instanceof CommanderError)) {
+      logger.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  const exitCode = process.exitCode;
+  process.exitCode = 0;
+  return exitCode;
+}
+
+/**
+ * Start the interactive shell
+ *
+ * Expects the SDK to be initialized already (the `shell` command does it);
+ * later commands reuse it.
+ *
+ * @param {Function} createProgram - Program factory; called with { session: true } per line
+ * @returns {Promise<number>} Exit code (0)
+ */
+async function startShell(createProgram) {
+  const session = createSession();
+  const history = loadHistory();
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+    prompt: 'xpr> ',
+    completer: createCompleter(createProgram({ session: true }), session),
+    history,
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+  });
+
+  // Confirmation prompts must read from this interface, not open a second one
+  useReadline(rl);
+
+  rl.on('history', saveHistory);
+  rl.on('SIGINT', () => {
+    // A running command that handles Ctrl-C (balance --watch) gets it
+    if (process.listenerCount('SIGINT') > 0) {
+      process.emit('SIGINT');
+      return;
+    }
+
+    // Otherwise Ctrl-C drops the current line; Ctrl-D or "exit" leaves
+    rl.write(null, { ctrl: true, name: 'u' });
+    process.stderr.write('\n');
+    rl.prompt();
+  });
+
+  const profile = getActiveProfile();
+  process.stderr.write(`XPR Token Transfer shell - ${profile ? `profile ${profile.name}, ` : ''}${getNetworkType().toUpperCase()} as ${config.account.name || '(no account)'}. Type "help" for commands, "exit" to leave.\n`);
+  rl.prompt();
+
+  for await (const line of rl) {
+    let args;
+    try {
+      args = splitArgs(line);
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      rl.prompt();
+      continue;
+    }
+
+    const [name] = args;
+
+    if (name === 'exit' || name === 'quit') {
+      break;
+    }
+
+    if (name === 'summary') {
+      printSummary(session);
+    } else if (name === 'help' && args.length === 1) {
+      createProgram({ session: true }).outputHelp();
+      process.stdout.write(`\nShell commands:\n${Object.entries(SHELL_COMMANDS).map(([command, description]) => `  ${command.padEnd(10)}${description}`).join('\n')}\n`);
+    } else if (name) {
+      const exitCode = await runLine(createProgram, args);
+      if (exitCode) {
+        process.stderr.write(`(exit ${exitCode})\n`);
+      }
+    }
+
+    rl.prompt();
+  }
+
+  rl.close();
+  useReadline(null);
+  printSummary(session);
+  return 0;
+}
+
+module.exports = {
+  startShell,
+  splitArgs,
+};
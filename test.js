@@ -5,9 +5,45 @@
  * Following XPR Network developer examples standards
  */
 
-const { initializeProtonSDK, getBalance, transferToken, getAccountInfo, accountExists } = require('./chain/token-transfer');
-const { logger } = require('./utils');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { initializeProtonSDK, getBalance, transferToken, getAccountInfo, accountExists, batchTransfer } = require('./chain/token-transfer');
+const { getTransferHistory } = require('./chain/history');
+const { logger, Asset, computeTransactionId } = require('./utils');
+const { nameToUint64, uint64ToName, validateName, validateAccountName } = require('./utils/name');
+const { validateMemo } = require('./utils/memo');
+const { validateAmountSecure } = require('./utils/security');
+const { transactOnce, waitForIrreversible, getIdempotencyJournalPath, pruneIdempotencyJournals } = require('./chain/broadcast');
+const { getRecipientRule, listRecipientRules, addRecipientRule, removeRecipientRule, checkRecipientMemo } = require('./chain/recipient-registry');
+const { createBatchPlan, saveBatchPlan, formatPlanReference, readApprovedPlan } = require('./chain/batch-plan');
+const { parseBatch, parseColumnMapping, createBatchError } = require('./utils/batch-file');
+const { summarizeTransactionFile, signTransactionFile } = require('./chain/offline-signing');
 const { config, getNetworkType } = require('./config');
+const { Api, JsonRpc } = require('@proton/js');
+
+/**
+ * Fail a test with a message unless the condition holds
+ */
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Fail a test unless the function throws an error matching the pattern
+ */
+function checkThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    check(pattern.test(error.message), `${message}: unexpected error "${error.message}"`);
+    return;
+  }
+  throw new Error(`${message}: no error thrown`);
+}
 
 /**
  * Test environment configuration
@@ -138,12 +174,26 @@ async function testTransferFunction() {
     const receiverExists = await accountExists(testReceiver);
     if (!receiverExists) {
       logger.warn(`Test receiver ${testReceiver} does not exist`);
-      logger.info('Note: This is a dry run test - no actual transfer will be made');
+      logger.info('Skipping dry run test');
       return true;
     }
     
     logger.info('Test receiver account exists');
-    logger.info('Note: This is a dry run test - no actual transfer will be made');
+    
+    // Sign and simulate without broadcasting
+    const simulation = await transferToken(testReceiver, testAmount, testMemo, { dryRun: true });
+    if (!simulation.dryRun || !simulation.serializedTransaction) {
+      logger.error(`Dry run did not produce a signed transaction: ${simulation.error}`);
+      return false;
+    }
+    
+    logger.info(`Dry run transaction ID: ${simulation.transactionId}`);
+    if (simulation.success) {
+      logger.info(`Estimated CPU: ${simulation.estimatedCpuUs} us, NET: ${simulation.estimatedNetBytes} bytes`);
+    } else {
+      logger.warn(`Simulation rejected by chain: ${simulation.error}`);
+    }
+    logger.info('Note: This is a dry run test - no actual transfer was made');
     
     return true;
   } catch (error) {
@@ -204,6 +254,893 @@ async function testActualTransfer() {
   }
 }
 
+/**
+ * Start a local stub of the Hyperion get_actions endpoint
+ * @param {Array} actions - Actions to serve, newest first
+ * @returns {Promise<Object>} { server, endpoint, requests }
+ */
+function startHistoryStub(actions) {
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    requests.push(params);
+    
+    if (url.pathname !== '/v2/history/get_actions' || params.account === 'brokenacc') {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'stub failure' }));
+      return;
+    }
+    
+    // The server-side filters Hyperion applies
+    const matching = actions.filter(action => {
+      const data = action.act.data;
+      return (data.from === params.account || data.to === params.account)
+        && (!params['transfer.to'] || data.to === params['transfer.to'])
+        && (!params['transfer.from'] || data.from === params['transfer.from'])
+        && (!params['transfer.symbol'] || data.quantity.endsWith(` ${params['transfer.symbol']}`))
+        && (!params.after || action['@timestamp'] > params.after)
+        && (!params.before || action['@timestamp'] < params.before);
+    });
+    
+    const skip = parseInt(params.skip) || 0;
+    const limit = parseInt(params.limit) || 10;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ total: { value: matching.length }, actions: matching.slice(skip, skip + limit) }));
+  });
+  
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, endpoint: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+  });
+}
+
+/**
+ * Test transfer history against a local stub history server (no network needed)
+ */
+async function testTransferHistory() {
+  logger.info('Testing transfer history (local stub server)...');
+  
+  const transfer = (day, from, to, quantity, memo) => ({
+    '@timestamp': `2024-05-${day}T12:00:00.000`,
+    trx_id: `${day}`.padStart(64, '0'),
+    block_num: 1000 + parseInt(day),
+    global_sequence: 5000 + parseInt(day),
+    act: { account: quantity.endsWith('XUSDC') ? 'xtokens' : 'eosio.token', name: 'transfer', data: { from, to, quantity, memo } },
+  });
+  
+  // Newest first, as the API returns them
+  const actions = [
+    transfer('09', 'alice', 'bob', '5.0000 XPR', 'rent'),
+    transfer('08', 'carol', 'alice', '2.000000 XUSDC', 'Invoice 7'),
+    transfer('07', 'bob', 'alice', '1.0000 XPR', 'invoice 6'),
+    transfer('06', 'dave', 'alice', '3.0000 XPR', 'tip'),
+    transfer('05', 'bob', 'alice', '4.0000 XPR', 'INVOICE 5'),
+    transfer('04', 'alice', 'carol', '6.0000 XPR', ''),
+  ];
+  
+  const { server, endpoint, requests } = await startHistoryStub(actions);
+  const pageSize = config.history.pageSize;
+  config.history.pageSize = 2; // Force several API requests per page
+  
+  const ids = page => page.transfers.map(t => parseInt(t.transactionId)).join(',');
+  
+  try {
+    const received = await getTransferHistory('alice', { endpoint, direction: 'in' });
+    check(ids(received) === '8,7,6,5', `direction in: got ${ids(received)}`);
+    check(received.transfers.every(t => t.direction === 'in'), 'direction in: wrong direction field');
+    check(received.nextCursor === null, 'direction in: unexpected next page');
+    check(requests[0]['transfer.to'] === 'alice', 'direction in: filter not sent to the API');
+    
+    const sent = await getTransferHistory('alice', { endpoint, direction: 'out', symbol: 'xpr' });
+    check(ids(sent) === '9,4', `direction out: got ${ids(sent)}`);
+    
+    const withBob = await getTransferHistory('alice', { endpoint, counterparty: 'bob' });
+    check(ids(withBob) === '9,7,5', `counterparty: got ${ids(withBob)}`);
+    
+    const range = await getTransferHistory('alice', { endpoint, after: '2024-05-05', before: '2024-05-08' });
+    check(ids(range) === '7,6,5', `date range: got ${ids(range)}`);
+    
+    // Memo filter is local: pages must still fill up and chain with the cursor
+    const first = await getTransferHistory('alice', { endpoint, memo: 'invoice', limit: 2 });
+    check(ids(first) === '8,7' && first.nextCursor, `memo page 1: got ${ids(first)}`);
+    const second = await getTransferHistory('alice', { endpoint, memo: 'invoice', limit: 2, cursor: first.nextCursor });
+    check(ids(second) === '5', `memo page 2: got ${ids(second)}`);
+    check(second.nextCursor === null, 'memo page 2: unexpected next page');
+    
+    // New transfers arriving between pages do not shift the next page
+    const newest = await getTransferHistory('alice', { endpoint, limit: 2 });
+    check(ids(newest) === '9,8', `page 1: got ${ids(newest)}`);
+    actions.unshift(transfer('10', 'erin', 'alice', '7.0000 XPR', 'new'), transfer('11', 'alice', 'erin', '1.0000 XPR', ''));
+    const older = await getTransferHistory('alice', { endpoint, limit: 2, cursor: newest.nextCursor });
+    check(ids(older) === '7,6', `page 2 after new transfers: got ${ids(older)}`);
+    actions.splice(0, 2);
+    
+    // Several actions in one block share a time: none is repeated or lost across pages
+    const sameTime = actions.map(action => ({ ...action, '@timestamp': '2024-05-09T12:00:00.000' }));
+    const { server: sameServer, endpoint: sameEndpoint } = await startHistoryStub(sameTime);
+    try {
+      const seen = [];
+      let cursor;
+      do {
+        const page = await getTransferHistory('alice', { endpoint: sameEndpoint, limit: 1, cursor });
+        seen.push(ids(page));
+        cursor = page.nextCursor;
+      } while (cursor);
+      check(seen.filter(Boolean).join(',') === '9,8,7,6,5,4', `same-time pages: got ${seen.join(',')}`);
+    } finally {
+      sameServer.close();
+    }
+    
+    let rejected = false;
+    try {
+      await getTransferHistory('alice', { endpoint, cursor: Buffer.from('{"skip":2}').toString('base64url') });
+    } catch (error) {
+      rejected = /Invalid cursor/.test(error.message);
+    }
+    check(rejected, 'offset cursor accepted');
+    
+    let failed = false;
+    try {
+      await getTransferHistory('brokenacc', { endpoint });
+    } catch (error) {
+      failed = /HTTP 500/.test(error.message);
+    }
+    check(failed, 'API error was not reported');
+    
+    logger.info('Transfer history test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Transfer history test failed: ${error.message}`);
+    return false;
+  } finally {
+    config.history.pageSize = pageSize;
+    server.close();
+  }
+}
+
+/**
+ * Test exact token amounts: parsing, arithmetic and rounding (no network needed)
+ */
+function testAssetArithmetic() {
+  logger.info('Testing token amount arithmetic...');
+  
+  const XPR = { symbol: 'XPR', precision: 4 };
+  const XUSDC = { symbol: 'XUSDC', precision: 6 };
+  const amount = value => Asset.parse(value, XPR);
+  
+  try {
+    // Ties: 1.0001 / 2 = 0.50005 (even neighbour 0.5000), 1.0003 / 2 = 0.50015 (even neighbour 0.5002)
+    const ties = [
+      ['1.0001', 'floor', '0.5000'], ['1.0001', 'ceil', '0.5001'], ['1.0001', 'half-up', '0.5001'], ['1.0001', 'half-even', '0.5000'],
+      ['1.0003', 'floor', '0.5001'], ['1.0003', 'ceil', '0.5002'], ['1.0003', 'half-up', '0.5002'], ['1.0003', 'half-even', '0.5002'],
+      ['-1.0001', 'floor', '-0.5001'], ['-1.0001', 'ceil', '-0.5000'], ['-1.0001', 'half-up', '-0.5001'], ['-1.0001', 'half-even', '-0.5000'],
+      ['-1.0003', 'floor', '-0.5002'], ['-1.0003', 'ceil', '-0.5001'], ['-1.0003', 'half-up', '-0.5002'], ['-1.0003', 'half-even', '-0.5002'],
+    ];
+    for (const [value, rounding, expected] of ties) {
+      const result = amount(value).multiplyByRatio(1, 2, rounding).toString();
+      check(result === `${expected} XPR`, `${value} / 2 (${rounding}): got ${result}`);
+    }
+    
+    // Not a tie: 1.0001 / 3 = 0.33336...
+    const third = rounding => amount('1.0001').multiplyByRatio(1, 3, rounding).toString();
+    check(third('floor') === '0.3333 XPR' && third('ceil') === '0.3334 XPR', 'floor/ceil of 1.0001 / 3');
+    check(third('half-up') === '0.3334 XPR' && third('half-even') === '0.3334 XPR', 'half-up/half-even of 1.0001 / 3');
+    checkThrows(() => amount('1').multiplyByRatio(1, 2, 'nearest'), /Unknown rounding mode/, 'unknown rounding mode');
+    checkThrows(() => amount('1').multiplyByRatio(1, 0), /denominator must be positive/, 'zero denominator');
+    
+    // Exact decimal arithmetic
+    check(amount('0.1').add(amount('0.2')).equals(amount('0.3')), '0.1 + 0.2 is not 0.3');
+    check(amount('1').subtract(amount('1.5')).toString() === '-0.5000 XPR', 'negative difference');
+    
+    // Parsing
+    check(amount('1,234,567.5 xpr').toString() === '1234567.5000 XPR', 'thousands separators');
+    check(amount('.5').toString() === '0.5000 XPR', '".5" shorthand');
+    checkThrows(() => amount('1,23'), /thousands separator/, 'short thousands group');
+    checkThrows(() => amount('12,34.5'), /thousands separator/, 'misplaced thousands separator');
+    checkThrows(() => amount('1.23456'), /more than 4 decimal places/, 'too many decimals');
+    check(Asset.parse('1.234567', XUSDC).toString() === '1.234567 XUSDC', 'six decimals for XUSDC');
+    checkThrows(() => amount('1.0000 XUSDC'), /symbol XUSDC does not match token XPR/, 'symbol mismatch');
+    checkThrows(() => amount('1').add(Asset.parse('1', XUSDC)), /Cannot combine/, 'adding different tokens');
+    
+    // Numbers from configuration, rounded to the token's precision
+    const WHOLE = { symbol: 'NFT', precision: 0 };
+    check(Asset.fromNumber(0.5, WHOLE).toString() === '0 NFT', 'floor of 0.5 at precision 0');
+    check(Asset.fromNumber(0.5, WHOLE, 'ceil').toString() === '1 NFT', 'ceil of 0.5 at precision 0');
+    check(Asset.fromNumber(1e-7, XPR).toString() === '0.0000 XPR', 'exponent notation');
+    check(Asset.fromNumber(1e21, XPR).toString() === '1000000000000000000000.0000 XPR', 'large exponent notation');
+    checkThrows(() => Asset.fromNumber(NaN, XPR), /Invalid amount value/, 'NaN threshold');
+    checkThrows(() => Asset.fromNumber(1, XPR, 'bogus'), /Unknown rounding mode/, 'unknown rounding mode for an exact number');
+    
+    // Configured limits return a validation result, never throw
+    const withMax = maxAmount => validateAmountSecure('1.0000 XPR', { ...XPR, maxAmount });
+    check(withMax(1e21).valid, 'maxAmount in exponent notation');
+    check(withMax(1.00005).valid && !validateAmountSecure('1.0001 XPR', { ...XPR, maxAmount: 1.00005 }).valid, 'maxAmount rounded down to 4 decimals');
+    check(/Invalid maxAmount for XPR/.test(withMax('lots').error), 'invalid maxAmount');
+    
+    logger.info('Token amount test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Token amount test failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Test the chain name encoding and account name rules (no network needed)
+ */
+function testAccountNames() {
+  logger.info('Testing account names...');
+  
+  const { reserved, blocked } = config.accountNames;
+  
+  try {
+    // Known encodings, as the chain stores them
+    check(nameToUint64('eosio') === 6138663577826885632n, 'eosio does not encode to its chain value');
+    check(nameToUint64('eosio.token') === 6138663591592764928n, 'eosio.token does not encode to its chain value');
+    
+    for (const name of ['a.b', 'eosio.token', 'abcdefghijkl', 'a1b2c3d4e5z.', 'zzzzzzzzzzzzj']) {
+      check(uint64ToName(nameToUint64(name)) === name.replace(/\.+$/, ''), `${name} does not round-trip`);
+    }
+    
+    check(validateAccountName('a.b') && validateAccountName('abcdefghijkl'), 'valid account names rejected');
+    checkThrows(() => validateAccountName('abcdefghijkla'), /longer than 12/, '13-character account name');
+    checkThrows(() => validateAccountName('alice.'), /cannot end with "\."/, 'trailing dot');
+    checkThrows(() => validateAccountName('Alice'), /only a-z, 1-5/, 'upper case');
+    checkThrows(() => validateAccountName('alice6'), /only a-z, 1-5/, 'digit 6');
+    
+    // 13th character: ".", 1-5 and a-j fit in the last 4 bits, k-z do not
+    check(validateName('abcdefghijklj', 'Proposal name'), '13th character j rejected');
+    for (const last of ['k', 'z']) {
+      checkThrows(() => validateName(`abcdefghijkl${last}`), /13th character/, `13th character ${last}`);
+    }
+    
+    // Recipients: reserved and blocked accounts
+    config.accountNames.reserved = ['eosio', 'eosio.null'];
+    config.accountNames.blocked = ['scamaccount1'];
+    checkThrows(() => validateAccountName('eosio.null', { recipient: true }), /reserved system account/, 'reserved recipient');
+    checkThrows(() => validateAccountName('scamaccount1', { recipient: true }), /blocked by configuration/, 'blocked recipient');
+    check(validateAccountName('eosio.null') && validateAccountName('scamaccount1'), 'reserved/blocked names rejected outside recipients');
+    check(validateAccountName('eosio.token', { recipient: true }), 'ordinary recipient rejected');
+    
+    logger.info('Account name test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Account name test failed: ${error.message}`);
+    return false;
+  } finally {
+    config.accountNames.reserved = reserved;
+    config.accountNames.blocked = blocked;
+  }
+}
+
+/**
+ * Test memo byte limits and invisible character checks (no network needed)
+ */
+function testMemoValidation() {
+  logger.info('Testing memo validation...');
+  
+  try {
+    // 256 bytes of UTF-8, not characters: "é" is 2 bytes, "😀" is 4
+    const accents = validateMemo('é'.repeat(128));
+    check(accents.valid && accents.byteLength === 256, `128 x "é" (256 bytes) rejected: ${accents.errors}`);
+    const overAccents = validateMemo(`${'é'.repeat(128)}a`);
+    check(!overAccents.valid && /257 bytes/.test(overAccents.errors[0]), '257-byte memo accepted');
+    check(validateMemo('😀'.repeat(64)).valid, '64 emoji (256 bytes) rejected');
+    check(!validateMemo(`a${'😀'.repeat(64)}`).valid, '64 emoji plus one byte accepted');
+    check(validateMemo('a'.repeat(256)).valid && !validateMemo('a'.repeat(257)).valid, 'ASCII limit is not 256');
+    
+    // Zero-width space: reported with code point and position, never silently kept
+    const zeroWidth = validateMemo('12345\u200B');
+    check(!zeroWidth.valid && /U\+200B \(zero width space\) at position 6/.test(zeroWidth.errors[0]), `zero-width space: ${zeroWidth.errors}`);
+    const stripped = validateMemo('12345\u200B', { stripInvisible: true });
+    check(stripped.valid && stripped.memo === '12345' && stripped.changed, 'zero-width space not stripped');
+    
+    // Bidi override: makes "1234" display reversed
+    const bidi = validateMemo('invoice \u202E4321');
+    check(!bidi.valid && bidi.flagged.length === 1 && bidi.flagged[0].codePoint === 0x202e, 'bidi override not flagged');
+    check(/U\+202E \(right-to-left override\) at position 9/.test(bidi.errors[0]), `bidi override: ${bidi.errors}`);
+    check(validateMemo('invoice \u202E4321', { stripInvisible: true }).memo === 'invoice 4321', 'bidi override not stripped');
+    
+    // Positions count characters; the limit applies after stripping
+    check(validateMemo('😀\u200B').flagged[0].position === 2, 'position not counted in characters');
+    check(validateMemo(`${'é'.repeat(128)}\u200B`, { stripInvisible: true }).valid, 'limit checked before stripping');
+    check(!validateMemo('a\tb').valid, 'tab accepted');
+    check(validateMemo('deposit 12345 & co <ref>').memo === 'deposit 12345 & co <ref>', 'visible characters changed');
+    
+    logger.info('Memo validation test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Memo validation test failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Test recipient rules: built-in seed list under local rules (no network needed)
+ */
+function testRecipientRules() {
+  logger.info('Testing recipient rules...');
+  
+  const dataDir = config.storage.dataDir;
+  const recipients = config.recipients;
+  config.storage.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xpr-transfer-test-'));
+  config.recipients = { exchangeacc: { memoRequired: true, memoPattern: '[0-9]{6}', name: 'Exchange X deposits' } };
+  
+  try {
+    // Seed rule blocks a memo-less transfer
+    const noMemo = checkRecipientMemo('exchangeacc', '');
+    check(!noMemo.ok && noMemo.rule.source === 'built-in', 'seed rule did not block a transfer without memo');
+    check(/exchangeacc \(Exchange X deposits\) requires a memo/.test(noMemo.error), `seed rule error: ${noMemo.error}`);
+    check(!checkRecipientMemo('exchangeacc', '12345').ok && checkRecipientMemo('exchangeacc', '123456').ok, 'seed memo pattern');
+    check(checkRecipientMemo('someoneelse', '').ok, 'account without a rule blocked');
+    
+    // A local rule for the same account overrides the seed
+    addRecipientRule('exchangeacc', { memoRequired: false });
+    const overridden = checkRecipientMemo('exchangeacc', '');
+    check(overridden.ok && overridden.rule.source === 'local', 'local rule did not override the seed');
+    check(listRecipientRules().filter(rule => rule.account === 'exchangeacc').length === 1, 'merged rule listed twice');
+    removeRecipientRule('exchangeacc');
+    check(getRecipientRule('exchangeacc').source === 'built-in', 'seed rule not back after removing the local rule');
+    
+    logger.info('Recipient rules test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Recipient rules test failed: ${error.message}`);
+    return false;
+  } finally {
+    removeRecipientRule('exchangeacc');
+    fs.rmSync(config.storage.dataDir, { recursive: true, force: true });
+    config.storage.dataDir = dataDir;
+    config.recipients = recipients;
+  }
+}
+
+/**
+ * Stub API client for broadcast tests: signs by counting, pushes through a handler,
+ * and serves the blocks in `blocks` up to `lib`
+ * @param {Function} push - Called with the pushed transaction ID; returns a block number or throws
+ */
+function createStubApi(push) {
+  const stub = { signed: 0, pushed: [], landed: {}, headTime: '2024-05-01T12:00:00.000', lib: 0, blocks: {} };
+  stub.api = {
+    transact: async () => {
+      stub.signed++;
+      return { serializedTransaction: Buffer.from(`trx-${stub.signed}`), signatures: [`SIG_K1_${stub.signed}`] };
+    },
+    deserializeTransaction: () => ({ expiration: '2024-05-01T12:00:30' }),
+    rpc: {
+      push_transaction: async ({ serializedTransaction }) => {
+        const id = computeTransactionId(serializedTransaction);
+        stub.pushed.push(id);
+        const blockNumber = push(id);
+        stub.landed[id] = blockNumber;
+        return { processed: { block_num: blockNumber } };
+      },
+      get_transaction: async (id) => {
+        if (!stub.landed[id]) throw new Error('Transaction not found');
+        return { block_num: stub.landed[id] };
+      },
+      get_info: async () => ({ head_block_time: stub.headTime, last_irreversible_block_num: stub.lib }),
+      get_block: async (blockNumber) => stub.blocks[blockNumber] || { timestamp: stub.headTime, transactions: [] },
+    },
+  };
+  return stub;
+}
+
+/**
+ * Test idempotency keys: repeated keys, resumed and unresolved transactions (local stub client)
+ */
+async function testIdempotency() {
+  logger.info('Testing idempotency keys (local stub client)...');
+  
+  const dataDir = config.storage.dataDir;
+  config.storage.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xpr-transfer-test-'));
+  const action = (quantity) => ({ account: 'eosio.token', name: 'transfer', data: { from: 'alice', to: 'bob', quantity, memo: '' } });
+  const send = (api, key, quantity = '1.0000 XPR', options = {}) => transactOnce(api, [action(quantity)], { idempotencyKey: key, from: 'alice', retries: 1, baseDelay: 0, ...options });
+  const rejects = async (promise, pattern, message) => {
+    try {
+      await promise;
+    } catch (error) {
+      check(pattern.test(error.message), `${message}: unexpected error "${error.message}"`);
+      return;
+    }
+    throw new Error(`${message}: no error thrown`);
+  };
+  
+  try {
+    // Same key after a confirmed send, and a key reused for other actions
+    const ok = createStubApi(() => 100);
+    const first = await send(ok.api, 'invoice-1');
+    check(first.success && first.blockNumber === 100, 'first send with a key failed');
+    await rejects(send(ok.api, 'invoice-1'), /already used: transaction \w+ is confirmed/, 'same key after a confirmed send');
+    await rejects(send(ok.api, 'invoice-1', '2.0000 XPR'), /already used for different actions/, 'key reused with different actions');
+    check(ok.signed === 1 && ok.pushed.length === 1, `repeated key signed or pushed again (${ok.signed} signed)`);
+    
+    // A submitted transaction is re-pushed with its original bytes, not signed again
+    let online = false;
+    const flaky = createStubApi(() => {
+      if (!online) throw new Error('socket hang up');
+      return 101;
+    });
+    const lost = await send(flaky.api, 'invoice-2');
+    check(!lost.success && lost.status === 'submitted', `lost response: got ${lost.status}`);
+    online = true;
+    const resumed = await send(flaky.api, 'invoice-2');
+    check(resumed.success && resumed.transactionId === lost.transactionId, 'submitted transaction not resumed');
+    check(flaky.signed === 1 && flaky.pushed.every(id => id === lost.transactionId), 'submitted transaction signed again');
+    
+    // Unknown outcome: looked up on chain before anything is signed again
+    const expired = createStubApi(() => { throw new Error('expired transaction'); });
+    const unknown = await send(expired.api, 'invoice-3');
+    check(!unknown.success && unknown.status === 'unknown', `expired push: got ${unknown.status}`);
+    expired.landed[unknown.transactionId] = 102;
+    const settled = await send(expired.api, 'invoice-3');
+    check(settled.success && settled.blockNumber === 102 && expired.signed === 1, 'landed transaction not settled as confirmed');
+    
+    const unseen = await send(expired.api, 'invoice-4');
+    expired.headTime = '2024-05-01T12:00:29.500';
+    check((await send(expired.api, 'invoice-4')).status === 'unknown' && expired.signed === 2, 'unexpired transaction signed again');
+    expired.headTime = '2024-05-01T12:01:00.000';
+    const resent = await send(expired.api, 'invoice-4');
+    check(expired.signed === 3 && resent.transactionId !== unseen.transactionId, 'expired unseen transaction not signed again');
+    
+    // Generated keys are pruned once settled and expired; caller keys are kept
+    const generated = await transactOnce(ok.api, [action('3.0000 XPR')], { from: 'alice' });
+    check(generated.success && fs.existsSync(getIdempotencyJournalPath('alice', generated.idempotencyKey)), 'generated key not journaled');
+    check(pruneIdempotencyJournals(Date.parse('2024-05-01T12:00:30Z')) === 0, 'journal pruned before it expired');
+    check(pruneIdempotencyJournals(Date.parse('2024-05-03T00:00:00Z')) === 1, 'generated-key journal not pruned');
+    check(fs.existsSync(getIdempotencyJournalPath('alice', 'invoice-1')), 'caller-key journal pruned');
+    
+    logger.info('Idempotency test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Idempotency test failed: ${error.message}`);
+    return false;
+  } finally {
+    fs.rmSync(config.storage.dataDir, { recursive: true, force: true });
+    config.storage.dataDir = dataDir;
+  }
+}
+
+/**
+ * Test finality tracking: irreversible, timed out, forked out and dropped (local stub client)
+ */
+async function testFinality() {
+  logger.info('Testing finality tracking (local stub client)...');
+  
+  const dataDir = config.storage.dataDir;
+  config.storage.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xpr-transfer-test-'));
+  const fast = { expiration: '2024-05-01T12:00:30', timeoutMs: 200, pollIntervalMs: 5 };
+  const receipt = id => ({ status: 'executed', trx: { id } });
+  
+  try {
+    // Irreversible: LIB passed the block and the transaction is still in it
+    const stub = createStubApi(() => 200);
+    stub.lib = 205;
+    stub.blocks[200] = { timestamp: '2024-05-01T12:00:01.000', transactions: [receipt('aa')] };
+    const irreversible = await waitForIrreversible(stub.api, 'aa', 200, fast);
+    check(irreversible.status === 'irreversible' && irreversible.blockNumber === 200, `irreversible: got ${irreversible.status}`);
+    
+    // Forked out of its block, re-included in a later irreversible one
+    stub.blocks[203] = { timestamp: '2024-05-01T12:00:02.500', transactions: [receipt('bb')] };
+    const moved = await waitForIrreversible(stub.api, 'bb', 200, fast);
+    check(moved.status === 'irreversible' && moved.blockNumber === 203, `re-included: got ${moved.status} in ${moved.blockNumber}`);
+    
+    // LIB never reaches the block: still executed, flagged as timed out; poll errors are retried
+    const get_info = stub.api.rpc.get_info;
+    let failures = 2;
+    stub.api.rpc.get_info = async () => {
+      if (failures-- > 0) throw new Error('ECONNRESET');
+      return get_info();
+    };
+    const pending = await waitForIrreversible(stub.api, 'aa', 300, { ...fast, timeoutMs: 50 });
+    check(pending.status === 'executed' && pending.timedOut && failures < 0, `timeout: got ${pending.status}`);
+    stub.api.rpc.get_info = get_info;
+    
+    // Missing from its block and from every block up to LIB, past its expiration: dropped
+    stub.blocks[205] = { timestamp: '2024-05-01T12:00:31.000', transactions: [] };
+    const dropped = await waitForIrreversible(stub.api, 'cc', 200, fast);
+    check(dropped.status === 'dropped', `dropped: got ${dropped.status}`);
+    
+    // Forked out but not expired yet: it could still land, so it is never reported dropped
+    const open = await waitForIrreversible(stub.api, 'cc', 200, { ...fast, expiration: '2024-05-01T12:01:00', timeoutMs: 50 });
+    check(open.status === 'unknown' && open.timedOut, `unexpired fork: got ${open.status}`);
+    
+    // The transfer result carries the finality status
+    const sent = createStubApi(() => 400);
+    sent.lib = 401;
+    sent.blocks[401] = { timestamp: '2024-05-01T12:00:31.000', transactions: [] };
+    const result = await transactOnce(sent.api, [{ account: 'eosio.token', name: 'transfer', data: {} }], { from: 'alice', waitIrreversible: true, finalityTimeoutMs: 200 });
+    check(!result.success && result.status === 'dropped' && /dropped \(forked out\) and expired/.test(result.error), `transfer result: got ${result.status}`);
+    
+    logger.info('Finality test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Finality test failed: ${error.message}`);
+    return false;
+  } finally {
+    fs.rmSync(config.storage.dataDir, { recursive: true, force: true });
+    config.storage.dataDir = dataDir;
+  }
+}
+
+/**
+ * Start a local stub node answering get_info with a chain ID
+ * @param {string} chainId - Chain ID to report
+ * @param {Object} routes - Extra endpoints: path -> function(body) returning the JSON answer
+ *   (or undefined to drop the connection without answering)
+ */
+function startChainStub(chainId, routes = {}) {
+  const server = http.createServer((req, res) => {
+    if (routes[req.url]) {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const answer = routes[req.url](body ? JSON.parse(body) : {});
+        if (answer === undefined) {
+          req.socket.destroy();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer));
+      });
+      return;
+    }
+    if (req.url !== '/v1/chain/get_info') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: 404, message: 'Not Found', error: { details: [{ message: 'Unknown Endpoint' }] } }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ chain_id: chainId, head_block_num: 1000, last_irreversible_block_num: 990, head_block_time: new Date().toISOString().slice(0, -1) }));
+  });
+  
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, endpoint: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Test the chain ID check and the network type table (local stub node)
+ */
+async function testChainId() {
+  logger.info('Testing chain ID detection (local stub node)...');
+  
+  const MAINNET = '384da888112027f0321850a169f737c33e53b388aad48b5adace4bab97f437e0';
+  const TESTNET = '71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd';
+  const blockchain = { ...config.blockchain };
+  const account = { ...config.account };
+  const { server, endpoint } = await startChainStub(TESTNET);
+  
+  Object.assign(config.blockchain, { endpoint, endpoints: [endpoint] });
+  Object.assign(config.account, { name: 'alice', privateKey: 'PVT_K1_2ZcVgRwxuYZFEgYpE94yiGgk3CQLs8kjwAdin5CHD8vqK3g9EG', keySource: 'env:PRIVATE_KEY' });
+  
+  try {
+    check(getNetworkType(MAINNET) === 'mainnet' && getNetworkType(TESTNET) === 'testnet', 'known chain IDs not mapped');
+    check(getNetworkType(MAINNET.replace(/^3/, '4')) === 'unknown', 'unknown chain ID mapped to a network');
+    
+    // Mainnet configured, node on testnet: signing refused, read-only only warned
+    config.blockchain.chainId = MAINNET;
+    let refused = false;
+    try {
+      await initializeProtonSDK();
+    } catch (error) {
+      refused = /Chain ID mismatch: configured 384da888.* \(XPR Network\) but .* is on 71ee83bc.* \(XPR Network Testnet\).*refusing to sign/.test(error.message);
+    }
+    check(refused, 'chain ID mismatch did not stop signing initialization');
+    await initializeProtonSDK({ readOnly: true });
+    
+    // Not configured: detected from the node, network type from the table
+    config.blockchain.chainId = undefined;
+    await initializeProtonSDK();
+    check(config.blockchain.chainId === TESTNET && getNetworkType() === 'testnet', `detected chain: ${config.blockchain.chainId}`);
+    
+    logger.info('Chain ID test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Chain ID test failed: ${error.message}`);
+    return false;
+  } finally {
+    Object.assign(config.blockchain, blockchain);
+    Object.assign(config.account, account);
+    server.close();
+  }
+}
+
+/**
+ * Test that offline signing decodes with the built-in transfer ABI, not the file's (no network needed)
+ */
+async function testOfflineDecoding() {
+  logger.info('Testing offline transaction decoding...');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xpr-transfer-test-'));
+  const api = new Api({ rpc: new JsonRpc('http://127.0.0.1:0') });
+  const transferAbi = {
+    version: 'eosio::abi/1.1',
+    types: [],
+    structs: [{ name: 'transfer', base: '', fields: [{ name: 'from', type: 'name' }, { name: 'to', type: 'name' }, { name: 'quantity', type: 'asset' }, { name: 'memo', type: 'string' }] }],
+    actions: [{ name: 'transfer', type: 'transfer', ricardian_contract: '' }],
+    tables: [], ricardian_clauses: [], error_messages: [], abi_extensions: [], variants: [],
+  };
+  const rawHex = abi => Buffer.from(api.jsonToRawAbi(abi)).toString('hex');
+  api.cachedAbis.set('eosio.token', { rawAbi: api.jsonToRawAbi(transferAbi), abi: transferAbi });
+  
+  // Write a transaction file the way the export step does, with optional tampering
+  const writeFile = async (name, abis, tamper = actions => actions) => {
+    const actions = tamper(await api.serializeActions([{
+      account: 'eosio.token',
+      name: 'transfer',
+      authorization: [{ actor: 'alice', permission: 'active' }],
+      data: { from: 'alice', to: 'bob', quantity: '1.0000 XPR', memo: 'rent' },
+    }]));
+    const serializedTransaction = Buffer.from(api.serializeTransaction({
+      expiration: '2099-01-01T00:00:00', ref_block_num: 1, ref_block_prefix: 2,
+      max_net_usage_words: 0, max_cpu_usage_ms: 0, delay_sec: 0,
+      context_free_actions: [], actions, transaction_extensions: [],
+    })).toString('hex');
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: 1, type: 'xpr-transfer-unsigned', chainId: '71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd',
+      transactionId: computeTransactionId(serializedTransaction), serializedTransaction, abis, signatures: [],
+    }));
+    return filePath;
+  };
+  const rejection = async (promise) => {
+    try {
+      await promise;
+      return '';
+    } catch (error) {
+      return error.message;
+    }
+  };
+  
+  try {
+    const good = await writeFile('good.json', { 'eosio.token': rawHex(transferAbi) });
+    const summary = await summarizeTransactionFile(good);
+    check(summary.lines[0] === '1. eosio.token::transfer alice -> bob 1.0000 XPR memo "rent" [alice@active]', `decoded: ${summary.lines[0]}`);
+    
+    // An embedded ABI that reads the same bytes differently is refused, also when signing
+    const swapped = { ...transferAbi, structs: [{ ...transferAbi.structs[0], fields: [transferAbi.structs[0].fields[1], transferAbi.structs[0].fields[0], ...transferAbi.structs[0].fields.slice(2)] }] };
+    const tampered = await writeFile('tampered.json', { 'eosio.token': rawHex(swapped) });
+    const refused = await rejection(signTransactionFile(tampered, 'PVT_K1_2ZcVgRwxuYZFEgYpE94yiGgk3CQLs8kjwAdin5CHD8vqK3g9EG'));
+    check(/Embedded ABI for eosio.token does not match/.test(refused), `mismatched ABI: ${refused}`);
+    check(JSON.parse(fs.readFileSync(tampered, 'utf8')).signatures.length === 0, 'file with a mismatched ABI was signed');
+    
+    // Bytes the transfer layout does not account for, and actions it cannot decode
+    const trailing = await writeFile('trailing.json', {}, actions => actions.map(action => ({ ...action, data: `${action.data}00` })));
+    check(/does not decode as a token transfer/.test(await rejection(summarizeTransactionFile(trailing))), 'trailing action bytes accepted');
+    const other = await writeFile('other.json', {}, actions => actions.map(action => ({ ...action, name: 'open' })));
+    check(/eosio.token::open cannot be decoded offline/.test(await rejection(summarizeTransactionFile(other))), 'non-transfer action decoded');
+    
+    logger.info('Offline decoding test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Offline decoding test failed: ${error.message}`);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that the plan hash pins the rows and the chunk size (local stub node)
+ */
+async function testBatchPlan() {
+  logger.info('Testing batch plan hash (local stub node)...');
+  
+  const TESTNET = '71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xpr-transfer-test-'));
+  const blockchain = { ...config.blockchain };
+  const account = { ...config.account };
+  const { server, endpoint } = await startChainStub(TESTNET, {
+    '/v1/chain/get_account': ({ account_name }) => ({
+      account_name, created: '2024-01-01T00:00:00.000', ram_usage: 0, ram_quota: 0,
+      cpu_limit: { used: 0, max: 0 }, net_limit: { used: 0, max: 0 },
+    }),
+    '/v1/chain/get_currency_stats': () => ({ XPR: { supply: '1.0000 XPR', max_supply: '10.0000 XPR', issuer: 'eosio' } }),
+  });
+  
+  Object.assign(config.blockchain, { endpoint, endpoints: [endpoint], chainId: TESTNET });
+  Object.assign(config.account, { name: 'alice' });
+  
+  const XPR = { symbol: 'XPR', contract: 'eosio.token', precision: 4 };
+  const tokens = new Map([['XPR', XPR]]);
+  const batch = amounts => amounts.map((amount, i) => ({ line: i + 2, to: ['bob', 'carol', 'dave'][i], amount: Asset.fromString(amount), memo: 'pay' }));
+  const rows = ['1.0000 XPR', '2.0000 XPR', '3.0000 XPR'];
+  
+  try {
+    await initializeProtonSDK({ readOnly: true });
+    
+    const plan = await createBatchPlan(batch(rows), tokens, { chunkSize: 2 });
+    const reference = formatPlanReference(plan);
+    check(reference === `${plan.planHash}:2`, `plan reference: ${reference}`);
+    
+    // The reference and the saved file both carry the chunk size the plan was made with
+    const approved = readApprovedPlan(reference);
+    const planFile = path.join(dir, 'plan.json');
+    saveBatchPlan(plan, planFile);
+    check(approved.chunkSize === 2 && readApprovedPlan(planFile).chunkSize === 2, `approved: ${JSON.stringify(approved)}`);
+    const rerun = await createBatchPlan(batch(rows), tokens, { chunkSize: approved.chunkSize, maxCpuUs: 50000 });
+    check(rerun.planHash === approved.planHash, 'same batch and chunk size gave another hash');
+    
+    // A changed row or chunk size no longer matches
+    const changedRow = await createBatchPlan(batch(['1.0000 XPR', '2.0001 XPR', '3.0000 XPR']), tokens, { chunkSize: 2 });
+    check(changedRow.planHash !== approved.planHash, 'changed row kept the plan hash');
+    const changedChunks = await createBatchPlan(batch(rows), tokens, { chunkSize: 3 });
+    check(changedChunks.planHash !== approved.planHash, 'changed chunk size kept the plan hash');
+    
+    // A bare hash, or a plan file without its chunk size, is not enough to run
+    checkThrows(() => readApprovedPlan(plan.planHash), /does not fix the chunk size/, 'bare plan hash');
+    fs.writeFileSync(planFile, JSON.stringify({ ...plan, chunkSize: undefined }));
+    checkThrows(() => readApprovedPlan(planFile), /does not record the plan's chunk size/, 'plan file without chunk size');
+    checkThrows(() => readApprovedPlan(`${plan.planHash}:0`), /Required plan must be/, 'zero chunk size');
+    
+    logger.info('Batch plan test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Batch plan test failed: ${error.message}`);
+    return false;
+  } finally {
+    Object.assign(config.blockchain, blockchain);
+    Object.assign(config.account, account);
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that a batch resumes from its journal after a crash (local stub node)
+ */
+async function testBatchResume() {
+  logger.info('Testing batch resume from journal (local stub node)...');
+  
+  const TESTNET = '71ee83bcf52142d61019d95f9cc5427ba6a0d7ff8accd9e2088ae2abeaf3d3dd';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xpr-transfer-test-'));
+  const journalPath = path.join(dir, 'batch.json');
+  const blockchain = { ...config.blockchain };
+  const account = { ...config.account };
+  const preflight = { ...config.preflight };
+  
+  const helper = new Api({ rpc: new JsonRpc('http://127.0.0.1:0') });
+  const tokenAbi = {
+    version: 'eosio::abi/1.1',
+    types: [],
+    structs: [{ name: 'transfer', base: '', fields: [{ name: 'from', type: 'name' }, { name: 'to', type: 'name' }, { name: 'quantity', type: 'asset' }, { name: 'memo', type: 'string' }] }],
+    actions: [{ name: 'transfer', type: 'transfer', ricardian_contract: '' }],
+    tables: [], ricardian_clauses: [], error_messages: [], abi_extensions: [], variants: [],
+  };
+  
+  // Pushed transaction IDs; from push number `crashOn` on, the node drops every connection
+  const node = { pushed: [], crashOn: 0 };
+  const { server, endpoint } = await startChainStub(TESTNET, {
+    '/v1/chain/get_account': ({ account_name }) => ({
+      account_name,
+      permissions: [{ perm_name: 'active', parent: 'owner', required_auth: { threshold: 1, keys: [{ key: 'PUB_K1_8NGnBQ4PvvnpNGktwnUcVsyPMDckwwxCDp6bspVVib4nnDnWpZ', weight: 1 }], accounts: [], waits: [] } }],
+    }),
+    '/v1/chain/get_currency_stats': () => ({ XPR: { supply: '1.0000 XPR', max_supply: '10.0000 XPR', issuer: 'eosio' } }),
+    '/v1/chain/get_raw_abi': ({ account_name }) => ({ account_name, abi: Buffer.from(helper.jsonToRawAbi(tokenAbi)).toString('base64') }),
+    '/v1/chain/get_block_info': ({ block_num }) => ({ block_num, id: block_num.toString(16).padStart(8, '0').padEnd(64, 'a'), timestamp: new Date().toISOString().slice(0, -1) }),
+    '/v1/chain/get_required_keys': ({ available_keys }) => ({ required_keys: available_keys }),
+    '/v1/chain/push_transaction': ({ packed_trx }) => {
+      const transactionId = computeTransactionId(packed_trx);
+      node.pushed.push(transactionId);
+      if (node.crashOn && node.pushed.length >= node.crashOn) {
+        return undefined;
+      }
+      return { transaction_id: transactionId, processed: { id: transactionId, block_num: 1000 + node.pushed.length, block_id: '00' } };
+    },
+  });
+  
+  Object.assign(config.blockchain, { endpoint, endpoints: [endpoint], chainId: TESTNET });
+  Object.assign(config.account, { name: 'alice', privateKey: 'PVT_K1_2ZcVgRwxuYZFEgYpE94yiGgk3CQLs8kjwAdin5CHD8vqK3g9EG', keySource: 'env:PRIVATE_KEY', permission: 'active' });
+  config.preflight.enabled = false;
+  
+  const transfers = ['bob', 'carol', 'dave'].map((to, i) => ({ to, amount: `${i + 1}.0000 XPR`, memo: 'payroll' }));
+  const options = { chunkSize: 1, journal: journalPath };
+  
+  try {
+    await initializeProtonSDK();
+    
+    // First run: chunk 1 lands, then the node goes away while chunk 2 is pushed (and retried)
+    node.crashOn = 2;
+    const first = await batchTransfer(transfers, options);
+    const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    const statuses = journal.entries.map(entry => entry.status).join(',');
+    check(!first.success && statuses === 'confirmed,submitted,pending', `after the crash: ${statuses}`);
+    const [landed, unsettled] = journal.entries;
+    
+    // Re-run: the confirmed chunk is skipped, the submitted one re-pushed as signed, the rest signed now
+    node.pushed = [];
+    node.crashOn = 0;
+    const resumed = await batchTransfer(transfers, options);
+    check(resumed.success && resumed.confirmed === 3, `resumed: ${JSON.stringify(resumed)}`);
+    check(resumed.chunks[0].skipped && resumed.chunks[0].transactionId === landed.transactionId, 'confirmed chunk not skipped');
+    check(!node.pushed.includes(landed.transactionId), 'confirmed chunk pushed again');
+    check(node.pushed.length === 2 && node.pushed[0] === unsettled.transactionId, `re-run pushes: ${node.pushed.join(', ')}`);
+    check(resumed.chunks[1].transactionId === unsettled.transactionId, 'submitted chunk was signed again');
+    
+    // A third run finds every chunk confirmed and sends nothing
+    node.pushed = [];
+    const again = await batchTransfer(transfers, options);
+    check(again.alreadyCompleted && node.pushed.length === 0, 'completed batch sent again');
+    
+    logger.info('Batch resume test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Batch resume test failed: ${error.message}`);
+    return false;
+  } finally {
+    Object.assign(config.blockchain, blockchain);
+    Object.assign(config.account, account);
+    Object.assign(config.preflight, preflight);
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test batch file parsing: CSV quoting, column names and per-line errors (no network needed)
+ */
+function testBatchFileParsing() {
+  logger.info('Testing batch file parsing...');
+  
+  const lines = result => result.errors.map(error => error.line).join(',');
+  
+  try {
+    // RFC 4180 quoting: delimiters, doubled quotes and line breaks inside fields
+    const quoted = parseBatch('recipient,quantity,note\nalice,"1,000.50","Rent, May ""flat 2"""\nbob,2,"two\nlines"\ncarol,3,\n', 'csv');
+    check(quoted.errors.length === 0, `quoted CSV: ${JSON.stringify(quoted.errors)}`);
+    const [alice, bob, carol] = quoted.transfers;
+    check(alice.amount === '1,000.50' && alice.memo === 'Rent, May "flat 2"', `quoted fields: ${JSON.stringify(alice)}`);
+    check(bob.memo === 'two\nlines' && bob.line === 3, `multi-line field: ${JSON.stringify(bob)}`);
+    check(carol.line === 5 && carol.memo === '', `line after a multi-line field: ${JSON.stringify(carol)}`);
+    
+    // Column aliases (any case), symbol column, byte order mark
+    const aliased = parseBatch('\uFEFFPayee,Value,Currency\nalice,12.5,xusdc\nbob,1 XPR,xusdc\n', 'csv');
+    check(aliased.transfers[0].to === 'alice' && aliased.transfers[0].amount === '12.5 XUSDC', `aliases: ${JSON.stringify(aliased.transfers[0])}`);
+    check(aliased.transfers[1].amount === '1 XPR', 'symbol column overrode the amount\'s own symbol');
+    
+    // Explicit mapping
+    const columns = parseColumnMapping('to=Payee Name, amount=Net Pay');
+    check(columns.to === 'Payee Name' && columns.amount === 'Net Pay', `mapping: ${JSON.stringify(columns)}`);
+    const mapped = parseBatch('Employee,Payee Name,Net Pay\nAlice A.,alice,100\n', 'csv', { columns });
+    check(mapped.transfers.length === 1 && mapped.transfers[0].to === 'alice' && mapped.transfers[0].amount === '100', 'mapped columns not used');
+    check(lines(parseBatch('to,amount\nalice,1\n', 'csv', { columns: { to: 'Payee' } })) === '1', 'missing mapped column not reported on the header');
+    checkThrows(() => parseColumnMapping('payee=Name'), /Unknown field "payee"/, 'unknown mapped field');
+    checkThrows(() => parseColumnMapping('to'), /use field=Header/, 'malformed mapping');
+    
+    // Every bad row is reported with its own line
+    const csv = parseBatch('to,amount,memo\nalice,1,ok\nbob,,x\n,3,y\ncarol,1,z,extra\n\ndave,4,w\n', 'csv');
+    check(lines(csv) === '3,4,5', `CSV error lines: ${lines(csv)}`);
+    check(/Missing amount/.test(csv.errors[0].message) && /Missing to/.test(csv.errors[1].message) && /Expected 3 columns, found 4/.test(csv.errors[2].message), `CSV errors: ${JSON.stringify(csv.errors)}`);
+    check(csv.transfers.map(transfer => `${transfer.to}@${transfer.line}`).join(',') === 'alice@2,dave@7', 'valid CSV rows lost');
+    check(lines(parseBatch('to,amount\nalice,1\nbob,"2\n', 'csv')) === '3', 'unclosed quote not reported on its line');
+    
+    const jsonl = parseBatch('{"to":"alice","amount":1}\n\n{bad\n{"to":"bob"}\n["carol",1]\n', 'jsonl');
+    check(lines(jsonl) === '3,4,5' && jsonl.transfers[0].amount === '1', `JSONL error lines: ${lines(jsonl)}`);
+    
+    const json = parseBatch('[\n  { "to": "alice", "amount": "1" },\n  {\n    "to": "bob"\n  },\n  { "amount": "2" }\n]\n', 'json');
+    check(lines(json) === '3,6', `JSON error lines: ${lines(json)}`);
+    
+    const tsv = parseBatch('to\tamount\tmemo\nalice\t1\tsays "hi", twice\n', 'tsv');
+    check(tsv.transfers[0].memo === 'says "hi", twice', 'TSV fields must be taken as-is');
+    
+    const report = createBatchError('pay.csv', csv.errors).message;
+    check(/pay\.csv has 3 invalid row\(s\)/.test(report) && /line 4: Missing to/.test(report), `error report: ${report}`);
+    
+    logger.info('Batch file parsing test passed');
+    return true;
+  } catch (error) {
+    logger.error(`Batch file parsing test failed: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Main test function
  */
@@ -212,6 +1149,18 @@ async function runTests() {
   logger.info('=' .repeat(50));
   
   const testResults = {
+    transferHistory: false,
+    assetArithmetic: false,
+    accountNames: false,
+    memoValidation: false,
+    recipientRules: false,
+    idempotency: false,
+    finality: false,
+    chainId: false,
+    offlineDecoding: false,
+    batchPlan: false,
+    batchResume: false,
+    batchFileParsing: false,
     environment: false,
     sdkInitialization: false,
     accountInfo: false,
@@ -222,6 +1171,26 @@ async function runTests() {
   };
   
   try {
+    // Local checks (stub server, pure helpers): no .env needed
+    testResults.transferHistory = await testTransferHistory();
+    testResults.assetArithmetic = testAssetArithmetic();
+    testResults.accountNames = testAccountNames();
+    testResults.memoValidation = testMemoValidation();
+    testResults.recipientRules = testRecipientRules();
+    testResults.idempotency = await testIdempotency();
+    testResults.finality = await testFinality();
+    testResults.chainId = await testChainId();
+    testResults.offlineDecoding = await testOfflineDecoding();
+    testResults.batchPlan = await testBatchPlan();
+    testResults.batchResume = await testBatchResume();
+    testResults.batchFileParsing = testBatchFileParsing();
+    
+    // A failing local check fails `npm test`, also without a .env
+    const localTests = ['transferHistory', 'assetArithmetic', 'accountNames', 'memoValidation', 'recipientRules', 'idempotency', 'finality', 'chainId', 'offlineDecoding', 'batchPlan', 'batchResume', 'batchFileParsing'];
+    if (!localTests.every(name => testResults[name])) {
+      process.exitCode = 1;
+    }
+    
     testResults.environment = testEnvironment();
     if (!testResults.environment) {
       logger.error('Environment test failed. Please fix .env file first.');
@@ -247,6 +1216,18 @@ async function runTests() {
   // Test Summary
   logger.info('=' .repeat(50));
   logger.info('Test Results Summary:');
+  logger.info(`Transfer History: ${testResults.transferHistory ? 'PASS' : 'FAIL'} (Local stub)`);
+  logger.info(`Token Amounts: ${testResults.assetArithmetic ? 'PASS' : 'FAIL'} (Local)`);
+  logger.info(`Account Names: ${testResults.accountNames ? 'PASS' : 'FAIL'} (Local)`);
+  logger.info(`Memo Validation: ${testResults.memoValidation ? 'PASS' : 'FAIL'} (Local)`);
+  logger.info(`Recipient Rules: ${testResults.recipientRules ? 'PASS' : 'FAIL'} (Local)`);
+  logger.info(`Idempotency: ${testResults.idempotency ? 'PASS' : 'FAIL'} (Local stub)`);
+  logger.info(`Finality: ${testResults.finality ? 'PASS' : 'FAIL'} (Local stub)`);
+  logger.info(`Chain ID: ${testResults.chainId ? 'PASS' : 'FAIL'} (Local stub)`);
+  logger.info(`Offline Decoding: ${testResults.offlineDecoding ? 'PASS' : 'FAIL'} (Local)`);
+  logger.info(`Batch Plan: ${testResults.batchPlan ? 'PASS' : 'FAIL'} (Local stub)`);
+  logger.info(`Batch Resume: ${testResults.batchResume ? 'PASS' : 'FAIL'} (Local stub)`);
+  logger.info(`Batch File Parsing: ${testResults.batchFileParsing ? 'PASS' : 'FAIL'} (Local)`);
   logger.info(`Environment: ${testResults.environment ? 'PASS' : 'FAIL'}`);
   logger.info(`SDK Initialization: ${testResults.sdkInitialization ? 'PASS' : 'FAIL'}`);
   logger.info(`Account Info: ${testResults.accountInfo ? 'PASS' : 'FAIL'}`);
@@ -272,25 +1253,25 @@ async function runTests() {
 function showUsageExamples() {
   logger.info('Usage Examples:');
   logger.info('1. Check balance:');
-  logger.info('   node index.js --balance');
+  logger.info('   node index.js balance');
   logger.info('');
   logger.info('2. Send XPR:');
-  logger.info('   node index.js --to receiver --amount "1.0000 XPR"');
+  logger.info('   node index.js transfer receiver "1.0000 XPR"');
   logger.info('');
   logger.info('3. Send with memo:');
-  logger.info('   node index.js --to receiver --amount "1.0000 XPR" --memo "Payment"');
+  logger.info('   node index.js transfer receiver "1.0000 XPR" --memo "Payment"');
   logger.info('');
   logger.info('4. Check specific account balance:');
-  logger.info('   node index.js --check-balance receiver');
+  logger.info('   node index.js balance receiver');
   logger.info('');
   logger.info('5. Get account information:');
-  logger.info('   node index.js --account-info receiver');
+  logger.info('   node index.js account receiver');
   logger.info('');
   logger.info('6. Check if account exists:');
-  logger.info('   node index.js --exists receiver');
+  logger.info('   node index.js exists receiver');
   logger.info('');
   logger.info('7. Show network information:');
-  logger.info('   node index.js --network');
+  logger.info('   node index.js network');
   logger.info('');
 }
 
@@ -314,5 +1295,17 @@ module.exports = {
   testAccountExistence,
   testTransferFunction,
   testActualTransfer,
+  testTransferHistory,
+  testAssetArithmetic,
+  testAccountNames,
+  testMemoValidation,
+  testRecipientRules,
+  testIdempotency,
+  testFinality,
+  testChainId,
+  testOfflineDecoding,
+  testBatchPlan,
+  testBatchResume,
+  testBatchFileParsing,
   runTests,
 };
\ No newline at end of file
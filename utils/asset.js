@@ -0,0 +1,441 @@
+/**
+ * Asset type for XPR Token Transfer CLI
+ *
+ * Token amounts on Proton are fixed-point integers: "1.0000 XPR" is stored
+ * on-chain as 10000 base units with precision 4. Handling them as floats
+ * loses digits on large balances and makes totals unreliable, so this
+ * module keeps amounts as BigInt base units together with symbol and precision.
+ *
+ * Key Concepts:
+ * - `Asset.fromString()` parses a strict chain string ("1.0000 XPR")
+ * - `Asset.parse()` normalizes human input ("1.5", "1,000 XPR") to a token's precision
+ * - Arithmetic only works between assets of the same symbol and precision
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+/**
+ * Supported rounding modes for `multiplyByRatio`
+ */
+const ROUNDING_MODES = ['floor', 'ceil', 'half-up', 'half-even'];
+
+/**
+ * Parse a plain decimal string into base units
+ * @param {string} value - Decimal string (e.g., "-1.25")
+ * @param {number} precision - Number of decimal places
+ * @returns {BigInt} Base units
+ */
+function decimalToUnits(value, precision) {
+  const match = /^(-)?(\d+)(?:\.(\d+))?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid amount value: ${value}`);
+  }
+
+  const [, sign, integerPart, fractionPart = ''] = match;
+  if (fractionPart.length > precision) {
+    throw new Error(`Amount ${value} has more than ${precision} decimal places`);
+  }
+
+  const units = BigInt(integerPart + fractionPart.padEnd(precision, '0'));
+  return sign ? -units : units;
+}
+
+/**
+ * Write a number as a plain decimal string ("1e-7" -> "0.0000001")
+ * @param {number} value - Finite number
+ * @returns {string} Decimal string, shortest form that round-trips
+ */
+function numberToDecimal(value) {
+  const [mantissa, exponent = '0'] = String(value).toLowerCase().split('e');
+  const sign = mantissa.startsWith('-') ? '-' : '';
+  const [integerPart, fractionPart = ''] = mantissa.replace('-', '').split('.');
+  const digits = integerPart + fractionPart;
+  const point = integerPart.length + Number(exponent);
+
+  if (point <= 0) {
+    return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  }
+  if (point >= digits.length) {
+    return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  }
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Divide two BigInts with an explicit rounding mode
+ * @param {BigInt} numerator - Dividend
+ * @param {BigInt} denominator - Divisor (must be positive)
+ * @param {string} rounding - Rounding mode
+ * @returns {BigInt} Rounded quotient
+ */
+function divideRounded(numerator, denominator, rounding) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const negative = numerator < 0n;
+  const doubled = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  switch (rounding) {
+    case 'floor':
+      return negative ? quotient - 1n : quotient;
+    case 'ceil':
+      return negative ? quotient : quotient + 1n;
+    case 'half-up':
+      if (doubled >= denominator) {
+        return negative ? quotient - 1n : quotient + 1n;
+      }
+      return quotient;
+    case 'half-even':
+      if (doubled > denominator || (doubled === denominator && quotient % 2n !== 0n)) {
+        return negative ? quotient - 1n : quotient + 1n;
+      }
+      return quotient;
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}. Use one of: ${ROUNDING_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Exact decimal token amount
+ */
+class Asset {
+  /**
+   * @param {BigInt|number|string} units - Amount in base units (e.g., 10000n for 1.0000 XPR)
+   * @param {string} symbol - Token symbol
+   * @param {number} precision - Number of decimal places
+   */
+  constructor(units, symbol, precision) {
+    if (!symbol || typeof symbol !== 'string') {
+      throw new Error('Asset symbol is required');
+    }
+
+    if (!Number.isInteger(precision) || precision < 0 || precision > 18) {
+      throw new Error(`Invalid precision for ${symbol}: ${precision}`);
+    }
+
+    this.units = BigInt(units);
+    this.symbol = symbol;
+    this.precision = precision;
+    Object.freeze(this);
+  }
+
+  /**
+   * Parse a strict chain asset string
+   * @param {string} assetString - Asset string (e.g., "1.0000 XPR")
+   * @returns {Asset} Parsed asset
+   */
+  static fromString(assetString) {
+    if (!assetString || typeof assetString !== 'string') {
+      throw new Error('Amount is required');
+    }
+
+    const parts = assetString.trim().split(' ');
+    if (parts.length !== 2) {
+      throw new Error('Invalid amount format. Expected: "1.0000 XPR"');
+    }
+
+    const [amountStr, symbol] = parts;
+    const decimals = amountStr.split('.')[1];
+    const precision = decimals ? decimals.length : 0;
+
+    return new Asset(decimalToUnits(amountStr, precision), symbol, precision);
+  }
+
+  /**
+   * Parse human input and normalize it to a token's precision
+   *
+   * Accepts a bare number ("1.5"), thousands separators ("1,000") and an
+   * optional symbol ("1,000 XPR"). Input with more decimals than the token
+   * allows is rejected rather than rounded.
+   *
+   * @param {string|number} input - Human amount
+   * @param {Object} token - Token info ({ symbol, precision })
+   * @returns {Asset} Normalized asset
+   *
+   * @example
+   * ```javascript
+   * Asset.parse('1,000 XPR', { symbol: 'XPR', precision: 4 }).toString(); // "1000.0000 XPR"
+   * Asset.parse('1.5', { symbol: 'XUSDC', precision: 6 }).toString();     // "1.500000 XUSDC"
+   * ```
+   */
+  static parse(input, token) {
+    if (input instanceof Asset) {
+      return input.withPrecision(token);
+    }
+
+    if (input === undefined || input === null || String(input).trim() === '') {
+      throw new Error('Amount is required');
+    }
+
+    const parts = String(input).trim().split(/\s+/);
+    if (parts.length > 2) {
+      throw new Error(`Invalid amount format: ${input}`);
+    }
+
+    let [amountStr, symbol] = parts;
+    symbol = symbol ? symbol.toUpperCase() : token.symbol;
+
+    if (symbol !== token.symbol) {
+      throw new Error(`Amount symbol ${symbol} does not match token ${token.symbol}`);
+    }
+
+    if (amountStr.includes(',')) {
+      if (!/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(amountStr)) {
+        throw new Error(`Invalid thousands separator in amount: ${amountStr}`);
+      }
+      amountStr = amountStr.replace(/,/g, '');
+    }
+
+    // Allow ".5" and "5." shorthand
+    if (amountStr.startsWith('.')) amountStr = `0${amountStr}`;
+    if (amountStr.endsWith('.')) amountStr = amountStr.slice(0, -1);
+
+    return new Asset(decimalToUnits(amountStr, token.precision), token.symbol, token.precision);
+  }
+
+  /**
+   * Convert a configured number (a threshold, not user input) to a token's precision
+   *
+   * Unlike `parse`, extra decimals are rounded rather than rejected, so a
+   * setting like 0.5 still works for a token without decimals.
+   *
+   * @param {number|string} value - Number of token units
+   * @param {Object} token - Token info ({ symbol, precision })
+   * @param {string} rounding - Rounding mode for extra decimals (default: floor)
+   * @returns {Asset} Amount at the token's precision
+   * @throws {Error} If the value is not a finite number or the rounding mode is unknown
+   *
+   * @example
+   * ```javascript
+   * Asset.fromNumber(0.5, { symbol: 'NFT', precision: 0 }, 'ceil').toString(); // "1 NFT"
+   * Asset.fromNumber(1e-7, { symbol: 'XPR', precision: 4 }).toString();        // "0.0000 XPR"
+   * ```
+   */
+  static fromNumber(value, token, rounding = 'floor') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      throw new Error(`Invalid amount value: ${value}`);
+    }
+    // Checked up front: a value that needs no rounding must not hide a bad mode
+    if (!ROUNDING_MODES.includes(rounding)) {
+      throw new Error(`Unknown rounding mode: ${rounding}. Use one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+
+    const decimal = numberToDecimal(number);
+    const decimals = (decimal.split('.')[1] || '').length;
+    const units = decimalToUnits(decimal, decimals);
+
+    if (decimals <= token.precision) {
+      return new Asset(units * 10n ** BigInt(token.precision - decimals), token.symbol, token.precision);
+    }
+    return new Asset(divideRounded(units, 10n ** BigInt(decimals - token.precision), rounding), token.symbol, token.precision);
+  }
+
+  /**
+   * Create a zero amount of a token
+   * @param {Object} token - Token info ({ symbol, precision })
+   * @returns {Asset} Zero asset
+   */
+  static zero(token) {
+    return new Asset(0n, token.symbol, token.precision);
+  }
+
+  /**
+   * Check if a value is an Asset
+   * @param {any} value - Value to check
+   * @returns {boolean} True if value is an Asset
+   */
+  static isAsset(value) {
+    return value instanceof Asset;
+  }
+
+  /**
+   * Ensure another asset has the same symbol and precision
+   * @param {Asset} other - Asset to compare with
+   */
+  assertSameToken(other) {
+    if (!(other instanceof Asset)) {
+      throw new Error('Expected an Asset');
+    }
+
+    if (other.symbol !== this.symbol || other.precision !== this.precision) {
+      throw new Error(`Cannot combine ${this.precision},${this.symbol} with ${other.precision},${other.symbol}`);
+    }
+  }
+
+  /**
+   * Re-express this asset with a token's precision (exact only)
+   * @param {Object} token - Token info ({ symbol, precision })
+   * @returns {Asset} Asset with the token's precision
+   */
+  withPrecision(token) {
+    if (token.symbol !== this.symbol) {
+      throw new Error(`Amount symbol ${this.symbol} does not match token ${token.symbol}`);
+    }
+
+    if (token.precision === this.precision) {
+      return this;
+    }
+
+    if (token.precision > this.precision) {
+      const scale = 10n ** BigInt(token.precision - this.precision);
+      return new Asset(this.units * scale, this.symbol, token.precision);
+    }
+
+    const scale = 10n ** BigInt(this.precision - token.precision);
+    if (this.units % scale !== 0n) {
+      throw new Error(`Amount ${this.toString()} has more than ${token.precision} decimal places`);
+    }
+    return new Asset(this.units / scale, this.symbol, token.precision);
+  }
+
+  /**
+   * Add another asset
+   * @param {Asset} other - Asset to add
+   * @returns {Asset} Sum
+   */
+  add(other) {
+    this.assertSameToken(other);
+    return new Asset(this.units + other.units, this.symbol, this.precision);
+  }
+
+  /**
+   * Subtract another asset
+   * @param {Asset} other - Asset to subtract
+   * @returns {Asset} Difference (may be negative)
+   */
+  subtract(other) {
+    this.assertSameToken(other);
+    return new Asset(this.units - other.units, this.symbol, this.precision);
+  }
+
+  /**
+   * Compare with another asset
+   * @param {Asset} other - Asset to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    this.assertSameToken(other);
+    if (this.units < other.units) return -1;
+    if (this.units > other.units) return 1;
+    return 0;
+  }
+
+  /**
+   * Multiply by a ratio with explicit rounding
+   * @param {BigInt|number} numerator - Ratio numerator (integer)
+   * @param {BigInt|number} denominator - Ratio denominator (positive integer)
+   * @param {string} rounding - One of floor, ceil, half-up, half-even (default: floor)
+   * @returns {Asset} Scaled asset
+   *
+   * @example
+   * ```javascript
+   * // 2.5% fee, rounded up
+   * const fee = amount.multiplyByRatio(25, 1000, 'ceil');
+   * ```
+   */
+  multiplyByRatio(numerator, denominator, rounding = 'floor') {
+    const num = BigInt(numerator);
+    const den = BigInt(denominator);
+
+    if (den <= 0n) {
+      throw new Error('Ratio denominator must be positive');
+    }
+
+    // Checked up front: an exact result would never reach the rounding step
+    if (!ROUNDING_MODES.includes(rounding)) {
+      throw new Error(`Unknown rounding mode: ${rounding}. Use one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+
+    return new Asset(divideRounded(this.units * num, den, rounding), this.symbol, this.precision);
+  }
+
+  /**
+   * Check equality with another asset
+   * @param {Asset} other - Asset to compare with
+   * @returns {boolean} True if equal
+   */
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  /**
+   * Check if this asset is smaller than another
+   * @param {Asset} other - Asset to compare with
+   * @returns {boolean} True if smaller
+   */
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  /**
+   * Check if this asset is larger than another
+   * @param {Asset} other - Asset to compare with
+   * @returns {boolean} True if larger
+   */
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  /**
+   * Check if amount is zero
+   * @returns {boolean} True if zero
+   */
+  isZero() {
+    return this.units === 0n;
+  }
+
+  /**
+   * Check if amount is below zero
+   * @returns {boolean} True if negative
+   */
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  /**
+   * Check if amount is above zero
+   * @returns {boolean} True if positive
+   */
+  isPositive() {
+    return this.units > 0n;
+  }
+
+  /**
+   * Format the numeric part with full precision (e.g., "1.0000")
+   * @returns {string} Decimal string
+   */
+  toAmountString() {
+    const negative = this.units < 0n;
+    const digits = (negative ? -this.units : this.units).toString().padStart(this.precision + 1, '0');
+    const integerPart = this.precision ? digits.slice(0, -this.precision) : digits;
+    const fractionPart = this.precision ? `.${digits.slice(-this.precision)}` : '';
+    return `${negative ? '-' : ''}${integerPart}${fractionPart}`;
+  }
+
+  /**
+   * Format as a chain asset string (e.g., "1.0000 XPR")
+   * @returns {string} Asset string
+   */
+  toString() {
+    return `${this.toAmountString()} ${this.symbol}`;
+  }
+
+  /**
+   * Serialize as a chain asset string
+   * @returns {string} Asset string
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+module.exports = {
+  Asset,
+  ROUNDING_MODES,
+};
@@ -0,0 +1,218 @@
+/**
+ * Interactive confirmation for XPR Token Transfer CLI
+ *
+ * Shows what is about to be broadcast and waits for the operator to agree.
+ * Large amounts must be re-typed, which catches a slipped decimal point or
+ * an extra zero that a quick "y" would not.
+ *
+ * Key Concepts:
+ * - The prompt is written to stderr, so stdout stays clean for --output
+ * - Without a terminal on stdin there is nobody to answer: the CLI refuses
+ *   to broadcast unless --yes is given
+ * - The re-type threshold is in token units: `config.tokens[SYMBOL].confirmAbove`
+ *   or `config.confirmation.retypeAbove` (CONFIRM_RETYPE_ABOVE); 0 turns it off
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const readline = require('readline');
+const { config, getNetworkType } = require('../config');
+const { Asset } = require('./asset');
+
+// Readline interface of an interactive shell, if one owns stdin
+let sharedInterface = null;
+
+/**
+ * Ask questions through an existing readline interface
+ *
+ * Two interfaces reading the same stdin would both see the answer, so the
+ * shell hands its own interface over instead.
+ *
+ * @param {readline.Interface|null} rl - Interface to use (null: create one per question)
+ */
+function useReadline(rl) {
+  sharedInterface = rl;
+}
+
+/**
+ * Check that a prompt can be answered
+ * @throws {Error} If stdin is not a terminal
+ */
+function assertInteractive() {
+  if (!process.stdin.isTTY) {
+    throw new Error('Refusing to broadcast without confirmation: stdin is not a terminal. Pass --yes to confirm non-interactively');
+  }
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Trimmed answer
+ */
+function ask(question) {
+  if (sharedInterface) {
+    return new Promise(resolve => sharedInterface.question(question, (answer) => {
+      // Answers are not commands: keep them out of the shell history
+      if (sharedInterface.history && sharedInterface.history[0] === answer) {
+        sharedInterface.history.shift();
+      }
+      resolve(answer.trim());
+    }));
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Network label for the summary; mainnet stands out
+ * @returns {string} Label
+ */
+function formatNetwork() {
+  const networkType = getNetworkType();
+  if (networkType !== 'mainnet') {
+    return networkType.toUpperCase();
+  }
+
+  const label = 'MAINNET - REAL FUNDS';
+  return process.stderr.isTTY ? `\x1b[1;97;41m ${label} \x1b[0m` : `*** ${label} ***`;
+}
+
+/**
+ * Get the re-type threshold for a token
+ *
+ * The threshold is rounded down to the token's precision: for whole
+ * amounts, "above 0.5" and "above 0" are the same test.
+ *
+ * @param {Object} token - Resolved token info ({ symbol, precision, confirmAbove? })
+ * @returns {Asset|null} Threshold, or null if re-typing is off
+ * @throws {Error} If the configured threshold is not a number
+ */
+function getRetypeThreshold(token) {
+  const threshold = token.confirmAbove !== undefined ? token.confirmAbove : config.confirmation.retypeAbove;
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`Invalid re-type threshold for ${token.symbol}: ${threshold} (CONFIRM_RETYPE_ABOVE or confirmAbove)`);
+  }
+  return threshold > 0 ? Asset.fromNumber(threshold, token, 'floor') : null;
+}
+
+/**
+ * Check a re-typed amount
+ * @param {string} answer - What the operator typed ("1500", "1,500.0000 XPR", ...)
+ * @param {Asset} expected - Amount to match
+ * @returns {boolean} True if it is the same amount
+ */
+function matchesAmount(answer, expected) {
+  try {
+    return Asset.parse(answer, expected).equals(expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Show a transfer summary and ask for confirmation
+ *
+ * @param {Object} summary - What will be sent
+ * @param {string} summary.from - Sender account
+ * @param {Array} summary.transfers - Transfers ({ to, amount: Asset, memo, contact? }); contact describes an address book entry
+ * @param {Object} summary.tokens - symbol -> resolved token info
+ * @param {Object} summary.balances - symbol -> sender balance (Asset)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.yes - Skip the prompt (automation)
+ * @returns {Promise<boolean>} True if the operator confirmed
+ * @throws {Error} If a prompt is needed but stdin is not a terminal
+ *
+ * @example
+ * ```javascript
+ * const ok = await confirmTransfers({
+ *   from: 'sender',
+ *   transfers: [{ to: 'receiver', amount: Asset.fromString('1.0000 XPR'), memo: '' }],
+ *   tokens: { XPR: token },
+ *   balances: { XPR: Asset.fromString('10.0000 XPR') },
+ * });
+ * ```
+ */
+async function confirmTransfers(summary, options = {}) {
+  if (options.yes) {
+    return true;
+  }
+
+  assertInteractive();
+
+  const { transfers } = summary;
+  const single = transfers.length === 1;
+
+  // Exact totals per token
+  const totals = new Map();
+  for (const transfer of transfers) {
+    const symbol = transfer.amount.symbol;
+    totals.set(symbol, totals.has(symbol) ? totals.get(symbol).add(transfer.amount) : transfer.amount);
+  }
+
+  const lines = [
+    '',
+    `  Network:   ${formatNetwork()} (${config.blockchain.endpoint})`,
+    `  From:      ${summary.from}`,
+  ];
+
+  if (single) {
+    lines.push(`  To:        ${transfers[0].to}${transfers[0].contact ? ` (${transfers[0].contact})` : ''}`);
+    lines.push(`  Amount:    ${transfers[0].amount}`);
+    lines.push(`  Memo:      ${transfers[0].memo || '(none)'}`);
+  } else {
+    lines.push(`  Transfers: ${transfers.length} to ${new Set(transfers.map(transfer => transfer.to)).size} recipient(s)`);
+    // Contacts resolved from the address book, so a wrong entry is noticed
+    const contacts = new Map(transfers.filter(transfer => transfer.contact).map(transfer => [transfer.contact, transfer.to]));
+    for (const [contact, account] of contacts) {
+      lines.push(`  Contact:   ${contact} -> ${account}`);
+    }
+    for (const total of totals.values()) {
+      lines.push(`  Total:     ${total}`);
+    }
+  }
+
+  for (const [symbol, total] of totals) {
+    const balance = summary.balances[symbol];
+    if (balance) {
+      const remaining = balance.subtract(total);
+      lines.push(`  Remaining: ${remaining} (balance ${balance})${remaining.isNegative() ? ' - INSUFFICIENT BALANCE' : ''}`);
+    }
+  }
+
+  process.stderr.write(`${lines.join('\n')}\n\n`);
+
+  // Large amounts: re-typing replaces the y/N question
+  const retype = [...totals.values()].filter((total) => {
+    const threshold = getRetypeThreshold(summary.tokens[total.symbol]);
+    return threshold && total.greaterThan(threshold);
+  });
+
+  for (const total of retype) {
+    const what = single ? 'amount' : `${total.symbol} total`;
+    const answer = await ask(`Large transfer: re-type the ${what} (${total}) to confirm: `);
+    if (!matchesAmount(answer, total)) {
+      process.stderr.write('Amount does not match.\n');
+      return false;
+    }
+  }
+
+  if (retype.length > 0) {
+    return true;
+  }
+
+  const answer = await ask(`Broadcast ${single ? 'this transfer' : `these ${transfers.length} transfers`}? [y/N] `);
+  return /^y(es)?$/i.test(answer);
+}
+
+module.exports = {
+  assertInteractive,
+  confirmTransfers,
+  useReadline,
+};
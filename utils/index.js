@@ -3,63 +3,46 @@
  * Following XPR Network developer examples standards
  */
 
+const crypto = require('crypto');
+const { RpcError } = require('@proton/js');
 const { logger } = require('./logger');
 const { hashForLogging } = require('./security');
+const { Asset } = require('./asset');
+const { validateName, validateAccountName } = require('./name');
 
 /**
  * Format amount for token transfer
- * @param {number|string} amount - Token amount
+ * @param {number|string|Asset} amount - Token amount
  * @param {string} symbol - Token symbol (default: XPR)
  * @param {number} precision - Token precision (default: 4)
  */
 function formatAmount(amount, symbol = 'XPR', precision = 4) {
-  const numAmount = parseFloat(amount);
-  if (isNaN(numAmount) || numAmount < 0) {
+  const asset = Asset.parse(amount, { symbol, precision });
+  if (asset.isNegative()) {
     throw new Error('Invalid amount');
   }
   
-  return `${numAmount.toFixed(precision)} ${symbol}`;
+  return asset.toString();
 }
 
 /**
  * Parse amount from string format
+ * 
+ * Without a token, the input must be a strict chain string ("1.0000 XPR").
+ * With a token, human input ("1.5", "1,000 XPR") is normalized to its precision.
+ * 
  * @param {string} amountString - String amount (e.g., "1.0000 XPR")
+ * @param {Object} token - Optional token info ({ symbol, precision })
+ * @returns {Asset} Parsed amount
  */
-function parseAmount(amountString) {
-  const parts = amountString.trim().split(' ');
-  if (parts.length !== 2) {
-    throw new Error('Invalid amount format. Expected: "1.0000 XPR"');
-  }
-  
-  const amount = parseFloat(parts[0]);
-  const symbol = parts[1];
+function parseAmount(amountString, token = null) {
+  const asset = token ? Asset.parse(amountString, token) : Asset.fromString(amountString);
   
-  if (isNaN(amount) || amount < 0) {
+  if (asset.isNegative()) {
     throw new Error('Invalid amount value');
   }
   
-  return { amount, symbol };
-}
-
-/**
- * Validate account name
- * @param {string} accountName - Account name
- */
-function validateAccountName(accountName) {
-  if (!accountName || typeof accountName !== 'string') {
-    throw new Error('Account name is required');
-  }
-  
-  // Proton account name rules
-  if (accountName.length < 1 || accountName.length > 12) {
-    throw new Error('Account name must be 1-12 characters');
-  }
-  
-  if (!/^[a-z1-5]+$/.test(accountName)) {
-    throw new Error('Account name can only contain lowercase letters and numbers 1-5');
-  }
-  
-  return true;
+  return asset;
 }
 
 /**
@@ -69,6 +52,7 @@ function validateAccountName(accountName) {
 function formatTransactionResult(result) {
   return {
     success: true,
+    status: 'executed',
     transactionId: result.transaction_id,
     blockId: result.processed.block_id,
     blockNumber: result.processed.block_num,
@@ -76,6 +60,83 @@ function formatTransactionResult(result) {
   };
 }
 
+/**
+ * Compute transaction ID from a serialized transaction
+ * 
+ * The transaction ID is the SHA-256 of the packed transaction, so it is
+ * known before the transaction is broadcast.
+ * 
+ * @param {Uint8Array|string} serializedTransaction - Packed transaction (bytes or hex)
+ * @returns {string} Transaction ID (hex)
+ */
+function computeTransactionId(serializedTransaction) {
+  const bytes = typeof serializedTransaction === 'string'
+    ? Buffer.from(serializedTransaction, 'hex')
+    : Buffer.from(serializedTransaction);
+  
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Format simulation (dry run) result
+ * @param {Object} result - compute_transaction response
+ * @param {Object} preview - Signed transaction preview
+ * @param {string} preview.transactionId - Transaction ID computed locally
+ * @param {string} preview.serializedTransaction - Packed transaction (hex)
+ * @param {Array} preview.signatures - Signatures
+ * @param {Array} preview.actions - Actions in the transaction
+ */
+function formatSimulationResult(result, preview) {
+  const processed = result.processed || {};
+  
+  return {
+    success: true,
+    dryRun: true,
+    transactionId: preview.transactionId,
+    serializedTransaction: preview.serializedTransaction,
+    signatures: preview.signatures,
+    actions: preview.actions,
+    estimatedCpuUs: processed.receipt ? processed.receipt.cpu_usage_us : processed.elapsed,
+    estimatedNetBytes: processed.net_usage,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Describe a decoded action on one line
+ * @param {Object} action - Decoded action ({ account, name, authorization, data })
+ * @returns {string} Human-readable description
+ */
+function describeAction(action) {
+  const auth = action.authorization.map(a => `${a.actor}@${a.permission}`).join(', ');
+  
+  if (action.name === 'transfer' && action.data && action.data.quantity) {
+    const memo = action.data.memo ? ` memo "${action.data.memo}"` : '';
+    return `${action.account}::transfer ${action.data.from} -> ${action.data.to} ${action.data.quantity}${memo} [${auth}]`;
+  }
+  
+  return `${action.account}::${action.name} ${JSON.stringify(action.data)} [${auth}]`;
+}
+
+/**
+ * Check if an error is a rejection from the chain (as opposed to a network failure)
+ * 
+ * A rejected transaction was definitely not applied. After a network failure
+ * (timeout, dropped connection) the transaction may or may not have landed.
+ * 
+ * @param {Error} error - Error thrown by an RPC call
+ * @returns {boolean} True if the node answered with an error
+ */
+function isChainRejection(error) {
+  if (!(error instanceof RpcError)) {
+    return false;
+  }
+  
+  // @proton/js wraps fetch failures in RpcError and flags them
+  const cause = error.json || {};
+  return !cause.isFetchError || Boolean(cause.json);
+}
+
 /**
  * Format error message
  * @param {Error} error - Error object
@@ -112,6 +173,10 @@ function sleep(ms) {
 
 /**
  * Retry function with exponential backoff
+ * 
+ * Only for idempotent calls such as reads. Never wrap `api.transact`: a retry
+ * signs a new transaction and can pay twice. Use `transactOnce` instead.
+ * 
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} baseDelay - Base delay in milliseconds
@@ -142,10 +207,16 @@ module.exports = {
   logger,
   formatAmount,
   parseAmount,
+  validateName,
   validateAccountName,
   formatTransactionResult,
+  formatSimulationResult,
+  computeTransactionId,
+  describeAction,
+  isChainRejection,
   formatError,
   sleep,
   retry,
   hashForLogging,
+  Asset,
 };
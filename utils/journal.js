@@ -0,0 +1,124 @@
+/**
+ * Journal files for XPR Token Transfer CLI
+ *
+ * A journal records the progress of a multi-step operation (e.g. a chunked
+ * batch transfer) on disk, so a re-run after a crash can pick up where the
+ * previous run stopped instead of starting over.
+ *
+ * Writes are atomic (write to a temp file, then rename), so a crash never
+ * leaves a half-written journal behind.
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Hash JSON-serializable content (e.g. a batch) into a stable identifier
+ * @param {any} content - Content to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Journal stored as a JSON file
+ */
+class Journal {
+  /**
+   * @param {string} filePath - Path of the journal file
+   * @param {Object} data - Journal contents
+   */
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * Open an existing journal or create a new one
+   * @param {string} filePath - Path of the journal file
+   * @param {Object} header - Fields identifying the operation (e.g. { type, contentHash })
+   * @returns {Journal} Journal
+   * @throws {Error} If an existing journal belongs to a different operation
+   */
+  static open(filePath, header) {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      for (const [key, value] of Object.entries(header)) {
+        if (data[key] !== value) {
+          throw new Error(`Journal ${filePath} belongs to a different operation (${key} mismatch)`);
+        }
+      }
+
+      return new Journal(filePath, data);
+    }
+
+    return new Journal(filePath, {
+      version: JOURNAL_VERSION,
+      ...header,
+      entries: [],
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Check if the journal has been written to disk
+   * @returns {boolean} True if the file exists
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Journal entries (e.g. one per chunk)
+   * @returns {Array<Object>} Entries
+   */
+  get entries() {
+    return this.data.entries;
+  }
+
+  /**
+   * Replace all entries and save
+   * @param {Array<Object>} entries - New entries
+   */
+  setEntries(entries) {
+    this.data.entries = entries;
+    this.save();
+  }
+
+  /**
+   * Update one entry and save
+   * @param {number} index - Entry index
+   * @param {Object} fields - Fields to set
+   * @returns {Object} Updated entry
+   */
+  updateEntry(index, fields) {
+    const entry = this.data.entries[index];
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Write the journal atomically
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  Journal,
+  hashContent,
+};
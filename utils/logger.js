@@ -6,6 +6,38 @@
 const winston = require('winston');
 const { config } = require('../config');
 
+const SPLAT = Symbol.for('splat');
+
+/**
+ * Append extra string/number arguments to the message
+ * (so `logger.error('Transfer failed:', error.message)` keeps the reason)
+ */
+const appendArgs = winston.format((info) => {
+  const extra = (info[SPLAT] || []).filter(arg => ['string', 'number', 'boolean'].includes(typeof arg));
+  if (extra.length > 0) {
+    info.message = [info.message, ...extra].join(' ');
+  }
+  return info;
+});
+
+/**
+ * Create the console transport
+ * @param {Object} options - Winston console transport options (level, stderrLevels)
+ */
+function createConsoleTransport(options = {}) {
+  return new winston.transports.Console({
+    ...options,
+    format: winston.format.combine(
+      winston.format.colorize(),
+      winston.format.printf(({ timestamp, level, message }) => {
+        return `${timestamp} [${level}] ${message}`;
+      })
+    )
+  });
+}
+
+let consoleTransport = createConsoleTransport();
+
 /**
  * Logger configuration
  */
@@ -14,19 +46,13 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp({ format: 'HH:mm:ss' }),
     winston.format.errors({ stack: true }),
+    appendArgs(),
     winston.format.printf(({ timestamp, level, message }) => {
       return `${timestamp} [${level.toUpperCase()}] ${message}`;
     })
   ),
   transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.printf(({ timestamp, level, message }) => {
-          return `${timestamp} [${level}] ${message}`;
-        })
-      )
-    }),
+    consoleTransport,
     new winston.transports.File({ 
       filename: 'transfer.log',
       format: winston.format.combine(
@@ -37,4 +63,23 @@ const logger = winston.createLogger({
   ]
 });
 
-module.exports = { logger };
+/**
+ * Reconfigure console logging
+ *
+ * Machine-readable output keeps stdout for data, so console logs move to
+ * stderr. The log file is not affected.
+ *
+ * @param {Object} options - Console settings
+ * @param {boolean} options.stderr - Write all levels to stderr
+ * @param {string} options.level - Minimum console level (default: LOG_LEVEL)
+ */
+function configureConsoleLogging(options = {}) {
+  logger.remove(consoleTransport);
+  consoleTransport = createConsoleTransport({
+    level: options.level,
+    stderrLevels: options.stderr ? Object.keys(logger.levels) : [],
+  });
+  logger.add(consoleTransport);
+}
+
+module.exports = { logger, configureConsoleLogging };
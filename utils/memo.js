@@ -0,0 +1,156 @@
+/**
+ * Memo validation for XPR Token Transfer CLI
+ *
+ * Exchanges and payment processors route deposits by memo, so a memo must
+ * reach the chain exactly as typed. This module checks memos against the
+ * chain's limits and reports problems instead of rewriting them.
+ *
+ * Key Concepts:
+ * - The chain limit is 256 bytes of UTF-8, not 256 characters ("é" is 2
+ *   bytes, most emoji are 4)
+ * - Control and invisible characters (zero-width spaces, bidi overrides,
+ *   BOM, ...) are flagged: they make two memos look identical on screen
+ * - A memo is never changed unless the caller asks for it (`stripInvisible`)
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Maximum memo size enforced by eosio.token (bytes of UTF-8)
+ */
+const MAX_MEMO_BYTES = 256;
+
+// Cc = control, Cf = format (zero-width, bidi, BOM, soft hyphen), Cs = lone surrogate
+const FLAGGED_CHARACTERS = /[\p{Cc}\p{Cf}\p{Cs}]/gu;
+
+const CHARACTER_NAMES = {
+  0x09: 'tab',
+  0x0a: 'line feed',
+  0x0d: 'carriage return',
+  0xad: 'soft hyphen',
+  0x200b: 'zero width space',
+  0x200c: 'zero width non-joiner',
+  0x200d: 'zero width joiner',
+  0x200e: 'left-to-right mark',
+  0x200f: 'right-to-left mark',
+  0x202e: 'right-to-left override',
+  0x2060: 'word joiner',
+  0xfeff: 'byte order mark',
+};
+
+/**
+ * Format a code point for error messages
+ * @param {number} codePoint - Code point
+ * @returns {string} e.g. "U+200B (zero width space)"
+ */
+function describeCharacter(codePoint) {
+  const hex = `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+  const name = CHARACTER_NAMES[codePoint] || (codePoint < 0x20 || (codePoint >= 0x7f && codePoint <= 0x9f) ? 'control character' : null);
+  return name ? `${hex} (${name})` : hex;
+}
+
+/**
+ * Get the size of a memo as the chain measures it
+ * @param {string} memo - Memo
+ * @returns {number} Bytes of UTF-8
+ */
+function getMemoByteLength(memo) {
+  return Buffer.byteLength(memo, 'utf8');
+}
+
+/**
+ * Find control and invisible characters in a memo
+ * @param {string} memo - Memo
+ * @returns {Array<Object>} Flagged characters ({ position, codePoint, description })
+ */
+function findFlaggedCharacters(memo) {
+  return [...memo.matchAll(FLAGGED_CHARACTERS)].map(match => {
+    const codePoint = match[0].codePointAt(0);
+    // Position in characters (code points), as a user would count them
+    return { position: [...memo.slice(0, match.index)].length + 1, codePoint, description: describeCharacter(codePoint) };
+  });
+}
+
+/**
+ * Validate a memo
+ *
+ * @param {string} memo - Memo ('' when undefined or null)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.stripInvisible - Remove flagged characters instead of rejecting the memo
+ * @returns {Object} { valid, memo, byteLength, changed, flagged, errors }
+ *
+ * @example
+ * ```javascript
+ * validateMemo('deposit 12345 & co').valid;       // true, "&" is kept
+ * validateMemo('12345\u200B').errors;             // ["Memo contains invisible or control characters: U+200B (zero width space) at position 6"]
+ * validateMemo('12345\u200B', { stripInvisible: true }).memo; // "12345"
+ * ```
+ */
+function validateMemo(memo, options = {}) {
+  if (memo === undefined || memo === null) {
+    memo = '';
+  }
+
+  if (typeof memo !== 'string') {
+    return { valid: false, memo, byteLength: 0, changed: false, flagged: [], errors: ['Memo must be a string'] };
+  }
+
+  const errors = [];
+  const flagged = findFlaggedCharacters(memo);
+  let result = memo;
+
+  if (flagged.length > 0) {
+    if (options.stripInvisible) {
+      result = memo.replace(FLAGGED_CHARACTERS, '');
+    } else {
+      const list = flagged.map(character => `${character.description} at position ${character.position}`).join(', ');
+      errors.push(`Memo contains invisible or control characters: ${list}`);
+    }
+  }
+
+  const byteLength = getMemoByteLength(result);
+  if (byteLength > MAX_MEMO_BYTES) {
+    errors.push(`Memo is ${byteLength} bytes (UTF-8); the chain limit is ${MAX_MEMO_BYTES} bytes`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    memo: result,
+    byteLength: byteLength,
+    changed: result !== memo,
+    flagged: flagged,
+    errors: errors,
+  };
+}
+
+/**
+ * Validate a memo and return it, or throw
+ * @param {string} memo - Memo
+ * @param {Object} options - Options for `validateMemo`
+ * @returns {string} The memo to send (unchanged unless `stripInvisible` was given)
+ * @throws {Error} If the memo is invalid
+ */
+function assertValidMemo(memo, options = {}) {
+  const result = validateMemo(memo, options);
+
+  if (!result.valid) {
+    throw new Error(result.errors.join('; '));
+  }
+
+  if (result.changed) {
+    logger.warn(`Memo changed: removed ${result.flagged.length} invisible/control character(s): ${result.flagged.map(character => character.description).join(', ')}`);
+  }
+
+  return result.memo;
+}
+
+module.exports = {
+  MAX_MEMO_BYTES,
+  getMemoByteLength,
+  findFlaggedCharacters,
+  validateMemo,
+  assertValidMemo,
+};
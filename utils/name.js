@@ -0,0 +1,170 @@
+/**
+ * Antelope names for XPR Token Transfer CLI
+ *
+ * Account, permission and action names on Proton are not free-form strings:
+ * they are 64-bit integers written in a base-32 alphabet (".12345a-z").
+ * This module implements that encoding and validates names by round-trip,
+ * so exactly the names the chain accepts are accepted here.
+ *
+ * Key Concepts:
+ * - Up to 12 characters of 5 bits each, plus an optional 13th character of
+ *   4 bits (only ".", "1"-"5" and "a"-"j" fit)
+ * - Dots are allowed inside a name ("a.b", "eosio.token") but not at the end
+ * - Account names are at most 12 characters; permission and proposal names
+ *   may use the 13th character
+ * - Recipients are also checked against `config.accountNames` (reserved and
+ *   blocked lists)
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { config } = require('../config');
+
+const CHARMAP = '.12345abcdefghijklmnopqrstuvwxyz';
+const MAX_NAME_LENGTH = 13;
+const MAX_ACCOUNT_NAME_LENGTH = 12;
+
+/**
+ * Map a character to its 5-bit value
+ * @param {string} character - Character
+ * @returns {number} Value, or -1 if the character is not allowed
+ */
+function charToSymbol(character) {
+  return CHARMAP.indexOf(character);
+}
+
+/**
+ * Encode a name as a uint64
+ * @param {string} name - Name (e.g. "eosio.token")
+ * @returns {BigInt} Encoded value
+ * @throws {Error} If the name cannot be encoded
+ */
+function nameToUint64(name) {
+  if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Invalid name ${JSON.stringify(name)}`);
+  }
+
+  let value = 0n;
+
+  for (let i = 0; i < name.length; i++) {
+    const symbol = charToSymbol(name[i]);
+    if (symbol < 0) {
+      throw new Error(`Invalid name "${name}": only a-z, 1-5 and "." are allowed`);
+    }
+
+    if (i < 12) {
+      value |= BigInt(symbol) << BigInt(64 - 5 * (i + 1));
+    } else {
+      if (symbol > 0x0f) {
+        throw new Error(`Invalid name "${name}": the 13th character must be one of ".", 1-5 or a-j`);
+      }
+      value |= BigInt(symbol);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Decode a uint64 into a name
+ * @param {BigInt|string|number} value - Encoded value
+ * @returns {string} Name (trailing dots removed)
+ */
+function uint64ToName(value) {
+  let remaining = BigInt(value);
+  const characters = new Array(MAX_NAME_LENGTH);
+
+  for (let i = 0; i < MAX_NAME_LENGTH; i++) {
+    const mask = i === 0 ? 0x0fn : 0x1fn;
+    characters[MAX_NAME_LENGTH - 1 - i] = CHARMAP[Number(remaining & mask)];
+    remaining >>= i === 0 ? 4n : 5n;
+  }
+
+  return characters.join('').replace(/\.+$/, '');
+}
+
+/**
+ * Validate an Antelope name (account, permission, action or proposal name)
+ * @param {string} name - Name to validate
+ * @param {string} label - What the name is, for error messages (default: "Name")
+ * @returns {boolean} True if valid
+ * @throws {Error} If the name is invalid
+ */
+function validateName(name, label = 'Name') {
+  if (!name || typeof name !== 'string') {
+    throw new Error(`${label} is required`);
+  }
+
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`${label} "${name}" is longer than ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (name.endsWith('.')) {
+    throw new Error(`Invalid name "${name}": names cannot end with "."`);
+  }
+
+  // Round-trip through the chain encoding: anything that does not survive it is not a name
+  if (uint64ToName(nameToUint64(name)) !== name) {
+    throw new Error(`Invalid name "${name}"`);
+  }
+
+  return true;
+}
+
+/**
+ * Validate an account name
+ *
+ * @param {string} accountName - Account name
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.recipient - Also reject reserved and blocked accounts (for transfer recipients)
+ * @returns {boolean} True if valid
+ * @throws {Error} If the account name is invalid
+ *
+ * @example
+ * ```javascript
+ * validateAccountName('a.b');                             // true
+ * validateAccountName('eosio.null', { recipient: true }); // throws: reserved
+ * ```
+ */
+function validateAccountName(accountName, options = {}) {
+  validateName(accountName, 'Account name');
+
+  if (accountName.length > MAX_ACCOUNT_NAME_LENGTH) {
+    throw new Error(`Account name "${accountName}" is longer than ${MAX_ACCOUNT_NAME_LENGTH} characters`);
+  }
+
+  if (options.recipient) {
+    if (config.accountNames.reserved.includes(accountName)) {
+      throw new Error(`Account "${accountName}" is a reserved system account and cannot receive transfers`);
+    }
+
+    if (config.accountNames.blocked.includes(accountName)) {
+      throw new Error(`Account "${accountName}" is blocked by configuration (BLOCKED_ACCOUNTS)`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check an account name without throwing
+ * @param {string} accountName - Account name
+ * @param {Object} options - Options for `validateAccountName`
+ * @returns {boolean} True if valid
+ */
+function isValidAccountName(accountName, options = {}) {
+  try {
+    return validateAccountName(accountName, options);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  nameToUint64,
+  uint64ToName,
+  validateName,
+  validateAccountName,
+  isValidAccountName,
+};
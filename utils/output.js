@@ -0,0 +1,368 @@
+/**
+ * Machine-readable output for XPR Token Transfer CLI
+ *
+ * Commands log progress through winston. For scripts, each command also
+ * produces one result record with a fixed schema, printed to stdout in the
+ * format chosen with `--output`, while logs move to stderr.
+ *
+ * Key Concepts:
+ * - `text` (default): human-readable logs only, nothing extra on stdout
+ * - `json`: one JSON document per command; every schema field is always
+ *   present (null when not applicable)
+ * - `table` / `csv`: the record as key/value rows, or the list rows
+ *   (chunks, proposals, rules) for list results
+ * - `--quiet`: only the essential value (balance, transaction ID, ...), one
+ *   per line, and only errors are logged
+ * - Streamed results (`balance --watch`) print one line per event instead:
+ *   JSON Lines, or CSV/table rows under a header printed once
+ *
+ * @author XPR Network Developer Examples
+ * @version 1.0.0
+ */
+
+const { configureConsoleLogging } = require('./logger');
+
+const OUTPUT_FORMATS = ['text', 'json', 'table', 'csv'];
+
+/**
+ * Result schemas: record fields, optional list rows, and the essential value for --quiet
+ */
+const OUTPUT_SCHEMAS = {
+  balance: {
+    fields: ['account', 'symbol', 'balance', 'amount'],
+    quiet: data => data.balance,
+  },
+  balances: {
+    fields: ['count'],
+    rows: 'balances',
+    rowFields: ['account', 'symbol', 'balance', 'amount'],
+    quiet: data => data.balances.map(balance => `${balance.account} ${balance.balance}`),
+  },
+  balanceChange: {
+    fields: ['timestamp', 'account', 'symbol', 'previous', 'balance', 'delta'],
+    stream: true,
+    quiet: data => `${data.account} ${data.balance} ${data.delta}`,
+  },
+  account: {
+    fields: ['account', 'created', 'ramUsage', 'ramQuota', 'cpuUsed', 'cpuAvailable', 'cpuMax', 'netUsed', 'netAvailable', 'netMax'],
+    quiet: data => data.account,
+  },
+  exists: {
+    fields: ['account', 'exists'],
+    quiet: data => data.exists,
+  },
+  transaction: {
+    fields: ['transactionId', 'blockNumber', 'blockTime', 'status', 'irreversible', 'cpuUsageUs', 'netUsageBytes', 'explorerUrl', 'transfers'],
+    rows: 'actions',
+    rowFields: ['index', 'contract', 'action', 'authorization', 'from', 'to', 'quantity', 'memo', 'data'],
+    quiet: data => data.status,
+  },
+  history: {
+    fields: ['account', 'count', 'nextCursor'],
+    rows: 'transfers',
+    rowFields: ['timestamp', 'direction', 'from', 'to', 'quantity', 'memo', 'contract', 'transactionId', 'blockNumber'],
+    quiet: data => data.transfers.map(transfer => transfer.transactionId),
+  },
+  network: {
+    fields: ['profile', 'endpoint', 'chainId', 'networkType', 'tokenContract', 'tokenSymbol'],
+    rows: 'tokens',
+    rowFields: ['symbol', 'contract'],
+    quiet: data => data.chainId,
+  },
+  transfer: {
+    fields: ['success', 'dryRun', 'status', 'transactionId', 'blockNumber', 'from', 'to', 'contact', 'quantity', 'memo', 'idempotencyKey', 'estimatedCpuUs', 'estimatedNetBytes', 'error', 'code'],
+    quiet: data => data.transactionId,
+  },
+  batch: {
+    fields: ['success', 'alreadyCompleted', 'dryRun', 'batchHash', 'planHash', 'journal', 'totals', 'confirmed', 'failed', 'pending', 'unknown', 'error', 'code'],
+    rows: 'chunks',
+    rowFields: ['index', 'transfers', 'status', 'finality', 'transactionId', 'error'],
+    quiet: data => data.chunks.map(chunk => chunk.transactionId).filter(Boolean),
+  },
+  plan: {
+    fields: ['planHash', 'planReference', 'batchHash', 'source', 'savedTo', 'chainId', 'from', 'recipients', 'totals', 'chunkSize', 'duplicates', 'missingAccounts', 'dust', 'outliers'],
+    rows: 'chunks',
+    rowFields: ['index', 'transfers', 'totals'],
+    quiet: data => data.planReference,
+  },
+  export: {
+    fields: ['filePath', 'transactionId', 'expiration', 'actions'],
+    quiet: data => data.filePath,
+  },
+  sign: {
+    fields: ['filePath', 'transactionId', 'signatures', 'publicKeys'],
+    quiet: data => data.transactionId,
+  },
+  msig: {
+    fields: ['success', 'dryRun', 'action', 'proposer', 'proposalName', 'transactionId', 'error'],
+    quiet: data => data.transactionId,
+  },
+  proposals: {
+    fields: ['proposer', 'count'],
+    rows: 'proposals',
+    rowFields: ['proposer', 'proposalName', 'proposalHash', 'expiration', 'expired', 'executable', 'approvedBy', 'waitingFor', 'actions'],
+    quiet: data => data.proposals.map(proposal => `${proposal.proposer}/${proposal.proposalName}`),
+  },
+  memoRules: {
+    fields: ['path', 'count'],
+    rows: 'rules',
+    rowFields: ['account', 'name', 'memoRequired', 'memoPattern', 'source'],
+    quiet: data => data.rules.map(rule => rule.account),
+  },
+  memoRule: {
+    fields: ['account', 'removed', 'memoRequired', 'memoPattern', 'name', 'source'],
+    quiet: data => data.account,
+  },
+  contacts: {
+    fields: ['path', 'count'],
+    rows: 'contacts',
+    rowFields: ['name', 'account', 'label', 'memo', 'tags', 'memoRequired'],
+    quiet: data => data.contacts.map(contact => `@${contact.name}`),
+  },
+  contact: {
+    fields: ['name', 'removed', 'account', 'label', 'memo', 'tags', 'memoRequired'],
+    quiet: data => data.account || `@${data.name}`,
+  },
+  contactsImport: {
+    fields: ['file', 'added', 'updated', 'skipped'],
+    quiet: data => data.added.length + data.updated.length,
+  },
+  profiles: {
+    fields: ['path', 'active', 'count'],
+    rows: 'profiles',
+    rowFields: ['name', 'active', 'network', 'endpoints', 'chainId', 'account', 'permission', 'key', 'symbol'],
+    quiet: data => data.profiles.map(profile => profile.name),
+  },
+  profile: {
+    fields: ['name', 'active', 'removed', 'network', 'endpoints', 'chainId', 'account', 'permission', 'key', 'symbol', 'tokens'],
+    quiet: data => data.name,
+  },
+  // A command that stopped with an error; --quiet prints nothing (the error is logged)
+  error: {
+    fields: ['success', 'error', 'code'],
+    quiet: () => [],
+  },
+};
+
+const settings = {
+  format: 'text',
+  quiet: false,
+  streamHeaders: new Set(), // Streamed schemas whose CSV/table header was printed
+};
+
+const resultListeners = [];
+
+/**
+ * Select the output format
+ *
+ * Any format other than text, and --quiet, move console logs to stderr so
+ * stdout carries only data. Can be called again (e.g. once per shell line).
+ *
+ * @param {Object} options - Output settings
+ * @param {string} options.format - text, json, table or csv (default: text)
+ * @param {boolean} options.quiet - Print only the essential value
+ */
+function configureOutput(options = {}) {
+  const format = options.format || 'text';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format}. Use one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  settings.format = format;
+  settings.quiet = Boolean(options.quiet);
+  settings.streamHeaders.clear();
+
+  if (settings.format !== 'text' || settings.quiet) {
+    configureConsoleLogging({ stderr: true, level: settings.quiet ? 'error' : undefined });
+  } else {
+    configureConsoleLogging();
+  }
+}
+
+/**
+ * Build a record with exactly the schema fields (missing fields become null)
+ * @param {Array<string>} fields - Field names
+ * @param {Object} data - Source data
+ * @returns {Object} Record
+ */
+function pickFields(fields, data) {
+  const record = {};
+  for (const field of fields) {
+    record[field] = data[field] === undefined ? null : data[field];
+  }
+  return record;
+}
+
+/**
+ * Shape data into a result record for a schema
+ * @param {string} kind - Schema name (key of OUTPUT_SCHEMAS)
+ * @param {Object} data - Result data
+ * @returns {Object} Record with the schema's fields (and rows)
+ */
+function toRecord(kind, data) {
+  const schema = OUTPUT_SCHEMAS[kind];
+  if (!schema) {
+    throw new Error(`Unknown output schema: ${kind}`);
+  }
+
+  const record = pickFields(schema.fields, data);
+  if (schema.rows) {
+    record[schema.rows] = (data[schema.rows] || []).map(row => pickFields(schema.rowFields, row));
+  }
+  return record;
+}
+
+/**
+ * Format a value for a table or CSV cell
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(' ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ */
+function escapeCsv(value) {
+  const cell = formatCell(value);
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Render rows as CSV
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} CSV text
+ */
+function renderCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCsv).join(','))
+    .join('\n');
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} Table text
+ */
+function renderTable(columns, rows) {
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const renderLine = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    renderLine(columns),
+    renderLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(renderLine),
+  ].join('\n');
+}
+
+/**
+ * Render one event of a streamed result as a line
+ * @param {string} kind - Schema name
+ * @param {Object} record - Record from toRecord
+ * @returns {string} JSON line, or a CSV/table row (after the header the first time)
+ */
+function renderStreamRecord(kind, record) {
+  const schema = OUTPUT_SCHEMAS[kind];
+
+  if (settings.format === 'json') {
+    return JSON.stringify(record);
+  }
+
+  const render = settings.format === 'csv' ? renderCsv : renderTable;
+  const lines = render(schema.fields, [record]).split('\n');
+
+  if (settings.streamHeaders.has(kind)) {
+    return lines[lines.length - 1];
+  }
+  settings.streamHeaders.add(kind);
+  return lines.join('\n');
+}
+
+/**
+ * Render a result record in the current format
+ * @param {string} kind - Schema name
+ * @param {Object} record - Record from toRecord
+ * @returns {string} Rendered output
+ */
+function renderRecord(kind, record) {
+  const schema = OUTPUT_SCHEMAS[kind];
+
+  if (settings.quiet) {
+    const value = schema.quiet(record);
+    return [].concat(value).map(formatCell).join('\n');
+  }
+
+  if (schema.stream) {
+    return renderStreamRecord(kind, record);
+  }
+
+  if (settings.format === 'json') {
+    return JSON.stringify(record, null, 2);
+  }
+
+  const render = settings.format === 'csv' ? renderCsv : renderTable;
+
+  // List results: one row per item; single records: field/value rows
+  if (schema.rows) {
+    return render(schema.rowFields, record[schema.rows]);
+  }
+
+  return render(['field', 'value'], schema.fields.map(field => ({ field, value: record[field] })));
+}
+
+/**
+ * Print a command result to stdout
+ *
+ * Does nothing in text mode (the logs already show the result) unless
+ * --quiet is set.
+ *
+ * @param {string} kind - Schema name (key of OUTPUT_SCHEMAS)
+ * @param {Object} data - Result data
+ * @returns {Object} The record that was (or would be) printed
+ *
+ * @example
+ * ```javascript
+ * configureOutput({ format: 'json' });
+ * printResult('balance', { account: 'alice', symbol: 'XPR', balance: '1.0000 XPR', amount: '1.0000' });
+ * // {"account": "alice", "symbol": "XPR", "balance": "1.0000 XPR", "amount": "1.0000"}
+ * ```
+ */
+function printResult(kind, data) {
+  const record = toRecord(kind, data);
+  resultListeners.forEach(listener => listener(kind, record));
+
+  if (settings.format === 'text' && !settings.quiet) {
+    return record;
+  }
+
+  const output = renderRecord(kind, record);
+  if (output) {
+    process.stdout.write(`${output}\n`);
+  }
+  return record;
+}
+
+/**
+ * Get notified of every command result (e.g. for a session summary)
+ * @param {Function} listener - Called with (kind, record)
+ */
+function addResultListener(listener) {
+  resultListeners.push(listener);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  OUTPUT_SCHEMAS,
+  configureOutput,
+  toRecord,
+  printResult,
+  addResultListener,
+};
@@ -13,6 +13,9 @@
 
 const crypto = require('crypto');
 const { logger } = require('./logger');
+const { config } = require('../config');
+const { Asset } = require('./asset');
+const { isValidAccountName } = require('./name');
 
 /**
  * Encryption configuration
@@ -150,79 +153,63 @@ function sanitizeInput(input) {
     .substring(0, 1000); // Limit length
 }
 
-/**
- * Validate account name with enhanced security checks
- * @param {string} accountName - Account name to validate
- * @returns {boolean} True if valid
- */
-function validateAccountNameSecure(accountName) {
-  if (!accountName || typeof accountName !== 'string') {
-    return false;
-  }
-  
-  // Basic length check
-  if (accountName.length < 1 || accountName.length > 12) {
-    return false;
-  }
-  
-  // Character set validation (Proton account rules)
-  if (!/^[a-z1-5]+$/.test(accountName)) {
-    return false;
-  }
-  
-  // Check for reserved names
-  const reservedNames = [
-    'eosio', 'proton', 'system', 'admin', 'root', 'null', 'undefined'
-  ];
-  
-  if (reservedNames.includes(accountName.toLowerCase())) {
-    return false;
-  }
-  
-  return true;
-}
-
 /**
  * Validate amount format with enhanced checks
  * @param {string} amount - Amount to validate
+ * @param {Object} token - Resolved token info ({ symbol, precision, maxAmount? })
  * @returns {Object} Validation result
  */
-function validateAmountSecure(amount) {
+function validateAmountSecure(amount, token = null) {
   if (!amount || typeof amount !== 'string') {
     return { valid: false, error: 'Amount is required' };
   }
   
   // Parse amount
-  const parts = amount.trim().split(' ');
-  if (parts.length !== 2) {
-    return { valid: false, error: 'Invalid amount format. Expected: "1.0000 XPR"' };
+  let asset;
+  try {
+    asset = Asset.fromString(amount);
+  } catch (error) {
+    return { valid: false, error: error.message };
   }
   
-  const [amountStr, symbol] = parts;
+  const symbol = asset.symbol;
   
-  // Validate symbol
-  if (symbol !== 'XPR') {
-    return { valid: false, error: 'Only XPR tokens are supported' };
+  // Validate symbol against the token registry
+  if (!config.tokens[symbol]) {
+    return { valid: false, error: `Unsupported token ${symbol}. Supported tokens: ${Object.keys(config.tokens).join(', ')}` };
   }
   
-  // Validate amount value
-  const amountValue = parseFloat(amountStr);
-  if (isNaN(amountValue) || amountValue < 0) {
-    return { valid: false, error: 'Invalid amount value' };
+  if (token && token.symbol !== symbol) {
+    return { valid: false, error: `Amount symbol ${symbol} does not match token ${token.symbol}` };
   }
   
+  const precision = token ? token.precision : config.token.precision;
+  const maxAmount = token ? token.maxAmount : config.tokens[symbol].maxAmount;
+  
   // Check precision
-  const decimalParts = amountStr.split('.');
-  if (decimalParts.length === 2 && decimalParts[1].length !== 4) {
-    return { valid: false, error: 'Amount must have exactly 4 decimal places' };
+  if (asset.precision !== precision) {
+    return { valid: false, error: `Amount must have exactly ${precision} decimal places for ${symbol}` };
   }
   
-  // Check for reasonable limits
-  if (amountValue > 1000000) {
-    return { valid: false, error: 'Amount too large (max: 1,000,000 XPR)' };
+  // Validate amount value
+  if (!asset.isPositive()) {
+    return { valid: false, error: 'Amount must be greater than zero' };
+  }
+  
+  // Check for reasonable limits (a configured number, rounded down to the token's precision)
+  if (maxAmount) {
+    let limit;
+    try {
+      limit = Asset.fromNumber(maxAmount, { symbol, precision }, 'floor');
+    } catch (error) {
+      return { valid: false, error: `Invalid maxAmount for ${symbol}: ${error.message}` };
+    }
+    if (asset.greaterThan(limit)) {
+      return { valid: false, error: `Amount too large (max: ${maxAmount.toLocaleString('en-US')} ${symbol})` };
+    }
   }
   
-  return { valid: true, amount: amountValue, symbol: symbol };
+  return { valid: true, asset: asset, symbol: symbol };
 }
 
 /**
@@ -301,7 +288,7 @@ function validateSecurityConfig(config) {
   // Check account name
   if (!config.account?.name) {
     errors.push('Account name is required');
-  } else if (!validateAccountNameSecure(config.account.name)) {
+  } else if (!isValidAccountName(config.account.name)) {
     errors.push('Invalid account name format');
   }
   
@@ -331,7 +318,6 @@ module.exports = {
   decryptPrivateKey,
   validatePrivateKeyFormat,
   sanitizeInput,
-  validateAccountNameSecure,
   validateAmountSecure,
   generateSecureRandom,
   hashForLogging,